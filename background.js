@@ -1,103 +1,1328 @@
 /**
- * @file Background service worker that watches the browser navigation and
- * injects content scripts if URL matches.
+ * @file Background service worker that watches the browser navigation,
+ * registers the content script for the sites of the list and answers
+ * its messages.
  */
 
+import { findMatch } from './js/utils/match.js'
+import {
+	addEntry,
+	getEntry,
+	getRecentEntries,
+	removeEntry,
+	addCheckIn,
+	setOutcome,
+	getSuggestions
+} from './js/utils/journal.js'
+import { TIME_DEFAULTS, migrateTime } from './js/utils/time.js'
+import { isScheduled, getNextBoundary } from './js/utils/schedule.js'
+import {
+	addURL,
+	updateURL,
+	migrateSites,
+	requestAccess,
+	getSettings
+} from './js/utils/storage.js'
+import { recordStat } from './js/utils/stats.js'
+import { createQueue, getUID } from './js/utils/helper.js'
+import {
+	PAUSE_DURATIONS,
+	getPauseEnd,
+	getPauses,
+	findPause,
+	addPause,
+	removePause
+} from './js/utils/pause.js'
+import {
+	validateIntention,
+	removeSite,
+	checkUnlocked,
+	applyUnlocks
+} from './js/utils/strict.js'
+import {
+	isTabScope,
+	getIntention,
+	setIntention,
+	clearIntention,
+	clearTab
+} from './js/utils/intentions.js'
+import {
+	OUTCOMES,
+	addReflection,
+	getReflection,
+	removeReflection
+} from './js/utils/reflections.js'
+import {
+	BUDGET_MIN_WORDS,
+	getUsage,
+	isOverBudget,
+	recordUsage,
+	describeBudget
+} from './js/utils/budget.js'
+import { registerScripts } from './js/utils/scripts.js'
+import { migrateSettings } from './js/utils/migrations.js'
+import {
+	getChosenProfile,
+	chooseProfile,
+	getCurrentProfile,
+	isSiteEnabled
+} from './js/utils/profiles.js'
+import {
+	readSettings,
+	writeSettings,
+	enableSync,
+	onSettingsChanged
+} from './js/utils/sync.js'
+
 let STORAGE_CACHE
 
+// Settings that are cached, see sync.js
+const CACHED_KEYS = ['sites', 'time', 'profiles']
+
+// Serializes reads and writes of the tab state in chrome.storage.session
+const enqueue = createQueue()
+
+// IDs of the context menu entries
+const MENU_PAGE = 'add-page'
+const MENU_LINK = 'add-link'
+
 /**
  * Run on install (or update).
  * TODO: add uninstall page
  */
 chrome.runtime.onInstalled.addListener((details) => {
+	createMenus()
+
 	if (details.reason === chrome.runtime.OnInstalledReason.INSTALL) {
-		chrome.storage.local.set({
-			sites: {},
-			time: { active: false, use24Hrs: true, from: '09:00', to: '17:00' }
-		})
+		const defaults = { sites: {}, time: TIME_DEFAULTS }
+
+		chrome.storage.local.set({ journal: [] })
+		enableSync()
+			.then((settings) => {
+				// Keep settings that other devices have synced already
+				const missing = Object.keys(defaults)
+					.filter((key) => !settings[key])
+					.reduce(
+						(acc, key) => ({ ...acc, [key]: defaults[key] }),
+						{}
+					)
+				return writeSettings(missing)
+			})
+			// Settings synced by devices of older versions need an upgrade
+			.then(() => migrateSettings())
+			.then(() => updateScripts())
+			.catch((e) => console.error(e))
 		//chrome.runtime.setUninstallURL('https://example.com/extension-survey');
 		const url = chrome.runtime.getURL('onboarding.html')
 		chrome.tabs.create({ url })
 	} else if (details.reason === chrome.runtime.OnInstalledReason.UPDATE) {
+		chrome.storage.local
+			.get('sync')
+			// One-time move of the local settings of older versions into chrome.storage.sync
+			.then(({ sync }) => (sync ? undefined : enableSync()))
+			.then(() => migrateSettings())
+			.then(() => updateScripts())
+			.catch((e) => console.error(e))
 		const url = chrome.runtime.getURL('changelog.html')
 		chrome.tabs.create({ url })
 	}
 })
 
 /**
- * Watches for storage changes since storage is cached.
+ * Watches for settings changes since settings are cached and the content
+ * script is registered for the sites of the list.
  */
-chrome.storage.onChanged.addListener((changes) => {
-	for (let [key, { newValue }] of Object.entries(changes)) {
-		if (!STORAGE_CACHE) return
-		STORAGE_CACHE[key] = newValue
+onSettingsChanged((keys) => {
+	if (keys.some((key) => CACHED_KEYS.includes(key))) {
+		STORAGE_CACHE = undefined
+	}
+	// The active hours and profiles decide which sites are veiled
+	if ([...CACHED_KEYS, 'theme'].some((key) => keys.includes(key))) {
+		updateScripts()
 	}
+	if (keys.includes('away')) updateIdleDetection()
+	if (['sites', 'time', 'profiles'].some((key) => keys.includes(key))) {
+		scheduleBoundary()
+	}
+})
+
+/**
+ * Content scripts can only be registered once the scripting permission
+ * has been granted, ex. when the first site is added.
+ */
+chrome.permissions.onAdded.addListener(() => updateScripts())
+
+/**
+ * Handlers of messages sent by the injected content script and the popup,
+ * keyed by message type. Each handler receives the message and its sender
+ * and returns a Promise that resolves with the response.
+ */
+const MESSAGE_HANDLERS = {
+	GET_STATE: (message, sender) =>
+		Promise.all([
+			getSite(sender.tab.url),
+			getStorage(),
+			getPauses(),
+			getProfile()
+		]).then(([site, storage, pauses, profile]) => {
+			// The content script is registered for whole origins, the
+			// rule may still exclude the page or the site may be paused
+			if (
+				!site ||
+				findPause(pauses, site.pattern) ||
+				!isSiteActive(site, migrateTime(storage.time), profile)
+			) {
+				return undefined
+			}
+
+			return Promise.all([
+				getSettings('strict'),
+				getSettings('theme'),
+				getTabIntention(site, sender.tab.id),
+				getRecentEntries(),
+				getReflection(),
+				getBudget(site)
+			]).then(
+				([
+					{ active, delay },
+					theme,
+					state,
+					entries,
+					reflection,
+					budget
+				]) => ({
+					site,
+					strict: { active, delay },
+					theme,
+					intention: state ? state.intention : null,
+					budget,
+					// Recent intentions of the site, offered besides its templates
+					suggestions: getSuggestions(entries, site),
+					// Asks about the intention of a visit that has ended first
+					reflection
+				})
+			)
+		}),
+	LOAD_POLYFILL: (message, sender) =>
+		chrome.scripting.executeScript({
+			target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+			files: ['js/polyfills/custom-elements.min.js']
+		}),
+	SAVE_INTENTION: (message, sender) =>
+		keepIntention(sender.tab, message.intention, message.session),
+	SAVE_POSITION: (message, sender) =>
+		getStorage().then((storage) => {
+			const key = findMatch(migrateSites(storage.sites), sender.tab.url)
+			if (key === undefined) return undefined
+			return updateURL(key, { position: message.position })
+		}),
+	PROMPTED: (message, sender) => recordSiteStat(sender.tab.url, 'prompts'),
+	LEAVE: (message, sender) =>
+		// Tabs without a previous page are closed instead
+		chrome.tabs
+			.goBack(sender.tab.id)
+			.catch(() => chrome.tabs.remove(sender.tab.id)),
+	CHECK_IN_ANSWER: (message, sender) =>
+		addCheckIn(message.entryId, message.answer).then((entry) => {
+			// Keep asking as long as the user is still working on it
+			if (message.answer === 'working') {
+				scheduleCheckIn(sender.tab.id, entry.id)
+			}
+			// The tab asks for a new intention
+			if (message.answer === 'distracted') {
+				getSite(sender.tab.url).then(
+					(site) => site && clearIntention(site, sender.tab.id)
+				)
+			}
+			return entry
+		}),
+	VALIDATE_INTENTION: (message, sender) =>
+		checkIntention(sender.tab.url, message.intention),
+	GET_INTENTION: (message) =>
+		chrome.tabs.get(message.tabId).then((tab) =>
+			getSite(tab.url).then((site) => {
+				if (!site) return null
+				return getIntention(site, tab.id).then((state) => ({
+					intention: state ? state.intention : '',
+					since: state ? state.since : null
+				}))
+			})
+		),
+	SET_INTENTION: (message) =>
+		chrome.tabs.get(message.tabId).then((tab) =>
+			// Editing in the popup is no way around strict mode or the budget
+			checkIntention(tab.url, message.intention).then((error) => {
+				if (error) return { error }
+				return keepIntention(tab, message.intention).then(() => ({
+					error: null
+				}))
+			})
+		),
+	CLEAR_INTENTION: (message) =>
+		chrome.tabs.get(message.tabId).then((tab) =>
+			getSite(tab.url).then((site) => {
+				if (!site) return false
+				return clearIntention(site, tab.id)
+					.then(() => getSiteTabs(site, tab.id))
+					.then((tabs) => {
+						tabs.forEach((e) => {
+							clearCheckIns(e.id)
+							promptTab(e.id, site)
+						})
+						return true
+					})
+			})
+		),
+	GET_REFLECTION: () => getReflection(),
+	ANSWER_REFLECTION: (message) =>
+		answerReflection(message.entryId, message.outcome),
+	// Writes of the journal are queued here, the journal page deleting
+	// entries itself could drop ones that are added meanwhile
+	REMOVE_ENTRY: (message) => removeEntry(message.id),
+	GET_PAUSES: () => getPauses(),
+	GET_PROFILES: () =>
+		Promise.all([getStorage(), getChosenProfile(), getProfile()]).then(
+			([storage, chosen, current]) => {
+				const { profiles = {} } = storage.profiles || {}
+				return {
+					profiles: Object.keys(profiles).map((id) => ({
+						id,
+						name: profiles[id].name
+					})),
+					chosen,
+					current: current && current.id
+				}
+			}
+		),
+	// Refused while strict mode is on, see chooseProfile
+	CHOOSE_PROFILE: (message) =>
+		chooseProfile(message.id).then(() => {
+			// Groups of the profile may turn on or off
+			updateTabs(null)
+			updateScripts()
+			return true
+		}),
+	// Pauses wait until strict mode is off, resuming is always possible
+	PAUSE: (message) =>
+		checkUnlocked()
+			.then(() =>
+				addPause(message.pattern, getPauseEnd(message.duration))
+			)
+			.then((pause) => {
+				chrome.alarms.create(`pause:${message.pattern || ''}`, {
+					when: pause.until
+				})
+				updateTabs(message.pattern)
+				updateScripts()
+				return pause
+			}),
+	RESUME: (message) =>
+		removePause(message.pattern, true).then(() => {
+			chrome.alarms.clear(`pause:${message.pattern || ''}`)
+			updateTabs(message.pattern)
+			updateScripts()
+			return true
+		})
+}
+
+/**
+ * Handle messages sent by the injected content script and the popup.
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+	const handler = MESSAGE_HANDLERS[message.type]
+	if (!handler) return
+
+	handler(message, sender)
+		.then((response) => sendResponse(response))
+		.catch((e) => {
+			console.error(e)
+			sendResponse()
+		})
+	// Keep the message channel open for the async response
+	return true
 })
 
 /**
- * Watches for webNavigation events.
+ * Keep an intention in the scope of its site and in the journal, and show
+ * it in the other tabs it holds for.
+ * @param {Object} tab - Tab the intention has been set for
+ * @param {String} intention
+ * @param {String} session - Identifier of the tab session, see journal.js
+ * @returns Promise that resolves with the journal entry
+ */
+function keepIntention(tab, intention, session) {
+	return getSite(tab.url).then((site) => {
+		if (!site) return undefined
+
+		return addEntry({ intention, url: tab.url, session, tabId: tab.id })
+			.then((entry) =>
+				setIntention(site, tab.id, {
+					intention,
+					entryId: entry.id
+				}).then((state) => {
+					// Ask again once the intention stops holding
+					if (state.until) {
+						chrome.alarms.create(`intention:${site.pattern}`, {
+							when: state.until
+						})
+					}
+					return entry
+				})
+			)
+			.then((entry) => {
+				scheduleCheckIn(tab.id, entry.id)
+				recordSiteStat(tab.url, 'intentions')
+				setVisitIntention(tab.id, site.pattern, entry).then(
+					(isFirst) => {
+						// Only the intention that unlocks a visit counts
+						if (!isFirst || !site.budget) return undefined
+						return getSettings('budget').then(({ reset }) =>
+							recordUsage(site, 'visits', 1, reset)
+						)
+					}
+				)
+
+				getSiteTabs(site, tab.id).then((tabs) =>
+					tabs.forEach((e) =>
+						sendToTab(e.id, { type: 'SET_INTENTION', intention })
+					)
+				)
+				return entry
+			})
+	})
+}
+
+/**
+ * Return the intention that holds for a site in a tab. The content script
+ * may ask before the navigation that starts a new visit has been handled,
+ * hence intentions of a visit only hold if they are newer than the visit.
+ * @param {Object} site - Settings of the site
+ * @param {Number} tabId
+ * @returns Promise that resolves with the state, see intentions.js, or null
+ */
+function getTabIntention(site, tabId) {
+	return Promise.all([
+		getIntention(site, tabId),
+		chrome.storage.session.get('tabs'),
+		getSettings('budget').then(({ reset }) => getUsage(site.pattern, reset))
+	]).then(([state, { tabs = {} }, usage]) => {
+		if (!state) return null
+
+		const visit = tabs[tabId]
+		const isThisVisit =
+			!!visit &&
+			visit.pattern === site.pattern &&
+			state.since >= visit.since
+		if (site.scope === 'visit' && !isThisVisit) return null
+
+		if (!isOverBudget(site, usage)) return state
+		// Once the budget is used up, intentions only hold for the visit they
+		// unlocked or, for time budgets, if they've been set since
+		const holds =
+			site.budget.type === 'visits'
+				? isThisVisit
+				: state.since >= usage.exhausted
+		return holds ? state : null
+	})
+}
+
+/**
+ * Return whether the budget of a site is used up.
+ * @param {Object} site - Settings of the site
+ * @returns Promise that resolves with a description of the used up budget or null
+ */
+function getBudget(site) {
+	if (!site.budget) return Promise.resolve(null)
+
+	return getSettings('budget')
+		.then(({ reset }) => getUsage(site.pattern, reset))
+		.then((usage) =>
+			isOverBudget(site, usage) ? describeBudget(site) : null
+		)
+}
+
+/**
+ * Check if an intention is good enough to unlock a page, in strict mode and
+ * once the budget of its site is used up.
+ * @param {String} url - URL of the page
+ * @param {String} intention
+ * @returns Promise that resolves with the reason it's rejected or null if it's fine
+ */
+function checkIntention(url, intention) {
+	return Promise.all([
+		getSettings('strict'),
+		getSite(url).then((site) => (site ? getBudget(site) : null))
+	]).then(([strict, budget]) => {
+		if (!strict.active && !budget) return null
+
+		// Going on past the budget takes a longer justification
+		const minWords = Math.max(
+			strict.active ? strict.minWords : 0,
+			budget ? BUDGET_MIN_WORDS : 0
+		)
+		return validateIntention(intention, { minWords })
+	})
+}
+
+/**
+ * Return the tabs an intention of a site holds for.
+ * @param {Object} site - Settings of the site
+ * @param {Number} tabId - Tab the intention has been set for
+ * @returns Promise that resolves with an array of tabs
+ */
+function getSiteTabs(site, tabId) {
+	if (isTabScope(site.scope))
+		return chrome.tabs.get(tabId).then((tab) => [tab])
+
+	return Promise.all([
+		getStorage(),
+		chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] })
+	]).then(([storage, tabs]) => {
+		const sites = migrateSites(storage.sites)
+		return tabs.filter((e) => {
+			const key = findMatch(sites, e.url)
+			return key !== undefined && sites[key].pattern === site.pattern
+		})
+	})
+}
+
+/**
+ * Schedule a check-in for an intention if check-ins are enabled. Alarms are
+ * used instead of timers since the service worker may be suspended meanwhile.
+ * A new check-in replaces pending check-ins of the same tab.
+ * @param {Number} tabId - Tab the intention has been set in
+ * @param {String} entryId - ID of the journal entry of the intention
+ */
+function scheduleCheckIn(tabId, entryId) {
+	getSettings('checkIn').then(({ active, minutes }) => {
+		clearCheckIns(tabId).then(() => {
+			if (!active) return
+			chrome.alarms.create(`checkin:${tabId}:${entryId}`, {
+				delayInMinutes: minutes
+			})
+		})
+	})
+}
+
+/**
+ * Clear all pending check-ins of a tab.
+ * @param {Number} tabId
+ * @returns Promise that resolves once the alarms have been cleared
+ */
+function clearCheckIns(tabId) {
+	return chrome.alarms
+		.getAll()
+		.then((alarms) =>
+			Promise.all(
+				alarms
+					.filter((e) => e.name.startsWith(`checkin:${tabId}:`))
+					.map((e) => chrome.alarms.clear(e.name))
+			)
+		)
+}
+
+/**
+ * Ask the tab of a due check-in whether the user is still on task,
+ * end pauses that are over, carry out requests of strict mode, ask
+ * again once an intention stops holding and update the tabs of sites
+ * whose schedules turn them on or off.
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+	const [type, tabId, entryId] = alarm.name.split(':')
+	if (type === 'stats') return trackForeground()
+	if (type === 'schedule') return updateScheduledTabs(alarm.scheduledTime)
+	if (type === 'strict') return applyUnlocks()
+	if (type === 'intention') {
+		return updateTabs(alarm.name.slice('intention:'.length))
+	}
+	if (type === 'pause') {
+		// Paths of rules may contain colons, ex. 'example.com/wiki/Help:Contents'
+		const pattern = alarm.name.slice('pause:'.length) || null
+		return removePause(pattern).then(() => {
+			updateTabs(pattern)
+			updateScripts()
+		})
+	}
+	if (type !== 'checkin') return
+
+	Promise.all([getEntry(entryId), chrome.storage.session.get('tabs')])
+		.then(([entry, { tabs = {} }]) => {
+			// Tab may have been closed, left the site or set another
+			// intention meanwhile
+			const visit = tabs[tabId]
+			if (!entry || !visit || visit.entryId !== entryId) return
+			sendToTab(Number(tabId), { type: 'CHECK_IN', entry })
+		})
+		.catch((e) => console.error(e))
+})
+
+/**
+ * Closed tabs don't need check-ins and their intentions anymore.
+ */
+chrome.tabs.onRemoved.addListener((tabId) => {
+	clearCheckIns(tabId)
+	clearTab(tabId)
+	startVisit(tabId, null)
+	trackForeground()
+})
+
+/**
+ * Watches which tab is in the foreground to measure the time spent on sites.
+ */
+chrome.tabs.onActivated.addListener(() => {
+	trackForeground()
+	updateMenu()
+})
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+	if (changeInfo.url && tab.active) {
+		trackForeground()
+		updateMenu()
+	}
+})
+chrome.windows.onFocusChanged.addListener(() => trackForeground())
+
+/**
+ * Time while the user is idle or the screen is locked doesn't count as time
+ * in the foreground, coming back may ask for a new intention.
+ */
+chrome.idle.onStateChanged.addListener((state) => {
+	getSettings('away')
+		.then(({ minutes }) => {
+			const now = Date.now()
+			// The idle state is only detected after the detection interval
+			const idle =
+				state === 'active'
+					? null
+					: state === 'idle'
+					? now - minutes * 60 * 1000
+					: now
+			return chrome.storage.session.set({ idle })
+		})
+		.then(() => trackForeground())
+})
+
+/**
+ * Keyboard shortcuts, see commands in manifest.json.
+ */
+chrome.commands.onCommand.addListener((command, tab) => {
+	if (!tab || !tab.url) return
+
+	if (command === 'toggle-site') toggleSite(tab)
+	if (command === 'pause-site') togglePause(tab)
+	if (command === 'focus-intention') sendToTab(tab.id, { type: 'FOCUS' })
+})
+
+/**
+ * Context menu entries that add the site of a page or link.
+ */
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+	const url = info.menuItemId === MENU_LINK ? info.linkUrl : info.pageUrl
+	// Access can only be requested within the user gesture of the click
+	addSite(url, requestSiteAccess(url)).catch((e) => showError(tab, e))
+})
+
+// Flush the foreground time regularly in case the browser quits meanwhile
+chrome.alarms.get('stats', (alarm) => {
+	if (!alarm) chrome.alarms.create('stats', { periodInMinutes: 1 })
+})
+
+updateIdleDetection()
+scheduleBoundary()
+
+/**
+ * Detect the user as idle after the time away that asks for a new intention.
+ * @returns Promise
+ */
+function updateIdleDetection() {
+	return getSettings('away')
+		.then(({ minutes }) => chrome.idle.setDetectionInterval(minutes * 60))
+		.catch((e) => console.error(e))
+}
+
+/**
+ * Create the context menu entries that add the site of a page or link.
+ */
+function createMenus() {
+	const patterns = ['http://*/*', 'https://*/*']
+
+	chrome.contextMenus.removeAll(() => {
+		chrome.contextMenus.create({
+			id: MENU_PAGE,
+			title: 'Browse this site with intention',
+			contexts: ['page'],
+			documentUrlPatterns: patterns
+		})
+		chrome.contextMenus.create({
+			id: MENU_LINK,
+			title: 'Browse the linked site with intention',
+			contexts: ['link'],
+			targetUrlPatterns: patterns
+		})
+	})
+}
+
+/**
+ * Name the site of the active tab in its context menu entry, which only
+ * shows on sites that aren't on the list yet.
+ * @returns Promise
+ */
+function updateMenu() {
+	return chrome.tabs
+		.query({ active: true, lastFocusedWindow: true })
+		.then(([tab]) =>
+			getSitePattern(tab && tab.url).then((pattern) => {
+				let hostname
+				try {
+					hostname = new URL(tab.url).hostname
+				} catch {
+					return
+				}
+
+				return chrome.contextMenus.update(MENU_PAGE, {
+					title: `Browse ${hostname} with intention`,
+					visible: !pattern
+				})
+			})
+		)
+		.catch(() => undefined)
+}
+
+/**
+ * Request access to the site of a URL. Shortcuts and context menus only
+ * allow it right away within their user gesture, before any await.
+ * @param {String} url
+ * @returns Promise that resolves with true if access has been granted
+ */
+function requestSiteAccess(url) {
+	try {
+		return requestAccess([new URL(url).hostname])
+	} catch {
+		return Promise.resolve(false)
+	}
+}
+
+/**
+ * Show on the icon of a tab why its site couldn't be added or paused,
+ * shortcuts and context menus have no page of their own to tell.
+ * @param {Object} tab
+ * @param {Error} error
+ * @param {String} action - What failed, ex. "Couldn't pause the site."
+ */
+function showError(tab, error, action = "Couldn't add the site.") {
+	console.error(error)
+	if (!tab) return
+
+	// Badges of a tab reset once it navigates
+	chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: '#d70015' })
+	chrome.action.setBadgeText({ tabId: tab.id, text: '!' })
+	chrome.action.setTitle({
+		tabId: tab.id,
+		title: `${action} ${error.message}`
+	})
+}
+
+/**
+ * Add the site of a URL like the popup does and ask for an intention in its
+ * open tabs.
+ * @param {String} url
+ * @param {Promise} access - Access to the site, see requestSiteAccess
+ * @returns Promise that resolves with the settings of the added site
+ */
+function addSite(url, access) {
+	return Promise.resolve()
+		.then(() => addURL(getUID(), new URL(url).hostname, access))
+		.then((site) => {
+			// The settings change event may arrive later
+			STORAGE_CACHE = undefined
+			updateTabs(site.pattern)
+			updateMenu()
+			return site
+		})
+}
+
+/**
+ * Add the site of a tab or remove it if it's on the list already, which
+ * only happens after the waiting period in strict mode.
+ * @param {Object} tab
+ * @returns Promise
+ */
+function toggleSite(tab) {
+	// Access is requested before the sites are read, which ends the user
+	// gesture of the shortcut. Sites that are known to be on the list need none
+	const isListed =
+		!!STORAGE_CACHE &&
+		findMatch(migrateSites(STORAGE_CACHE.sites), tab.url) !== undefined
+	const access = isListed ? undefined : requestSiteAccess(tab.url)
+
+	return getStorage()
+		.then((storage) => {
+			const key = findMatch(migrateSites(storage.sites), tab.url)
+			if (key === undefined) {
+				return addSite(tab.url, access).catch((e) => showError(tab, e))
+			}
+
+			return removeSite(key).then((until) => {
+				// Strict mode only removes sites after its waiting period
+				if (until) return
+				STORAGE_CACHE = undefined
+				sendToTab(tab.id, { type: 'UNMATCH' })
+				updateMenu()
+			})
+		})
+		.catch((e) => console.error(e))
+}
+
+/**
+ * Pause the site of a tab for the shortest pause length or resume it
+ * if it's paused already.
+ * @param {Object} tab
+ * @returns Promise
+ */
+function togglePause(tab) {
+	return Promise.all([getSitePattern(tab.url), getPauses()])
+		.then(([pattern, pauses]) => {
+			if (!pattern) return undefined
+
+			return pauses.sites[pattern]
+				? MESSAGE_HANDLERS.RESUME({ pattern })
+				: MESSAGE_HANDLERS.PAUSE({
+						pattern,
+						duration: PAUSE_DURATIONS[0].value
+				  })
+		})
+		.catch((e) => showError(tab, e, "Couldn't pause the site."))
+}
+
+/**
+ * Return the settings of the site a URL belongs to.
+ * @param {String} url
+ * @returns Promise that resolves with the site or null if no site matches
+ */
+function getSite(url) {
+	return getStorage().then((storage) => {
+		if (!url) return null
+		const sites = migrateSites(storage.sites)
+		const key = findMatch(sites, url)
+		return key !== undefined ? sites[key] : null
+	})
+}
+
+/**
+ * Return the rule of the site a URL belongs to.
+ * @param {String} url
+ * @returns Promise that resolves with the rule's pattern or null if no site matches
+ */
+function getSitePattern(url) {
+	return getSite(url).then((site) => (site ? site.pattern : null))
+}
+
+/**
+ * Add to a statistic of the site a URL belongs to.
+ * @param {String} url
+ * @param {String} field - See stats.js
+ * @returns Promise
+ */
+function recordSiteStat(url, field) {
+	return getSitePattern(url).then(
+		(pattern) => pattern && recordStat(pattern, field)
+	)
+}
+
+/**
+ * Remember which site a tab is on. A visit starts whenever a tab
+ * enters a site it wasn't on before and ends when it leaves the site or
+ * is closed, which asks whether its intention has been met and ends its
+ * check-ins.
+ * @param {Number} tabId
+ * @param {String|null} pattern - Rule of the site or null if no site matches
+ * @returns Promise that resolves with true if a new visit started
+ */
+function startVisit(tabId, pattern) {
+	return enqueue(() =>
+		chrome.storage.session.get('tabs').then(({ tabs = {} }) => {
+			const previous = tabs[tabId]
+			const isNew =
+				!!pattern && (!previous || previous.pattern !== pattern)
+
+			if (previous && previous.pattern !== pattern) {
+				// Check-ins ask about the intention of the visit that ended
+				clearCheckIns(tabId)
+				if (previous.entryId) addReflection(previous)
+			}
+
+			if (!pattern) {
+				delete tabs[tabId]
+			} else if (isNew) {
+				tabs[tabId] = { pattern, since: Date.now() }
+			}
+
+			return chrome.storage.session.set({ tabs }).then(() => isNew)
+		})
+	)
+}
+
+/**
+ * Remember the intention that has been set during the visit of a tab.
+ * @param {Number} tabId
+ * @param {String} pattern - Rule of the site the intention has been set on
+ * @param {Object} entry - Journal entry of the intention
+ * @returns Promise that resolves with true if it's the first intention of the visit
+ */
+function setVisitIntention(tabId, pattern, entry) {
+	return enqueue(() =>
+		chrome.storage.session.get('tabs').then(({ tabs = {} }) => {
+			const visit = tabs[tabId]
+			if (!visit || visit.pattern !== pattern) return false
+
+			tabs[tabId] = {
+				...visit,
+				entryId: entry.id,
+				intention: entry.intention
+			}
+			return chrome.storage.session
+				.set({ tabs })
+				.then(() => !visit.entryId)
+		})
+	)
+}
+
+/**
+ * Keep whether the intention of a visit that has ended has been met with
+ * its journal entry and in the statistics of the day it has been set.
+ * @param {String} entryId - ID of the journal entry
+ * @param {String|null} outcome - See OUTCOMES, null to stop asking without an answer
+ * @returns Promise that resolves with the updated entry or null
+ */
+function answerReflection(entryId, outcome) {
+	return removeReflection(entryId).then((reflection) => {
+		// Answered in another tab already
+		if (!reflection || !(outcome in OUTCOMES)) return null
+
+		return setOutcome(entryId, outcome).then((entry) =>
+			recordStat(
+				reflection.pattern,
+				outcome,
+				1,
+				new Date(entry.timestamp)
+			).then(() => entry)
+		)
+	})
+}
+
+/**
+ * Add the time since the last call to the site in the foreground and
+ * start measuring the site that is in the foreground now. The state is kept
+ * in chrome.storage.session since the service worker may be suspended.
+ *
+ * Visits remember when their tab left the foreground, ex. when another tab
+ * has been activated, the window lost focus or the user went idle, and ask
+ * for a new intention if they come back after the time away of the settings.
+ * @returns Promise
+ */
+function trackForeground() {
+	const getForegroundTab = () =>
+		chrome.windows
+			.getLastFocused()
+			.then((window) =>
+				window && window.focused
+					? chrome.tabs.query({ active: true, windowId: window.id })
+					: []
+			)
+			.then(([tab]) => tab)
+			.catch(() => undefined)
+
+	return enqueue(() =>
+		Promise.all([
+			chrome.storage.session.get(['foreground', 'tabs', 'idle']),
+			getForegroundTab(),
+			getSettings('away')
+		]).then(([{ foreground, tabs = {}, idle }, _tab, away]) => {
+			const now = Date.now()
+			// Nothing is in the foreground while the user is idle
+			const tab = idle ? undefined : _tab
+
+			if (foreground) {
+				const end = Math.max(foreground.since, idle || now)
+				const seconds = Math.round((end - foreground.since) / 1000)
+				if (seconds > 0) {
+					recordStat(foreground.pattern, 'time', seconds)
+					recordSiteUsage(foreground.pattern, seconds)
+				}
+
+				const visit = tabs[foreground.tabId]
+				if (visit && (!tab || tab.id !== foreground.tabId)) {
+					tabs[foreground.tabId] = { ...visit, away: end }
+				}
+			}
+
+			return getSitePattern(tab && tab.url).then((pattern) => {
+				const visit = pattern && tabs[tab.id]
+				const isBack =
+					!!visit &&
+					!!visit.away &&
+					visit.pattern === pattern &&
+					away.active &&
+					now - visit.away >= away.minutes * 60 * 1000
+				if (visit && visit.away) {
+					tabs[tab.id] = { ...visit }
+					delete tabs[tab.id].away
+				}
+
+				return chrome.storage.session
+					.set({
+						tabs,
+						foreground: pattern
+							? { pattern, tabId: tab.id, since: now }
+							: null
+					})
+					.then(() => {
+						if (isBack) askAgain(tab.id, pattern)
+					})
+			})
+		})
+	)
+}
+
+/**
+ * Ask for a new intention in a tab that comes back after some time away,
+ * along with the other tabs the intention holds for.
+ * @param {Number} tabId
+ * @param {String} pattern - Rule of the site
+ * @returns Promise
+ */
+function askAgain(tabId, pattern) {
+	return Promise.all([getStorage(), getPauses(), getProfile()]).then(
+		([storage, pauses, profile]) => {
+			const site = Object.values(migrateSites(storage.sites)).find(
+				(e) => e.pattern === pattern
+			)
+			if (
+				!site ||
+				findPause(pauses, pattern) ||
+				!isSiteActive(site, migrateTime(storage.time), profile)
+			) {
+				return undefined
+			}
+
+			return getTabIntention(site, tabId).then((state) => {
+				// The tab is still asking for an intention
+				if (!state) return undefined
+
+				clearCheckIns(tabId)
+				return clearIntention(site, tabId)
+					.then(() => getSiteTabs(site, tabId))
+					.then((tabs) =>
+						tabs.forEach((e) => promptTab(e.id, site, true))
+					)
+			})
+		}
+	)
+}
+
+/**
+ * Watches for webNavigation events. Single-page apps change their route
+ * without committing a new document, hence history state and fragment
+ * updates are handled as well.
  */
-chrome.webNavigation.onCommitted.addListener(handleNavigation)
+chrome.webNavigation.onCommitted.addListener((data) =>
+	handleNavigation(data, false)
+)
+chrome.webNavigation.onHistoryStateUpdated.addListener((data) =>
+	handleNavigation(data, true)
+)
+chrome.webNavigation.onReferenceFragmentUpdated.addListener((data) =>
+	handleNavigation(data, true)
+)
 
 /**
- * Handle webNavigation and inject content script if URL matches.
+ * Count time spent on a site against its budget and ask its tabs to justify
+ * going on once the budget has been used up.
+ * @param {String} pattern - Rule of the site
+ * @param {Number} seconds
+ * @returns Promise
+ */
+function recordSiteUsage(pattern, seconds) {
+	return Promise.all([getStorage(), getSettings('budget')]).then(
+		([storage, { reset }]) => {
+			const site = Object.values(migrateSites(storage.sites)).find(
+				(e) => e.pattern === pattern
+			)
+			if (!site || !site.budget || site.budget.type !== 'minutes') {
+				return undefined
+			}
+
+			return recordUsage(site, 'time', seconds, reset).then(
+				(ranOut) => ranOut && updateTabs(pattern)
+			)
+		}
+	)
+}
+
+/**
+ * Handle webNavigation, keep track of visits and prompt single-page apps
+ * whose route newly matches a rule.
  * @param {Object} data - Contains properties about webNavigation destination
+ * @param {Boolean} isSameDocument - Whether the route changed within the loaded document
  */
-function handleNavigation(data) {
+function handleNavigation(data, isSameDocument) {
 	if (!data.url) return
 
 	const url = new URL(data.url)
 
 	// Prevent extension triggering on embedded content
-	if (data.transitionType === 'auto_subframe') return
+	if (data.transitionType === 'auto_subframe' || data.frameId !== 0) return
 
-	function handleInjection(_data) {
-		const { sites, time } = STORAGE_CACHE
+	function handleInjection(_data, storage, pauses, profile) {
+		const sites = migrateSites(storage.sites)
+		const time = migrateTime(storage.time)
 
-		if (time.active) {
-			// Compare strings using lexicographic order
-			// to allow timeframes between two days (ex: 23:00 to 02:00)
-			const now = new Date()
-			const h = now.getHours()
-			const m = now.getMinutes()
-			const hh_mm = `${h < 10 ? '0' + h : h}:${h < 10 ? '0' + m : m}`
+		const key = findMatch(sites, url)
+		const pattern = key !== undefined ? sites[key].pattern : null
+		const isActive = !pattern || isSiteActive(sites[key], time, profile)
+		const isPaused = !!findPause(pauses, pattern)
 
-			const isActive = time.from < hh_mm && time.to > hh_mm
+		trackForeground()
 
-			if (!isActive) return
-		}
+		return startVisit(_data.tabId, pattern)
+			.then((isNew) => {
+				// Intentions of a single visit end with it
+				if (!isNew || sites[key].scope !== 'visit') return isNew
+				return clearIntention(sites[key], _data.tabId).then(() => isNew)
+			})
+			.then((isNew) => {
+				if (isNew) recordStat(pattern, isActive ? 'visits' : 'outside')
 
-		if (Object.values(sites).some((e) => e === url.hostname)) {
-			// Inject WebComponents polyfill since Webcomponents are
-			// not supported (yet), see: https://bugs.chromium.org/p/chromium/issues/detail?id=390807#c59
-			//
-			// We also have to inject the polyfill here since executeScript doesn't support modules (yet)
-			chrome.scripting.executeScript(
-				{
-					target: { tabId: _data.tabId },
-					files: ['js/polyfills/custom-elements.min.js']
-				},
-				() => {
-					chrome.scripting.executeScript({
-						target: { tabId: _data.tabId },
-						files: ['js/inject.js']
-					})
+				// New documents load the registered content script themselves
+				if (!isSameDocument) return
+
+				// Routes of single-page apps only prompt again if they newly
+				// match a rule and hide the intention if they match none
+				if (!pattern || !isActive || isPaused) {
+					sendToTab(_data.tabId, { type: 'UNMATCH' })
+				} else if (isNew) {
+					promptTab(_data.tabId, sites[key])
 				}
+			})
+	}
+
+	Promise.all([getStorage(), getPauses(), getProfile()])
+		.then(([storage, pauses, profile]) =>
+			handleInjection(data, storage, pauses, profile)
+		)
+		.catch((e) => console.error(e))
+}
+
+/**
+ * Check whether a site is active in the current profile and within its
+ * active hours. Sites with own active hours ignore the global time settings.
+ * @param {Object} site - Settings of the site
+ * @param {Object} time - Global time settings
+ * @param {Object|null} profile - Profile that is on, see getProfile
+ * @param {Date} date
+ * @returns {Boolean}
+ */
+function isSiteActive(site, time, profile, date = new Date()) {
+	if (!isSiteEnabled(site, profile)) return false
+
+	return site.schedule
+		? isScheduled({ ...time, schedule: site.schedule }, date)
+		: !time.active || isScheduled(time, date)
+}
+
+/**
+ * Wake up at the next start or end of the active hours or the schedules of
+ * sites and profiles, schedules are otherwise only checked on navigation.
+ * @returns Promise
+ */
+function scheduleBoundary() {
+	return getStorage()
+		.then((storage) => {
+			const time = migrateTime(storage.time)
+			const { profiles = {} } = storage.profiles || {}
+			const schedules = [
+				time.active ? time.schedule : null,
+				...Object.values(migrateSites(storage.sites)).map(
+					(e) => e.schedule
+				),
+				...Object.values(profiles).map((e) => e.schedule)
+			].filter((e) => e)
+
+			const next = getNextBoundary(schedules, time.timeZone, new Date())
+			return next
+				? chrome.alarms.create('schedule', { when: next.getTime() })
+				: chrome.alarms.clear('schedule')
+		})
+		.catch((e) => console.error(e))
+}
+
+/**
+ * Update the tabs of the sites that turned on or off at a boundary of a
+ * schedule, then wait for the next one.
+ * @param {Number} scheduledTime - When the boundary has been reached
+ * @returns Promise
+ */
+function updateScheduledTabs(scheduledTime) {
+	return Promise.all([getStorage(), getChosenProfile()])
+		.then(([storage, chosen]) => {
+			const time = migrateTime(storage.time)
+			// Compare with the minute before the boundary, the alarm may
+			// go off late if the device has been asleep
+			const before = new Date(scheduledTime - 60 * 1000)
+			const now = new Date()
+			const profiles = [before, now].map((date) =>
+				getCurrentProfile(storage.profiles, time, chosen, date)
 			)
 
-			chrome.scripting.insertCSS({
-				target: { tabId: _data.tabId },
-				files: ['style/inject.css']
+			const changed = Object.values(migrateSites(storage.sites)).filter(
+				(site) =>
+					isSiteActive(site, time, profiles[0], before) !==
+					isSiteActive(site, time, profiles[1], now)
+			)
+			if (changed.length) updateScripts()
+			return Promise.all(changed.map((site) => updateTabs(site.pattern)))
+		})
+		.catch((e) => console.error(e))
+		.then(() => scheduleBoundary())
+}
+
+/**
+ * Return the profile that is on, either chosen on this device or by its schedule.
+ * @returns Promise that resolves with the profile or null, see profiles.js
+ */
+function getProfile() {
+	return Promise.all([getStorage(), getChosenProfile()]).then(
+		([storage, chosen]) =>
+			getCurrentProfile(
+				storage.profiles,
+				migrateTime(storage.time),
+				chosen
+			)
+	)
+}
+
+/**
+ * Hide the intention in open tabs of a site that has been paused, turned
+ * off by a profile or is outside its active hours, or ask for one again
+ * once it's active again.
+ * @param {String|null} pattern - Rule of the site, null for all sites
+ * @returns Promise
+ */
+function updateTabs(pattern) {
+	return Promise.all([
+		getStorage(),
+		getPauses(),
+		getProfile(),
+		chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] })
+	]).then(([storage, pauses, profile, tabs]) => {
+		const sites = migrateSites(storage.sites)
+		const time = migrateTime(storage.time)
+
+		tabs.forEach((tab) => {
+			const key = findMatch(sites, tab.url)
+			if (key === undefined) return
+			if (pattern && sites[key].pattern !== pattern) return
+
+			if (findPause(pauses, sites[key].pattern)) {
+				sendToTab(tab.id, { type: 'UNMATCH' })
+			} else if (isSiteActive(sites[key], time, profile)) {
+				promptTab(tab.id, sites[key])
+			} else {
+				sendToTab(tab.id, { type: 'UNMATCH' })
+			}
+		})
+	})
+}
+
+/**
+ * Inject the content script into a page that has been loaded before the
+ * script was registered, ex. a tab that is open while its site is added.
+ * @param {Number} tabId
+ */
+function injectTab(tabId) {
+	chrome.scripting.executeScript({
+		target: { tabId },
+		files: ['js/inject.js']
+	})
+
+	chrome.scripting.insertCSS({
+		target: { tabId },
+		files: ['style/inject.css']
+	})
+}
+
+/**
+ * Ask an already injected content script for a new intention unless one
+ * still holds, inject it if the page has none yet.
+ * @param {Number} tabId
+ * @param {Object} site - Settings of the matching site
+ * @param {Boolean} away - Whether the user comes back after some time away
+ */
+function promptTab(tabId, site, away = false) {
+	Promise.all([getTabIntention(site, tabId), getBudget(site)])
+		.then(([state, budget]) =>
+			sendToTab(tabId, {
+				type: 'PROMPT',
+				site,
+				intention: state ? state.intention : null,
+				budget,
+				away
 			})
-		}
-	}
+		)
+		.then((response) => {
+			if (response === undefined) injectTab(tabId)
+		})
+}
 
-	if (!STORAGE_CACHE) {
-		chrome.storage.local.get(undefined, (storage) => {
-			STORAGE_CACHE = storage
-			handleInjection(data)
+/**
+ * Send a message to the content script of a tab.
+ * @param {Number} tabId
+ * @param {Object} message
+ * @returns Promise that resolves with the response or undefined if nothing has been injected
+ */
+function sendToTab(tabId, message) {
+	return new Promise((resolve) => {
+		chrome.tabs.sendMessage(tabId, message, (response) => {
+			if (chrome.runtime.lastError) return resolve(undefined)
+			resolve(response)
 		})
-	} else {
-		handleInjection(data)
-	}
+	})
+}
+
+/**
+ * Register the content script for the current sites of the list and the
+ * veil for the current theme.
+ * @returns Promise
+ */
+function updateScripts() {
+	return Promise.all([
+		getStorage(),
+		getSettings('theme'),
+		getPauses(),
+		getProfile()
+	])
+		.then(([storage, theme, pauses, profile]) => {
+			const time = migrateTime(storage.time)
+			// Paused sites and sites outside of their active hours aren't veiled
+			return registerScripts(
+				migrateSites(storage.sites),
+				theme,
+				(site) =>
+					!findPause(pauses, site.pattern) &&
+					isSiteActive(site, time, profile)
+			)
+		})
+		.catch((e) => console.error(e))
+}
+
+/**
+ * Read cached settings once and serve them from cache afterwards.
+ * @returns Promise that resolves with the cached settings
+ */
+function getStorage() {
+	if (STORAGE_CACHE) return Promise.resolve(STORAGE_CACHE)
+
+	return readSettings(CACHED_KEYS).then((storage) => {
+		STORAGE_CACHE = storage
+		return STORAGE_CACHE
+	})
 }
@@ -3,316 +3,1357 @@
  * and displays the intention field.
  */
 
-const placeholder = "What's your intention?"
-const extensionID = chrome.runtime.id
-const template = document.createElement('template')
-
-template.innerHTML = /*html*/ `
-	<style>
-		/* Blurs the page */
-		#veil {
-			position: fixed;
-			top: 0;
-			left: 0;
-			z-index: 99999;
-			display: block;
-			width: 100%;
-			height: 100%;
-			background-color: rgba(0, 0, 0, 0.4);
-			visibility: hidden;
-			opacity: 0;
-			backdrop-filter: blur(16px);
-		}
+// Guard against double injection into the same page, the declarations
+// below would clash with the ones of the first run otherwise
+if (!window.intentionInjected) {
+	window.intentionInjected = true
 
-		#veil.isVisible {
-			visibility: visible;
-			opacity: 1;
-		}
+	const placeholder = "What's your intention?"
+	const budgetPlaceholder = 'Budget used up, why go on?'
+	const awayPlaceholder = "Welcome back, what's your intention now?"
+	const checkInAnswers = {
+		done: 'Done',
+		working: 'Still working on it',
+		distracted: 'Got distracted'
+	}
+	// Whether the intention of an ended visit has been met, see OUTCOMES in reflections.js
+	const reflectionAnswers = {
+		met: 'Yes',
+		partly: 'Partly',
+		missed: 'No',
+		skip: 'Skip'
+	}
+	const extensionID = chrome.runtime.id
+	const template = document.createElement('template')
 
-		/* 
-		* Intention box
-		*/
-		.container {
-			/* We don't have access to vars.css */
-			--font-size: 16px;
-			--spacing: 16px;
-			--color-accent: rgba(0, 122, 255, 1);
-			--color-highlight: #3a3b3c;
-
-			position: fixed;
-			top: 32px;
-			left: 50%;
-			z-index: 9999999;
-			display: flex;
-			align-items: center;
-			justify-content: center;
-			min-width: 128px;
-			padding: 8px 16px 8px 42px;
-			color: #000;
-			font-size: var(--font-size);
-			background: #fff;
-			border-radius: 96px;
-			box-shadow: rgba(100, 100, 111, 0.2) 0px 7px 29px 0px;
-			transform: translateX(-50%);
-			cursor: grab;
-		}
+	template.innerHTML = /*html*/ `
+		<style>
+			/*
+			* Theme, the accent color and the veil are set from the theme
+			* settings, see applyTheme. We don't have access to vars.css
+			*/
+			:host {
+				--color-text: #000;
+				--color-muted: #717171;
+				--color-background: #fff;
+				--color-hover: rgba(0, 0, 0, 0.025);
+				--color-button: rgba(0, 0, 0, 0.05);
+				--color-accent: rgba(0, 122, 255, 1);
+				--veil-blur: 16px;
+				--veil-opacity: 0.4;
+			}
 
-		.icon::before,
-		.icon::after {
-			position: absolute;
-			top: 50%;
-			left: 18px;
-			width: 16px;
-			height: 16px;
-			background: #000;
-			background: linear-gradient(
-				190deg,
-				rgba(192, 192, 192, 0.6) 0%,
-				rgba(155, 155, 155, 0) 100%
-			);
-			border-radius: 100%;
-			transform: translate3D(0px, -50%, 0);
-			transition: transform 0.4s;
-			content: '';
-			opacity: 0.8 !important;
-		}
+			:host([data-theme='dark']) {
+				--color-text: #f5f5f7;
+				--color-muted: #a1a1a6;
+				--color-background: #2c2c2e;
+				--color-hover: rgba(255, 255, 255, 0.06);
+				--color-button: rgba(255, 255, 255, 0.1);
+			}
 
-		#input:empty + .icon::before {
-			transform: translate3D(-4px, -50%, 0) !important;
-			opacity: 1 !important;
-		}
+			@media (prefers-color-scheme: dark) {
+				:host([data-theme='system']) {
+					--color-text: #f5f5f7;
+					--color-muted: #a1a1a6;
+					--color-background: #2c2c2e;
+					--color-hover: rgba(255, 255, 255, 0.06);
+					--color-button: rgba(255, 255, 255, 0.1);
+				}
+			}
 
-		#input:empty + .icon::after {
-			transform: translate3D(4px, -50%, 0) !important;
-			opacity: 1 !important;
-		}
+			/* Blurs the page */
+			#veil {
+				position: fixed;
+				top: 0;
+				left: 0;
+				z-index: 99999;
+				display: block;
+				width: 100%;
+				height: 100%;
+				background-color: rgba(0, 0, 0, var(--veil-opacity));
+				visibility: hidden;
+				opacity: 0;
+				backdrop-filter: blur(var(--veil-blur));
+			}
 
-		/* 
-		* Intention input
-		*/
-		#input {
-			position: relative;
-			min-width: 128px;
-			padding: 6px;
-			border-radius: 96px;
-			cursor: text !important;
-		}
+			#veil.isVisible {
+				visibility: visible;
+				opacity: 1;
+			}
 
-		#input:focus {
-			border: none;
-			outline: none;
-		}
+			/* 
+			* Intention box
+			*/
+			.container {
+				--font-size: 16px;
+				--spacing: 16px;
+				--color-highlight: #3a3b3c;
 
-		#input:empty::before {
-			color: #717171;
-			font-style: italic;
-			content: "${placeholder}";
-		}
+				position: fixed;
+				top: 32px;
+				left: 50%;
+				z-index: 9999999;
+				display: flex;
+				align-items: center;
+				justify-content: center;
+				min-width: 128px;
+				padding: 8px 16px 8px 42px;
+				color: var(--color-text);
+				font-size: var(--font-size);
+				background: var(--color-background);
+				border-radius: 96px;
+				box-shadow: rgba(100, 100, 111, 0.2) 0px 7px 29px 0px;
+				transform: translateX(-50%);
+				cursor: grab;
+			}
 
-		#input:not(:focus):hover {
-			background: rgba(0, 0, 0, 0.025);
-		}
+			/* Position presets, see POSITION_OPTIONS in storage.js */
+			.container[data-position^='bottom'] {
+				top: auto;
+				bottom: 32px;
+			}
 
-		#input:focus::after {
-			position: absolute;
-			top: 0;
-			left: 100%;
-			display: flex;
-			align-items: center;
-			height: 100%;
-			padding: 0px 32px;
-			color: lightgray;
-			white-space: nowrap;
-			opacity: 1;
-			content: '↵ Enter';
-			pointer-events: none;
-			transition: opacity .3s;
-		}
+			.container[data-position$='left'] {
+				left: 32px;
+				transform: none;
+			}
 
-		#input:empty::after {
-			opacity: 0 !important;
-		}
+			.container[data-position$='right'] {
+				right: 32px;
+				left: auto;
+				transform: none;
+			}
 
-		#input:empty::after {
-			pointer-events: all;
-		}
+			.container[data-position^='bottom'] .error,
+			.container[data-position^='bottom'] .suggestions {
+				top: auto;
+				bottom: 100%;
+				margin: 0 0 8px 0;
+			}
 
-		.container:hover #input::after {
-			opacity: 1;
-		}
+			.icon::before,
+			.icon::after {
+				position: absolute;
+				top: 50%;
+				left: 18px;
+				width: 16px;
+				height: 16px;
+				background: #000;
+				background: linear-gradient(
+					190deg,
+					rgba(192, 192, 192, 0.6) 0%,
+					rgba(155, 155, 155, 0) 100%
+				);
+				border-radius: 100%;
+				transform: translate3D(0px, -50%, 0);
+				transition: transform 0.4s;
+				content: '';
+				opacity: 0.8 !important;
+			}
 
-		/* 
-		* On drag
-		*/
-		.container.is-about-to-drag {
-			cursor: grabbing !important;
-		}
+			#input:empty + .icon::before {
+				transform: translate3D(-4px, -50%, 0) !important;
+				opacity: 1 !important;
+			}
 
-		.container.is-dragging #input {
-			cursor: grabbing !important;
-		}
+			#input:empty + .icon::after {
+				transform: translate3D(4px, -50%, 0) !important;
+				opacity: 1 !important;
+			}
 
-		.container.is-dragging #input:hover {
-			background: none;
-		}
-	</style>
-	<div id="veil"></div>
-	<div class="container" id="container">
-			<div id="input"></div><span class="icon"></span>
-	</div>
-`
+			/* 
+			* Intention input
+			*/
+			#input {
+				position: relative;
+				min-width: 128px;
+				padding: 6px;
+				border-radius: 96px;
+				cursor: text !important;
+			}
 
-/**
- * Custom element that encapsulates the injected container and
- * avoids conflicts with incoming or outgoing styles etc.
- */
-class Intention extends HTMLElement {
-	constructor() {
-		super()
+			#input:focus {
+				border: none;
+				outline: none;
+			}
+
+			#input:empty::before {
+				color: var(--color-muted);
+				font-style: italic;
+				content: attr(data-placeholder);
+			}
+
+			#input:not(:focus):hover {
+				background: var(--color-hover);
+			}
+
+			#input:focus::after {
+				position: absolute;
+				top: 0;
+				left: 100%;
+				display: flex;
+				align-items: center;
+				height: 100%;
+				padding: 0px 32px;
+				color: var(--color-muted);
+				white-space: nowrap;
+				opacity: 1;
+				content: '↵ Enter';
+				pointer-events: none;
+				transition: opacity .3s;
+			}
+
+			#input:empty::after {
+				opacity: 0 !important;
+			}
+
+			#input:empty::after {
+				pointer-events: all;
+			}
+
+			.container:hover #input::after {
+				opacity: 1;
+			}
+
+			/* 
+			* On drag
+			*/
+			.container.is-about-to-drag {
+				cursor: grabbing !important;
+			}
+
+			.container.is-dragging #input {
+				cursor: grabbing !important;
+			}
+
+			.container.is-dragging #input:hover {
+				background: none;
+			}
+
+			/*
+			* Check-in
+			*/
+			.checkin {
+				display: none;
+			}
+
+			.container.is-checking-in {
+				flex-direction: column;
+				padding: 16px 24px;
+				border-radius: 24px;
+				cursor: default;
+			}
+
+			.container.is-checking-in #input,
+			.container.is-checking-in .icon {
+				display: none;
+			}
+
+			.container.is-checking-in .checkin {
+				display: flex;
+				flex-direction: column;
+				align-items: center;
+				gap: 8px;
+			}
+
+			.checkin-question {
+				margin: 0;
+				color: var(--color-muted);
+				font-size: 14px;
+			}
 
-		let rec, initX, initY, isDragging
-		let draggable = true
-		let vector = { x: -1, y: -1 }
+			.checkin-intention {
+				margin: 0;
+				font-style: italic;
+			}
 
-		const drag_treshold = 6 // px
-		const shadowRoot = this.attachShadow({ mode: 'open' })
-		shadowRoot.appendChild(template.content.cloneNode(true))
+			.checkin-answers {
+				display: flex;
+				gap: 8px;
+				padding-top: 8px;
+			}
 
-		this.veil = this.shadowRoot.getElementById('veil')
-		this.input = this.shadowRoot.getElementById('input')
-		this.container = this.shadowRoot.getElementById('container')
+			.checkin-answers button,
+			.leave {
+				padding: 6px 12px;
+				color: var(--color-text);
+				font-size: 14px;
+				font-family: inherit;
+				background: var(--color-button);
+				border: none;
+				border-radius: 96px;
+				cursor: pointer;
+			}
+
+			.checkin-answers button:hover,
+			.leave:hover {
+				color: #fff;
+				background: var(--color-accent);
+			}
+
+			/* The way out of a blurred page without an intention */
+			.leave {
+				display: none;
+				flex-shrink: 0;
+				margin-left: 12px;
+			}
+
+			.container[aria-modal='true']:not(.is-checking-in) .leave {
+				display: block;
+			}
+
+			/*
+			* Budget used up
+			*/
+			.container.is-over-budget {
+				box-shadow: 0 0 0 2px #d70015,
+					rgba(100, 100, 111, 0.2) 0px 7px 29px 0px;
+			}
+
+			.container.is-over-budget #input:empty::before {
+				color: #d70015;
+			}
+
+			/*
+			* Suggestions
+			*/
+			.suggestions {
+				position: absolute;
+				top: 100%;
+				left: 0;
+				min-width: 100%;
+				margin: 8px 0 0 0;
+				padding: 8px;
+				list-style: none;
+				background: var(--color-background);
+				border-radius: 24px;
+				box-shadow: rgba(100, 100, 111, 0.2) 0px 7px 29px 0px;
+				box-sizing: border-box;
+				cursor: default;
+			}
+
+			.suggestions[hidden] {
+				display: none;
+			}
+
+			.suggestions li {
+				padding: 6px 12px;
+				overflow: hidden;
+				white-space: nowrap;
+				text-overflow: ellipsis;
+				border-radius: 96px;
+				cursor: pointer;
+			}
+
+			.suggestions li:hover,
+			.suggestions li[aria-selected='true'] {
+				background: var(--color-hover);
+			}
+
+			/*
+			* Strict mode
+			*/
+			.error {
+				position: absolute;
+				top: 100%;
+				left: 50%;
+				margin: 8px 0 0 0;
+				padding: 4px 12px;
+				color: #fff;
+				font-size: 14px;
+				white-space: nowrap;
+				background: #d70015;
+				border-radius: 96px;
+				transform: translateX(-50%);
+			}
+
+			.error:empty {
+				display: none;
+			}
+
+			/*
+			* Accessibility
+			*/
+			.visually-hidden {
+				position: absolute;
+				width: 1px;
+				height: 1px;
+				overflow: hidden;
+				white-space: nowrap;
+				clip: rect(0 0 0 0);
+			}
+
+			#input[contenteditable='false']:focus-visible,
+			.checkin-answers button:focus-visible {
+				outline: 2px solid var(--color-accent);
+				outline-offset: 2px;
+			}
+
+			@media (prefers-reduced-motion: reduce) {
+				.icon::before,
+				.icon::after,
+				#input:focus::after {
+					transition: none;
+				}
+			}
+
+			@media (prefers-contrast: more) {
+				.container,
+				.suggestions {
+					border: 2px solid var(--color-text);
+				}
+
+				.suggestions li[aria-selected='true'] {
+					outline: 2px solid var(--color-accent);
+				}
+
+				#input:empty::before,
+				.checkin-question {
+					color: var(--color-text);
+				}
+			}
+
+			@media (forced-colors: active) {
+				.container,
+				.suggestions {
+					border: 1px solid CanvasText;
+				}
+
+				.suggestions li[aria-selected='true'] {
+					color: HighlightText;
+					background: Highlight;
+				}
+
+				#veil {
+					background-color: Canvas;
+				}
+
+				#input:empty::before {
+					color: GrayText;
+				}
+			}
+		</style>
+		<div id="veil" aria-hidden="true"></div>
+		<div class="container" id="container" role="dialog" aria-label="Intention" aria-describedby="hint">
+				<div id="input" role="combobox" aria-label="Your intention" aria-describedby="error" aria-autocomplete="list" aria-controls="suggestions" aria-expanded="false" tabindex="0"></div><span class="icon" aria-hidden="true"></span>
+				<ul class="suggestions" id="suggestions" role="listbox" aria-label="Suggestions" hidden></ul>
+				<p class="error" id="error" role="alert"></p>
+				<p class="visually-hidden" id="status" role="status"></p>
+				<button class="leave" id="leave" type="button">Leave page</button>
+				<p class="visually-hidden" id="hint">Press Enter to save the intention, the up and down arrow keys pick a suggestion, Alt and the arrow keys move the field. Tab reaches the button to leave the page.</p>
+				<div class="checkin" role="group" aria-labelledby="checkin-question">
+					<p class="checkin-question" id="checkin-question">Your intention was</p>
+					<p class="checkin-intention" id="checkin-intention"></p>
+					<div class="checkin-answers" id="checkin-answers"></div>
+				</div>
+		</div>
+	`
+
+	/**
+	 * Define the custom element. Content scripts have no access to custom
+	 * elements, see: https://bugs.chromium.org/p/chromium/issues/detail?id=390807#c59
+	 * hence the polyfill is loaded first if needed, it patches HTMLElement
+	 * which must happen before the class extends it.
+	 * @param {Function} callback - Called once the element is defined
+	 */
+	const defineIntention = function (callback) {
+		if (!window.customElements) {
+			return chrome.runtime.sendMessage({ type: 'LOAD_POLYFILL' }, () => {
+				// Don't ask again if the polyfill failed to load
+				if (window.customElements) defineIntention(callback)
+			})
+		}
+		if (customElements.get('intention-container')) return callback()
 
 		/**
-		 * Handle input events
+		 * Custom element that encapsulates the injected container and
+		 * avoids conflicts with incoming or outgoing styles etc.
 		 */
-		this.input.addEventListener('focus', (e) => {
-			document.body.classList.add('intent-focus')
-			this.veil.classList.add('isVisible')
-			this.container.classList.add('is-editing')
-			draggable = false
-		})
+		class Intention extends HTMLElement {
+			constructor() {
+				super()
+
+				let rec, initX, initY, isDragging
+				// Not the draggable attribute, elements may not add attributes while
+				// they are constructed
+				this.isDraggable = true
+				let vector = { x: -1, y: -1 }
+
+				const drag_treshold = 6 // px
+				const shadowRoot = this.attachShadow({ mode: 'open' })
+				shadowRoot.appendChild(template.content.cloneNode(true))
+
+				this.veil = this.shadowRoot.getElementById('veil')
+				this.input = this.shadowRoot.getElementById('input')
+				this.error = this.shadowRoot.getElementById('error')
+				this.status = this.shadowRoot.getElementById('status')
+				this.container = this.shadowRoot.getElementById('container')
+				this.suggestions = this.shadowRoot.getElementById('suggestions')
+				this.checkInQuestion =
+					this.shadowRoot.getElementById('checkin-question')
+				this.checkInIntention =
+					this.shadowRoot.getElementById('checkin-intention')
+				this.checkInAnswers =
+					this.shadowRoot.getElementById('checkin-answers')
+				this.leaveButton = this.shadowRoot.getElementById('leave')
+				this.setPlaceholder(placeholder)
+
+				/**
+				 * Handle check-in answers
+				 */
+				this.checkInAnswers.addEventListener('mousedown', (e) => {
+					// Answering is no drag
+					e.stopPropagation()
+				})
+				this.checkInAnswers.addEventListener('click', (e) => {
+					const answer = e.target.dataset && e.target.dataset.answer
+					if (!answer) return
+					if (this.reflection) {
+						this.answerReflection(answer)
+					} else {
+						this.answerCheckIn(answer)
+					}
+				})
+
+				this.leaveButton.addEventListener('mousedown', (e) => {
+					// Leaving keeps the focus in the field and is no drag
+					e.preventDefault()
+					e.stopPropagation()
+				})
+				this.leaveButton.addEventListener('click', () => this.leave())
+
+				/**
+				 * Handle suggestions
+				 */
+				this.suggestions.addEventListener('mousedown', (e) => {
+					// Picking keeps the focus in the field and is no drag
+					e.preventDefault()
+					e.stopPropagation()
+				})
+				this.suggestions.addEventListener('click', (e) => {
+					const option = e.target.closest('li')
+					if (option) this.pick(Number(option.dataset.index))
+				})
+
+				/**
+				 * Handle input events
+				 */
+				this.input.addEventListener('focus', (e) => {
+					// The saved intention is only focused, not edited yet
+					if (!this.input.isContentEditable) return
+					// Banners leave the page untouched
+					if (this.site.overlay !== 'banner') {
+						document.body.classList.add('intent-focus')
+						this.veil.classList.add('isVisible')
+					}
+					this.container.classList.add('is-editing')
+					this.isDraggable = false
+					this.suggest()
+				})
+
+				this.input.addEventListener('input', () => this.suggest())
+
+				this.input.addEventListener('blur', (e) => {
+					if (!this.input.isContentEditable) return
+					this.closeSuggestions()
+					// Tab to the leave button doesn't save the typed intention
+					if (e.relatedTarget === this.leaveButton) return
+
+					if (!this.input.innerHTML) {
+						// Banners can be ignored, blurred pages keep the field open.
+						// Focus isn't forced back, which would trap assistive
+						// technology, the veil and Tab keep it instead
+						if (this.site.overlay === 'banner') {
+							this.container.classList.remove('is-editing')
+							this.isDraggable = true
+						}
+					} else if (
+						(this.strict && this.strict.active) ||
+						this.budget
+					) {
+						// Strict mode and used up budgets reject intentions that
+						// are too short or filler
+						chrome.runtime.sendMessage(
+							{
+								type: 'VALIDATE_INTENTION',
+								intention: this.getIntention()
+							},
+							(error) => {
+								if (!error) return this.commit()
+								this.error.textContent = error
+								if (this.site.overlay !== 'banner') {
+									this.input.focus()
+								}
+							}
+						)
+					} else {
+						this.commit()
+					}
+				})
+
+				this.input.addEventListener('keydown', (e) => {
+					// Enter or Space edits the saved intention, like a click
+					if (!this.input.isContentEditable) {
+						if (e.key === 'Enter' || e.key === ' ') {
+							e.preventDefault()
+							this.edit()
+						}
+						return
+					}
+
+					this.error.textContent = ''
+
+					if (!this.suggestions.hidden) {
+						const count = this.options.length
+						if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+							e.preventDefault()
+							const next =
+								this.highlighted +
+								(e.key === 'ArrowDown' ? 1 : -1)
+							// Wraps around through the typed text
+							return this.highlight(
+								next < -1
+									? count - 1
+									: next >= count
+									? -1
+									: next
+							)
+						}
+						if (e.key === 'Enter' && this.highlighted > -1) {
+							e.preventDefault()
+							return this.pick(this.highlighted)
+						}
+						if (e.key === 'Escape') {
+							e.preventDefault()
+							return this.closeSuggestions()
+						}
+					}
+
+					// some websites (ex. youtube) prevent whitespaces hence we insert them programmatically, TODO: figure out why
+					if (e.key === ' ' || e.key === 'Spacebar') {
+						e.preventDefault()
+						this.insertAtCursor('&nbsp;')
+						this.suggest()
+					} else if (e.key === 'Enter') {
+						e.preventDefault()
+						this.input.blur()
+					}
+				})
 
-		this.input.addEventListener('blur', (e) => {
-			// trap focus if no intention has been set
-			if (!this.input.innerHTML) {
+				/**
+				 * Handle keyboard and pointer events outside of the field
+				 */
+				this.container.addEventListener('keydown', (e) => {
+					const step = e.shiftKey ? 10 : 2 // %
+					const arrows = {
+						ArrowLeft: [-step, 0],
+						ArrowRight: [step, 0],
+						ArrowUp: [0, -step],
+						ArrowDown: [0, step]
+					}
+
+					if (e.altKey && arrows[e.key]) {
+						e.preventDefault()
+						this.move(...arrows[e.key])
+					} else if (
+						e.key === 'Tab' &&
+						this.container.hasAttribute('aria-modal')
+					) {
+						// Tab moves through the controls of the field while the
+						// page is blurred and wraps around instead of reaching
+						// the page behind it
+						e.preventDefault()
+						const controls = this.getControls()
+						const index = controls.indexOf(
+							this.shadowRoot.activeElement
+						)
+						const step = e.shiftKey ? -1 : 1
+						controls[
+							index === -1
+								? 0
+								: (index + step + controls.length) %
+								  controls.length
+						].focus()
+					}
+				})
+
+				this.veil.addEventListener('mousedown', (e) => {
+					// Clicks on the blurred page don't take the focus away
+					e.preventDefault()
+					if (this.input.isContentEditable) this.input.focus()
+				})
+
+				/**
+				 * Handle drag events
+				 */
+				this.container.addEventListener('mousedown', (e) => {
+					rec = this.container.getBoundingClientRect()
+					initX = e.clientX
+					initY = e.clientY
+					isDragging = true
+					this.container.classList.add('is-about-to-drag')
+				})
+
+				document.addEventListener('mousemove', (e) => {
+					if (this.isDraggable && isDragging) {
+						e.preventDefault()
+
+						const deltaX = Math.abs(e.clientX - initX)
+						const deltaY = Math.abs(e.clientY - initY)
+						if (deltaX < drag_treshold && deltaY < drag_treshold) {
+							this.container.classList.add('is-dragging')
+						}
+
+						const absoluteX = Math.min(
+							Math.max(rec.left + e.clientX - initX, 0),
+							window.innerWidth - rec.width
+						)
+						const absoluteY = Math.min(
+							Math.max(rec.top + e.clientY - initY, 0),
+							window.innerHeight - rec.height
+						)
+						const relativeX = (100 * absoluteX) / window.innerWidth //-> %
+						const relativeY = (100 * absoluteY) / window.innerHeight //-> %
+						vector = { x: relativeX, y: relativeY }
+
+						this.place(vector)
+					}
+				})
+
+				document.addEventListener('mouseup', (e) => {
+					// Only handle clicks that started on the container
+					if (!isDragging) return
+
+					const deltaX = Math.abs(e.clientX - initX)
+					const deltaY = Math.abs(e.clientY - initY)
+
+					if (deltaX < drag_treshold && deltaY < drag_treshold) {
+						// Strict mode keeps the field locked for a moment
+						if (this.waitTimer) return
+						this.input.contentEditable = true
+						this.input.focus()
+					} else if (vector.x > -1) {
+						this.savePosition(vector)
+					}
+
+					isDragging = false
+					this.container.classList.remove('is-about-to-drag')
+					this.container.classList.remove('is-dragging')
+				})
+			}
+
+			connectedCallback() {
+				this.applyTheme(this.theme)
+				this.place(this.site.position)
+
+				// Visits that have ended are asked about before this one
+				if (this.reflection) {
+					this.reflect(this.reflection)
+				} else {
+					this.start()
+				}
+			}
+
+			/**
+			 * Ask for an intention or show the one that still holds.
+			 */
+			start() {
+				// The background worker keeps the intention in the scope of the site
+				if (!this.saved) {
+					chrome.runtime.sendMessage({ type: 'PROMPTED' })
+					this.ask()
+					return
+				}
+				this.input.textContent = this.saved
+				this.veil.classList.remove('isVisible')
+				this.container.removeAttribute('aria-modal')
+				document.body.classList.remove('intent-focus')
+			}
+
+			/**
+			 * Let the user edit the intention, ex. from a keyboard shortcut.
+			 */
+			edit() {
+				// Strict mode keeps the field locked for a moment
+				if (this.hidden || this.waitTimer) return
+				this.input.contentEditable = true
 				this.input.focus()
-			} else {
-				sessionStorage.setItem(
-					`${extensionID}-intention`,
-					e.target.innerHTML
+			}
+
+			/**
+			 * Forget the current intention and ask for a new one, ex. when the route
+			 * of a single-page app newly matches a rule.
+			 */
+			prompt() {
+				this.hidden = false
+				this.saved = undefined
+				// An unanswered reflection is asked about on the next page
+				this.reflection = undefined
+				this.container.classList.remove('is-checking-in')
+				this.input.innerHTML = ''
+				chrome.runtime.sendMessage({ type: 'PROMPTED' })
+				this.ask()
+			}
+
+			/**
+			 * Let the user type an intention. Strict mode keeps the field locked
+			 * and the page blurred for a few seconds first.
+			 */
+			ask() {
+				clearInterval(this.waitTimer)
+				this.waitTimer = undefined
+
+				// The page may not have focus, ex. when asked from the popup
+				if (this.site.overlay !== 'banner') {
+					document.body.classList.add('intent-focus')
+					this.veil.classList.add('isVisible')
+					this.container.setAttribute('aria-modal', 'true')
+					this.announce(
+						'The page is blurred until you set your intention.'
+					)
+				} else {
+					this.announce(placeholder)
+				}
+
+				// Going on past the budget takes a longer intention
+				this.container.classList.toggle('is-over-budget', !!this.budget)
+				this.setPlaceholder(this.getPlaceholder())
+				if (this.budget) {
+					this.announce(
+						`${this.budget} Explain why you'd like to go on.`
+					)
+				} else if (this.away) {
+					this.announce(awayPlaceholder)
+				}
+
+				if (!this.strict || !this.strict.active) {
+					this.input.contentEditable = true
+					this.input.focus()
+					return
+				}
+
+				this.input.contentEditable = 'false'
+				this.announce(
+					`Strict mode, you can type your intention in ${this.strict.delay} seconds.`
 				)
+
+				let seconds = this.strict.delay
+				const tick = () => {
+					if (seconds > 0) {
+						this.setPlaceholder(`Take a breath… ${seconds}`)
+						seconds--
+						return
+					}
+					clearInterval(this.waitTimer)
+					this.waitTimer = undefined
+					this.setPlaceholder(this.getPlaceholder())
+					this.input.contentEditable = true
+					this.input.focus()
+					this.announce('You can type your intention now.')
+				}
+				tick()
+				this.waitTimer = setInterval(tick, 1000)
+			}
+
+			/**
+			 * Hide the intention field and unblur the page, ex. when the route
+			 * of a single-page app doesn't match any rule anymore.
+			 */
+			hide() {
+				clearInterval(this.waitTimer)
+				this.waitTimer = undefined
+				this.setPlaceholder(placeholder)
+				this.error.textContent = ''
+				this.hidden = true
+				this.closeSuggestions()
+				this.container.classList.remove('is-over-budget')
 				this.veil.classList.remove('isVisible')
-				this.container.classList.remove('is-editing')
+				this.container.classList.remove('is-editing', 'is-checking-in')
+				this.container.removeAttribute('aria-modal')
 				document.body.classList.remove('intent-focus')
 				this.input.contentEditable = 'false'
-				draggable = true
 			}
-		})
 
-		this.input.addEventListener('keydown', (e) => {
-			// some websites (ex. youtube) prevent whitespaces hence we insert them programmatically, TODO: figure out why
-			if (e.key === ' ' || e.key === 'Spacebar') {
-				e.preventDefault()
-				this.insertAtCursor('&nbsp;')
-			} else if (e.key === 'Enter') {
-				e.preventDefault()
-				this.input.blur()
+			/**
+			 * Show the intention again and ask whether the user is still on task.
+			 * @param {Object} entry - Journal entry of the intention
+			 */
+			checkIn(entry) {
+				this.checkInEntry = entry
+				this.reflection = undefined
+				this.checkInQuestion.textContent = 'Your intention was'
+				this.checkInIntention.textContent = entry.intention
+				this.setAnswers(checkInAnswers)
+				this.container.classList.add('is-checking-in')
+				if (this.site.overlay !== 'banner') {
+					document.body.classList.add('intent-focus')
+					this.veil.classList.add('isVisible')
+					this.container.setAttribute('aria-modal', 'true')
+				}
+				this.announce(
+					`Check-in, your intention was ${entry.intention}. Are you still on it?`
+				)
 			}
-		})
 
-		/**
-		 * Handle drag events
-		 */
-		this.container.addEventListener('mousedown', (e) => {
-			rec = this.container.getBoundingClientRect()
-			initX = e.clientX
-			initY = e.clientY
-			isDragging = true
-			this.container.classList.add('is-about-to-drag')
-		})
+			/**
+			 * Send the check-in answer to the background worker which keeps it in the journal.
+			 * @param {String} answer - 'done', 'working' or 'distracted'
+			 */
+			answerCheckIn(answer) {
+				chrome.runtime.sendMessage({
+					type: 'CHECK_IN_ANSWER',
+					entryId: this.checkInEntry.id,
+					answer
+				})
 
-		document.addEventListener('mousemove', (e) => {
-			if (draggable && isDragging) {
-				e.preventDefault()
+				this.checkInEntry = undefined
+				this.container.classList.remove('is-checking-in')
 
-				const deltaX = Math.abs(e.clientX - initX)
-				const deltaY = Math.abs(e.clientY - initY)
-				if (deltaX < drag_treshold && deltaY < drag_treshold) {
-					this.container.classList.add('is-dragging')
+				if (answer === 'distracted') {
+					// Ask for a new intention, the background worker forgets the old one
+					this.saved = undefined
+					this.input.innerHTML = ''
+					this.ask()
+				} else {
+					this.veil.classList.remove('isVisible')
+					this.container.removeAttribute('aria-modal')
+					document.body.classList.remove('intent-focus')
 				}
+			}
 
-				const absoluteX = Math.min(
-					Math.max(rec.left + e.clientX - initX, 0),
-					window.innerWidth - rec.width
+			/**
+			 * Ask whether the intention of a visit that has ended has been met.
+			 * @param {Object} reflection - Ended visit, see reflections.js
+			 */
+			reflect(reflection) {
+				this.reflection = reflection
+				this.checkInQuestion.textContent =
+					'Did you do what you intended?'
+				this.checkInIntention.textContent = reflection.intention
+				this.setAnswers(reflectionAnswers)
+				this.container.classList.add('is-checking-in')
+				if (this.site.overlay !== 'banner') {
+					document.body.classList.add('intent-focus')
+					this.veil.classList.add('isVisible')
+					this.container.setAttribute('aria-modal', 'true')
+				}
+				this.announce(
+					`Your visit of ${reflection.pattern} has ended. Did you do what you intended: ${reflection.intention}?`
 				)
-				const absoluteY = Math.min(
-					Math.max(rec.top + e.clientY - initY, 0),
-					window.innerHeight - rec.height
+			}
+
+			/**
+			 * Send the answer to the background worker which keeps it in the
+			 * journal, then go on with this visit.
+			 * @param {String} answer - See reflectionAnswers
+			 */
+			answerReflection(answer) {
+				chrome.runtime.sendMessage({
+					type: 'ANSWER_REFLECTION',
+					entryId: this.reflection.entryId,
+					outcome: answer === 'skip' ? null : answer
+				})
+
+				this.reflection = undefined
+				this.container.classList.remove('is-checking-in')
+				this.start()
+			}
+
+			/**
+			 * Show the answers of a check-in or a reflection.
+			 * @param {Object} answers - Answer => label
+			 */
+			setAnswers(answers) {
+				while (this.checkInAnswers.firstChild) {
+					this.checkInAnswers.firstChild.remove()
+				}
+				Object.keys(answers).forEach((answer) => {
+					const button = document.createElement('button')
+					button.dataset.answer = answer
+					button.textContent = answers[answer]
+					this.checkInAnswers.appendChild(button)
+				})
+			}
+
+			/**
+			 * Return the controls that can be reached with Tab.
+			 * @returns {Array}
+			 */
+			getControls() {
+				if (this.container.classList.contains('is-checking-in')) {
+					return [...this.checkInAnswers.children]
+				}
+				return [this.input, this.leaveButton]
+			}
+
+			/**
+			 * Leave the blurred page without an intention, the background
+			 * worker goes back or closes the tab.
+			 */
+			leave() {
+				chrome.runtime.sendMessage({ type: 'LEAVE' })
+			}
+
+			/**
+			 * Send the intention to the background worker which keeps it in the
+			 * scope of the site and in the journal.
+			 */
+			saveIntention() {
+				let session = sessionStorage.getItem(`${extensionID}-session`)
+				if (!session) {
+					session = Math.random().toString(36).substr(2, 8)
+					sessionStorage.setItem(`${extensionID}-session`, session)
+				}
+
+				chrome.runtime.sendMessage({
+					type: 'SAVE_INTENTION',
+					intention: this.getIntention(),
+					session
+				})
+			}
+
+			/**
+			 * Return the intention as plain text.
+			 * @returns {String}
+			 */
+			getIntention() {
+				// Spaces are inserted as &nbsp;, see keydown handler
+				return this.input.textContent.replace(/\u00a0/g, ' ').trim()
+			}
+
+			/**
+			 * Keep the typed intention and unblur the page.
+			 */
+			commit() {
+				const intention = this.getIntention()
+				// Only save new or edited intentions
+				if (intention !== this.saved) {
+					this.saved = intention
+					this.saveIntention()
+					this.recent = [
+						intention,
+						...this.recent.filter((e) => e !== intention)
+					]
+				}
+				this.away = false
+				this.closeSuggestions()
+				this.veil.classList.remove('isVisible')
+				this.container.classList.remove('is-editing', 'is-over-budget')
+				this.container.removeAttribute('aria-modal')
+				document.body.classList.remove('intent-focus')
+				this.input.contentEditable = 'false'
+				this.isDraggable = true
+				this.announce(`Your intention is set: ${intention}`)
+			}
+
+			/**
+			 * Show an intention that has been set elsewhere, ex. in the popup
+			 * or in another tab of the site.
+			 * @param {String} intention
+			 */
+			setIntention(intention) {
+				this.hidden = false
+				this.saved = intention
+				clearInterval(this.waitTimer)
+				this.waitTimer = undefined
+				this.setPlaceholder(placeholder)
+				this.error.textContent = ''
+				this.input.textContent = intention
+				this.container.classList.remove('is-checking-in')
+				this.commit()
+			}
+
+			/**
+			 * Show the templates of the site and its recent intentions that
+			 * contain what has been typed so far.
+			 */
+			suggest() {
+				const typed = this.getIntention().toLowerCase()
+				this.options = [
+					...new Set([...this.site.templates, ...this.recent])
+				]
+					.filter(
+						(e) =>
+							e.toLowerCase() !== typed &&
+							e.toLowerCase().includes(typed)
+					)
+					.slice(0, 5)
+
+				while (this.suggestions.firstChild) {
+					this.suggestions.firstChild.remove()
+				}
+				this.options.forEach((text, i) => {
+					const option = document.createElement('li')
+					option.id = `suggestion-${i}`
+					option.dataset.index = i
+					option.setAttribute('role', 'option')
+					option.textContent = text
+					this.suggestions.appendChild(option)
+				})
+
+				this.suggestions.hidden = !this.options.length
+				this.input.setAttribute('aria-expanded', !!this.options.length)
+				this.highlight(-1)
+			}
+
+			/**
+			 * Highlight a suggestion, ex. with the arrow keys.
+			 * @param {Number} index - Index of the suggestion, -1 for none
+			 */
+			highlight(index) {
+				this.highlighted = index
+				Array.from(this.suggestions.children).forEach((option, i) =>
+					option.setAttribute('aria-selected', i === index)
 				)
-				const relativeX = (100 * absoluteX) / window.innerWidth //-> %
-				const relativeY = (100 * absoluteY) / window.innerHeight //-> %
-				vector = { x: relativeX, y: relativeY }
+				if (index > -1) {
+					this.input.setAttribute(
+						'aria-activedescendant',
+						`suggestion-${index}`
+					)
+				} else {
+					this.input.removeAttribute('aria-activedescendant')
+				}
+			}
+
+			/**
+			 * Fill the field with a suggestion, Enter saves it then. Templates
+			 * that end with an ellipsis leave the rest to be typed.
+			 * @param {Number} index - Index of the suggestion
+			 */
+			pick(index) {
+				const text = this.options[index]
+				const open = /(…|\.\.\.)$/.test(text)
 
-				this.container.style.transform = 'none'
-				this.container.style.left = `${vector.x}%`
-				this.container.style.top = `${vector.y}%`
+				// Spaces are inserted as &nbsp;, see keydown handler
+				this.input.textContent = open
+					? `${text.replace(/(…|\.\.\.)$/, '').trimEnd()}\u00a0`
+					: text
+				this.closeSuggestions()
+
+				const range = document.createRange()
+				range.selectNodeContents(this.input)
+				range.collapse(false)
+				window.getSelection().removeAllRanges()
+				window.getSelection().addRange(range)
 			}
-		})
 
-		document.addEventListener('mouseup', (e) => {
-			const deltaX = Math.abs(e.clientX - initX)
-			const deltaY = Math.abs(e.clientY - initY)
+			/**
+			 * Hide the suggestions.
+			 */
+			closeSuggestions() {
+				this.options = []
+				this.suggestions.hidden = true
+				this.input.setAttribute('aria-expanded', false)
+				this.highlight(-1)
+			}
 
-			if (deltaX < drag_treshold && deltaY < drag_treshold) {
-				this.input.contentEditable = true
-				this.input.focus()
-			} else {
-				sessionStorage.setItem(
-					`${extensionID}-position`,
-					JSON.stringify(vector)
+			/**
+			 * Return the placeholder of the empty field.
+			 * @returns {String}
+			 */
+			getPlaceholder() {
+				if (this.budget) return budgetPlaceholder
+				return this.away ? awayPlaceholder : placeholder
+			}
+
+			/**
+			 * Show a placeholder in the empty field and tell assistive technology.
+			 * @param {String} text
+			 */
+			setPlaceholder(text) {
+				this.input.dataset.placeholder = text
+				this.input.setAttribute('aria-placeholder', text)
+			}
+
+			/**
+			 * Announce a change to screen readers, ex. why the page is blurred.
+			 * @param {String} text
+			 */
+			announce(text) {
+				this.status.textContent = text
+			}
+
+			/**
+			 * Move the container by a share of the viewport, ex. with the arrow keys.
+			 * @param {Number} dx - Percent of the viewport width
+			 * @param {Number} dy - Percent of the viewport height
+			 */
+			move(dx, dy) {
+				const rec = this.container.getBoundingClientRect()
+				const x = Math.min(
+					Math.max((100 * rec.left) / window.innerWidth + dx, 0),
+					100 - (100 * rec.width) / window.innerWidth
 				)
+				const y = Math.min(
+					Math.max((100 * rec.top) / window.innerHeight + dy, 0),
+					100 - (100 * rec.height) / window.innerHeight
+				)
+
+				this.place({ x, y })
+				this.savePosition({ x, y })
 			}
 
-			isDragging = false
-			this.container.classList.remove('is-about-to-drag')
-			this.container.classList.remove('is-dragging')
-		})
-	}
+			/**
+			 * Show the container at a preset position or where it has been moved to.
+			 * @param {String|Object} position - Preset, ex. 'top-left', or { x, y } in percent
+			 */
+			place(position) {
+				const style = this.container.style
+				if (typeof position === 'object') {
+					delete this.container.dataset.position
+					style.transform = 'none'
+					style.left = `${position.x}%`
+					style.top = `${position.y}%`
+				} else {
+					this.container.dataset.position = position
+					style.transform = ''
+					style.left = ''
+					style.top = ''
+				}
+			}
 
-	connectedCallback() {
-		if (sessionStorage.getItem(`${extensionID}-position`)) {
-			const storage = sessionStorage.getItem(`${extensionID}-position`)
-			const pos = JSON.parse(storage)
-			if (pos.x > -1 && pos.y > -1) {
-				this.container.style.transform = 'none'
-				this.container.style.left = `${pos.x}%`
-				this.container.style.top = `${pos.y}%`
+			/**
+			 * Remember where the container has been moved to on this site. Moving
+			 * it with the arrow keys only saves once they rest for a moment.
+			 * @param {Object} position - { x, y } in percent of the viewport
+			 */
+			savePosition({ x, y }) {
+				const position = {
+					x: Math.round(x * 10) / 10,
+					y: Math.round(y * 10) / 10
+				}
+
+				clearTimeout(this.positionTimer)
+				this.positionTimer = setTimeout(() => {
+					this.site.position = position
+					chrome.runtime.sendMessage({
+						type: 'SAVE_POSITION',
+						position
+					})
+				}, 1000)
+			}
+
+			/**
+			 * Apply the theme settings, which the page can't override since
+			 * they are set on the element itself.
+			 * @param {Object} theme - Mode, accent color, blur and opacity of the veil
+			 */
+			applyTheme({ mode, accent, blur, opacity }) {
+				this.dataset.theme = mode
+				this.style.setProperty('--color-accent', accent)
+				this.style.setProperty('--veil-blur', `${blur}px`)
+				this.style.setProperty('--veil-opacity', opacity / 100)
 			}
-		}
 
-		if (!sessionStorage.getItem(`${extensionID}-intention`)) {
-			this.input.contentEditable = true
-			this.input.focus()
-		} else {
-			this.input.innerHTML = sessionStorage.getItem(
-				`${extensionID}-intention`
-			)
+			insertAtCursor(character) {
+				const root = this.shadowRoot
+				if (root.getSelection && root.getSelection().getRangeAt) {
+					const range = root.getSelection().getRangeAt(0)
+					const node = range.createContextualFragment(character)
+					range.deleteContents()
+					range.insertNode(node)
+					root.getSelection().collapseToEnd()
+					root.getSelection().modify('move', 'forward', 'character')
+				}
+			}
 		}
+
+		customElements.define('intention-container', Intention)
+		callback()
 	}
 
-	insertAtCursor(character) {
-		const root = this.shadowRoot
-		if (root.getSelection && root.getSelection().getRangeAt) {
-			const range = root.getSelection().getRangeAt(0)
-			const node = range.createContextualFragment(character)
-			range.deleteContents()
-			range.insertNode(node)
-			root.getSelection().collapseToEnd()
-			root.getSelection().modify('move', 'forward', 'character')
-		}
+	// Attribute that removes the veil, see veil.css
+	const READY_ATTRIBUTE = 'data-intention-ready'
+	let readyObserver
+
+	/**
+	 * Mark the document as ready, which removes the veil that covers the
+	 * page until the content script knows whether to ask, see veil.css.
+	 * Pages may reset the attributes of the document, ex. when switching
+	 * themes, the mark is set again, otherwise the page stays blurred.
+	 */
+	const ready = function () {
+		const root = document.documentElement
+		root.setAttribute(READY_ATTRIBUTE, '')
+		if (readyObserver) return
+
+		readyObserver = new MutationObserver(() => {
+			if (!root.hasAttribute(READY_ATTRIBUTE)) {
+				root.setAttribute(READY_ATTRIBUTE, '')
+			}
+		})
+		readyObserver.observe(root, {
+			attributes: true,
+			attributeFilter: [READY_ATTRIBUTE]
+		})
 	}
-}
 
-customElements.define('intention-container', Intention)
-const container = document.createElement('intention-container')
-document.body.prepend(container)
+	let container
+
+	/**
+	 * Ask the background worker for the settings of the matching site and
+	 * the intention that currently holds for it, and add the intention field
+	 * to the page once its body exists.
+	 */
+	const mount = function () {
+		chrome.runtime.sendMessage({ type: 'GET_STATE' }, (state) => {
+			// Excluded, paused or outside of the active hours
+			if (!state || container) return ready()
+
+			defineIntention(() => {
+				if (container) return
+				container = document.createElement('intention-container')
+				container.site = state.site
+				container.strict = state.strict
+				container.theme = state.theme
+				container.saved = state.intention
+				container.recent = state.suggestions
+				container.reflection = state.reflection
+				container.budget = state.budget
+
+				const prepend = () => {
+					document.body.prepend(container)
+					ready()
+				}
+				if (document.body) {
+					prepend()
+				} else {
+					document.addEventListener('DOMContentLoaded', prepend, {
+						once: true
+					})
+				}
+			})
+		})
+	}
+
+	chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+		if (!container) {
+			// Routes of single-page apps may newly match a rule
+			if (message.type === 'PROMPT') mount()
+		} else if (message.type === 'SET_INTENTION') {
+			container.setIntention(message.intention)
+		} else if (message.type === 'CHECK_IN') {
+			container.checkIn(message.entry)
+		} else if (message.type === 'PROMPT') {
+			container.site = message.site
+			container.budget = message.budget
+			// Asked again since the user comes back after some time away
+			container.away = message.away
+			container.place(message.site.position)
+			// Intentions of other tabs may still hold
+			if (message.intention) {
+				container.setIntention(message.intention)
+			} else {
+				container.prompt()
+			}
+		} else if (message.type === 'UNMATCH') {
+			container.hide()
+		} else if (message.type === 'FOCUS') {
+			container.edit()
+		}
+		// Lets the background worker know that the script is injected
+		sendResponse(true)
+	})
+
+	mount()
+}
@@ -0,0 +1,178 @@
+/**
+ * @file Extension's journal page which lists every intention that has been set
+ * and allows the user to search, filter and delete them.
+ */
+
+import { getEntries, getTags, filterEntries } from './utils/journal.js'
+import { OUTCOMES } from './utils/reflections.js'
+
+let JOURNAL_CACHE = []
+
+/**
+ * Copy-related
+ */
+const checkInAnswers = {
+	done: 'Done',
+	working: 'Still working on it',
+	distracted: 'Got distracted'
+}
+
+/**
+ * Selectors
+ */
+const journal_filter = document.querySelector('.journal-filter')
+const journal_search = document.querySelector('.journal-search')
+const journal_site = document.querySelector('.journal-site')
+const journal_tag = document.querySelector('.journal-tag')
+const journal_from = document.getElementById('journal-from')
+const journal_to = document.getElementById('journal-to')
+const journal_list = document.querySelector('.journal-list')
+const journal_empty = document.querySelector('.journal-empty')
+
+/**
+ * Parse the value of a date input as local midnight.
+ * @param {String} value - Date string, ex. '2021-12-24'
+ * @param {Number} offset - Days added to the date
+ * @returns {Number|undefined} - Returns timestamp or undefined if value is empty
+ */
+const parseDate = function (value, offset = 0) {
+	if (!value) return undefined
+	const [y, m, d] = value.split('-').map(Number)
+	return new Date(y, m - 1, d + offset).getTime()
+}
+
+/**
+ * Creates a LI node for a journal entry containing its intention,
+ * site, date and a delete button.
+ * @param {Object} entry
+ * @returns {HTMLLIElement}
+ */
+const createEntry = function (entry) {
+	const item = document.createElement('li')
+	item.id = entry.id
+
+	const wrapper = document.createElement('div')
+	const intention = document.createElement('p')
+	intention.className = 'journal-entry-intention'
+	intention.textContent = entry.intention
+
+	const meta = document.createElement('p')
+	meta.className = 'journal-entry-meta'
+	const link = document.createElement('a')
+	link.href = entry.url
+	link.textContent = entry.hostname
+	meta.appendChild(link)
+	meta.appendChild(
+		document.createTextNode(
+			` • ${new Date(entry.timestamp).toLocaleString()}`
+		)
+	)
+
+	// Clicking a tag filters by it
+	getTags(entry).forEach((tag) => {
+		const button = document.createElement('button')
+		button.type = 'button'
+		button.className = 'journal-entry-tag'
+		button.textContent = `#${tag}`
+		button.onclick = () => {
+			journal_tag.value = tag
+			render()
+		}
+		meta.appendChild(button)
+	})
+
+	// Show the latest check-in answer
+	if (entry.checkIns && entry.checkIns.length) {
+		const { answer } = entry.checkIns[entry.checkIns.length - 1]
+		meta.appendChild(
+			document.createTextNode(` • ${checkInAnswers[answer]}`)
+		)
+	}
+
+	if (entry.outcome) {
+		meta.appendChild(
+			document.createTextNode(` • Did it: ${OUTCOMES[entry.outcome]}`)
+		)
+	}
+
+	wrapper.appendChild(intention)
+	wrapper.appendChild(meta)
+
+	const deleteButton = document.createElement('button')
+	deleteButton.appendChild(document.createTextNode('Delete'))
+	deleteButton.className = 'delete'
+	deleteButton.onclick = () =>
+		chrome.runtime
+			.sendMessage({ type: 'REMOVE_ENTRY', id: entry.id })
+			.then((removed) => {
+				if (!removed) throw new Error("Couldn't delete the entry.")
+				JOURNAL_CACHE = JOURNAL_CACHE.filter((e) => e.id !== entry.id)
+				render()
+			})
+			.catch((e) => console.error(e))
+
+	item.appendChild(wrapper)
+	item.appendChild(deleteButton)
+
+	return item
+}
+
+/**
+ * Render journal entries that match the current filter.
+ */
+const render = function () {
+	const entries = filterEntries(JOURNAL_CACHE, {
+		query: journal_search.value,
+		hostname: journal_site.value,
+		tag: journal_tag.value,
+		from: parseDate(journal_from.value),
+		// Include the whole 'to' day
+		to: parseDate(journal_to.value, 1)
+	})
+
+	while (journal_list.firstChild) {
+		journal_list.firstChild.remove()
+	}
+	entries.forEach((e) => journal_list.appendChild(createEntry(e)))
+
+	if (!JOURNAL_CACHE.length) {
+		journal_empty.textContent = 'No intentions have been set yet.'
+	} else if (!entries.length) {
+		journal_empty.textContent = 'No intentions match your filter.'
+	} else {
+		journal_empty.textContent = ''
+	}
+}
+
+/**
+ * Event listeners
+ */
+journal_filter.addEventListener('submit', (e) => e.preventDefault())
+journal_filter.addEventListener('input', render)
+
+/**
+ * Setup
+ */
+getEntries()
+	.then((entries) => {
+		JOURNAL_CACHE = entries
+
+		const hostnames = [...new Set(entries.map((e) => e.hostname))].sort()
+		hostnames.forEach((e) => {
+			const option = document.createElement('option')
+			option.value = e
+			option.textContent = e
+			journal_site.appendChild(option)
+		})
+
+		const tags = [...new Set(entries.flatMap(getTags))].sort()
+		tags.forEach((e) => {
+			const option = document.createElement('option')
+			option.value = e
+			option.textContent = `#${e}`
+			journal_tag.appendChild(option)
+		})
+
+		render()
+	})
+	.catch((e) => console.error(e))
@@ -1,16 +1,61 @@
 /**
  * @file Extension's option page which allows the user to add/delete URLs
- * and set a specific timeframe during which the extension runs/sleeps.
+ * and set a weekly schedule during which the extension runs/sleeps.
  */
 
 import {
-	createTime,
+	WEEK,
+	INTERVALS,
+	createDay,
+	migrateTime,
 	toggleTimeFeature,
 	toggleTimeFormat,
 	setTime
 } from './utils/time.js'
 
-import { createItem, addItem } from './utils/list.js'
+import {
+	createItem,
+	createGroupItem,
+	createProfileItem,
+	addItem,
+	setPending,
+	setLocked
+} from './utils/list.js'
+import { tryParsePattern, describePattern } from './utils/match.js'
+import { isScheduled, toHHMM } from './utils/schedule.js'
+import {
+	CHECK_IN_MINUTES,
+	AWAY_MINUTES,
+	THEME_MODES,
+	THEME_BLUR,
+	THEME_OPACITY,
+	migrateSites,
+	getSettings,
+	updateSettings
+} from './utils/storage.js'
+import {
+	SETTINGS_KEYS,
+	isSyncEnabled,
+	getSyncError,
+	readSettings,
+	enableSync,
+	disableSync,
+	onSettingsChanged
+} from './utils/sync.js'
+import { requestUnlock, cancelUnlock } from './utils/strict.js'
+import {
+	createBackup,
+	parseBackup,
+	applyBackup,
+	diffBackup,
+	importBackup
+} from './utils/backup.js'
+import { addGroup, addProfile } from './utils/profiles.js'
+import { toDateKey } from './utils/helper.js'
+
+let TIME_CACHE
+let BACKUP_CACHE
+let PROFILES_CACHE = { groups: {}, profiles: {} }
 
 /**
  * Selectors
@@ -21,34 +66,121 @@ const add_url_container = document.querySelector('.add-url-container')
 const add_url_input = document.querySelector('.add-url-input')
 const add_url_button = document.querySelector('.add-url-button')
 const add_url_error = document.querySelector('.add-url-error')
+const add_url_preview = document.querySelector('.add-url-preview')
+
+const group_list = document.querySelector('.group-list')
+const add_group_container = document.querySelector('.add-group-container')
+const add_group_input = document.querySelector('.add-group-input')
+const profile_list = document.querySelector('.profile-list')
+const add_profile_container = document.querySelector('.add-profile-container')
+const add_profile_input = document.querySelector('.add-profile-input')
 
 const manage_time_toggle = document.querySelector('.manage-time-toggle')
 const manage_time_toggle_checkbox = document.querySelector(
 	'.manage-time-toggle-checkbox'
 )
 const time_edit_container = document.querySelector('.time-edit-container')
-const time_edit_select = document.querySelector('.time-edit-select')
+const time_edit_interval = document.getElementById('interval')
+const time_edit_timezone = document.getElementById('timezone')
+const time_edit_status = document.querySelector('.time-edit-status')
+const time_schedule = document.querySelector('.time-schedule')
 const time_edit_response = document.querySelector('.time-edit-response')
 const time_edit_change_format = document.querySelector(
 	'.time-edit-change-format'
 )
+const time_locked = document.querySelectorAll('.manage-time .strict-locked')
+
+const manage_checkin_toggle = document.querySelector('.manage-checkin-toggle')
+const manage_checkin_toggle_checkbox = document.querySelector(
+	'.manage-checkin-toggle-checkbox'
+)
+const checkin_edit_container = document.querySelector('.checkin-edit-container')
+const checkin_minutes = document.getElementById('checkin-minutes')
+const manage_away_toggle = document.querySelector('.manage-away-toggle')
+const manage_away_toggle_checkbox = document.querySelector(
+	'.manage-away-toggle-checkbox'
+)
+const away_edit_container = document.querySelector('.away-edit-container')
+const away_minutes = document.getElementById('away-minutes')
+const manage_strict_toggle = document.querySelector('.manage-strict-toggle')
+const manage_strict_toggle_checkbox = document.querySelector(
+	'.manage-strict-toggle-checkbox'
+)
+const strict_words = document.getElementById('strict-words')
+const strict_delay = document.getElementById('strict-delay')
+const strict_wait = document.getElementById('strict-wait')
+const strict_pending = document.querySelector('.strict-pending')
+const strict_pending_text = document.querySelector('.strict-pending-text')
+const strict_keep = document.querySelector('.strict-keep')
+const manage_sync_toggle = document.querySelector('.manage-sync-toggle')
+const manage_sync_toggle_checkbox = document.querySelector(
+	'.manage-sync-toggle-checkbox'
+)
+const sync_error = document.querySelector('.sync-error')
+
+const open_journal = document.querySelector('.open-journal')
+const open_stats = document.querySelector('.open-stats')
+
+const export_backup = document.querySelector('.export-backup')
+const import_backup = document.querySelector('.import-backup')
+const import_backup_input = document.querySelector('.import-backup-input')
+const backup_error = document.querySelector('.backup-error')
+const backup_preview = document.querySelector('.backup-preview')
+const backup_diff = document.querySelector('.backup-diff')
+const backup_mode = document.querySelector('.backup-mode')
+const backup_apply = document.querySelector('.backup-apply')
+const backup_cancel = document.querySelector('.backup-cancel')
+const theme_mode = document.getElementById('theme-mode')
+const theme_accent = document.getElementById('theme-accent')
+const theme_blur = document.getElementById('theme-blur')
+const theme_opacity = document.getElementById('theme-opacity')
+const budget_reset = document.getElementById('budget-reset')
+
+/**
+ * Choices of strict mode, see SETTINGS_DEFAULTS
+ */
+const STRICT_WORDS = [1, 2, 3, 5, 8]
+const STRICT_DELAY = [0, 5, 10, 20, 30]
+const STRICT_WAIT = [5, 15, 30, 60, 120]
+
+// Select of each strict setting
+const STRICT_SELECTS = {
+	minWords: strict_words,
+	delay: strict_delay,
+	wait: strict_wait
+}
 
 /**
  * Copy-related
  */
 const showFormat = { gb: 'Show 24 hours format', us: 'Show 12 hours format' }
+const settingsLabels = {
+	time: 'Active hours',
+	checkIn: 'Check-ins',
+	away: 'Asking again after time away',
+	strict: 'Strict mode',
+	theme: 'Appearance',
+	profiles: 'Groups and profiles',
+	budget: 'Daily budgets'
+}
 
 /**
  * Event listeners
  */
 
 add_url_container.addEventListener('submit', (e) =>
-	addItem(e, add_url_input.value, ({ message, uid, hostname }) => {
+	addItem(e, add_url_input.value, ({ message, uid, site }) => {
 		if (message === 'SUCCESS') {
-			const item = createItem(uid, hostname)
+			const item = createItem(
+				uid,
+				site,
+				getTimeOptions(),
+				PROFILES_CACHE.groups
+			)
 			url_list.appendChild(item)
 			add_url_input.value = ''
 			add_url_error.textContent = ''
+			add_url_preview.textContent = ''
 		} else {
 			add_url_error.textContent = message
 		}
@@ -61,6 +193,36 @@ add_url_input.addEventListener('input', (e) => {
 	} else {
 		add_url_button.classList.remove('is-visible')
 	}
+
+	// Preview what the entered rule will match
+	const rule = tryParsePattern(e.currentTarget.value)
+	add_url_preview.textContent = rule ? describePattern(rule) : ''
+	add_url_error.textContent =
+		e.currentTarget.value && !rule ? 'Not a valid URL or pattern.' : ''
+})
+
+add_group_container.addEventListener('submit', (e) => {
+	e.preventDefault()
+	const name = add_group_input.value.trim()
+	if (!name) return
+
+	// Rendered by the settings listener
+	addGroup(name)
+		.then(() => {
+			add_group_input.value = ''
+		})
+		.catch((e) => console.error(e))
+})
+add_profile_container.addEventListener('submit', (e) => {
+	e.preventDefault()
+	const name = add_profile_input.value.trim()
+	if (!name) return
+
+	addProfile(name)
+		.then(() => {
+			add_profile_input.value = ''
+		})
+		.catch((e) => console.error(e))
 })
 
 manage_time_toggle.addEventListener('mouseenter', () => {
@@ -81,63 +243,570 @@ manage_time_toggle_checkbox.addEventListener('change', () =>
 )
 time_edit_change_format.addEventListener('click', () => {
 	toggleTimeFormat((is24Hrs) => {
+		TIME_CACHE.use24Hrs = !is24Hrs
 		time_edit_change_format.textContent = is24Hrs
 			? showFormat.gb
 			: showFormat.us
+		renderSchedule()
 	})
 })
-time_edit_select.addEventListener('change', (e) => {
-	setTime(e, ({ id, index }) => {
-		if (index) {
-			const el = document.getElementById(id)
-			el.value = index
-		}
-		// TODO: Make more elegant
-		time_edit_response.textContent = 'Updated time.'
-		setTimeout(() => {
-			time_edit_response.textContent = ''
-		}, 2000)
+time_edit_timezone.addEventListener('change', (e) => {
+	const timeZone = e.target.value || null
+	setTime('timeZone', timeZone, () => {
+		TIME_CACHE.timeZone = timeZone
+		renderStatus()
+		showTimeResponse()
+	})
+})
+time_edit_interval.addEventListener('change', (e) => {
+	const interval = Number(e.target.value)
+	setTime('interval', interval, () => {
+		TIME_CACHE.interval = interval
+		renderSchedule()
+		showTimeResponse()
 	})
 })
 
+manage_checkin_toggle.addEventListener('mouseenter', () => {
+	manage_checkin_toggle.parentNode.classList.add('hover')
+})
+manage_checkin_toggle.addEventListener('mouseleave', () => {
+	manage_checkin_toggle.parentNode.classList.remove('hover')
+})
+manage_checkin_toggle_checkbox.addEventListener('change', (e) => {
+	updateSettings('checkIn', { active: e.target.checked })
+		.then(({ active }) => {
+			checkin_edit_container.classList.toggle('is-visible', active)
+			manage_checkin_toggle.parentNode.classList.toggle(
+				'is-visible',
+				active
+			)
+		})
+		.catch((e) => console.error(e))
+})
+checkin_minutes.addEventListener('change', (e) => {
+	updateSettings('checkIn', { minutes: Number(e.target.value) }).catch((e) =>
+		console.error(e)
+	)
+})
+manage_away_toggle.addEventListener('mouseenter', () => {
+	manage_away_toggle.parentNode.classList.add('hover')
+})
+manage_away_toggle.addEventListener('mouseleave', () => {
+	manage_away_toggle.parentNode.classList.remove('hover')
+})
+manage_away_toggle_checkbox.addEventListener('change', (e) => {
+	updateSettings('away', { active: e.target.checked })
+		.then(({ active }) => {
+			away_edit_container.classList.toggle('is-visible', active)
+			manage_away_toggle.parentNode.classList.toggle('is-visible', active)
+		})
+		.catch((e) => console.error(e))
+})
+away_minutes.addEventListener('change', (e) => {
+	updateSettings('away', { minutes: Number(e.target.value) }).catch((e) =>
+		console.error(e)
+	)
+})
+theme_mode.addEventListener('change', (e) => {
+	updateSettings('theme', { mode: e.target.value }).catch((e) =>
+		console.error(e)
+	)
+})
+theme_accent.addEventListener('change', (e) => {
+	updateSettings('theme', { accent: e.target.value }).catch((e) =>
+		console.error(e)
+	)
+})
+theme_blur.addEventListener('change', (e) => {
+	updateSettings('theme', { blur: Number(e.target.value) }).catch((e) =>
+		console.error(e)
+	)
+})
+theme_opacity.addEventListener('change', (e) => {
+	updateSettings('theme', { opacity: Number(e.target.value) }).catch((e) =>
+		console.error(e)
+	)
+})
+budget_reset.addEventListener('change', (e) => {
+	updateSettings('budget', { reset: e.target.value }).catch((e) =>
+		console.error(e)
+	)
+})
+manage_strict_toggle.addEventListener('mouseenter', () => {
+	manage_strict_toggle.parentNode.classList.add('hover')
+})
+manage_strict_toggle.addEventListener('mouseleave', () => {
+	manage_strict_toggle.parentNode.classList.remove('hover')
+})
+manage_strict_toggle_checkbox.addEventListener('change', (e) => {
+	// Turning strict mode off waits, see strict.js
+	const request = e.target.checked
+		? updateSettings('strict', { active: true })
+		: requestUnlock('disable')
+
+	// Re-rendered by the settings listener
+	manage_strict_toggle_checkbox.checked = true
+	request.catch((e) => console.error(e))
+})
+Object.keys(STRICT_SELECTS).forEach((key) => {
+	STRICT_SELECTS[key].addEventListener('change', (e) => {
+		updateSettings('strict', { [key]: Number(e.target.value) }).catch((e) =>
+			console.error(e)
+		)
+	})
+})
+strict_keep.addEventListener('click', () => {
+	cancelUnlock('disable').catch((e) => console.error(e))
+})
+manage_sync_toggle.addEventListener('mouseenter', () => {
+	manage_sync_toggle.parentNode.classList.add('hover')
+})
+manage_sync_toggle.addEventListener('mouseleave', () => {
+	manage_sync_toggle.parentNode.classList.remove('hover')
+})
+manage_sync_toggle_checkbox.addEventListener('change', (e) => {
+	const toggleSync = e.target.checked ? enableSync : disableSync
+	manage_sync_toggle_checkbox.disabled = true
+
+	toggleSync()
+		// Settings may have changed by merging them with other devices
+		.then(() => location.reload())
+		.catch((err) => {
+			console.error(err)
+			sync_error.textContent = err.message
+			manage_sync_toggle_checkbox.checked = !e.target.checked
+			manage_sync_toggle_checkbox.disabled = false
+		})
+})
+
+open_journal.addEventListener('click', () => {
+	chrome.tabs.create({ url: chrome.runtime.getURL('journal.html') })
+})
+open_stats.addEventListener('click', () => {
+	chrome.tabs.create({ url: chrome.runtime.getURL('stats.html') })
+})
+export_backup.addEventListener('click', () => {
+	readSettings(SETTINGS_KEYS)
+		.then((settings) => {
+			const backup = createBackup(settings)
+			const blob = new Blob([JSON.stringify(backup, null, 2)], {
+				type: 'application/json'
+			})
+			const link = document.createElement('a')
+			link.href = URL.createObjectURL(blob)
+			link.download = `intention-${toDateKey(new Date())}.json`
+			link.click()
+			URL.revokeObjectURL(link.href)
+		})
+		.catch((e) => console.error(e))
+})
+import_backup.addEventListener('click', () => import_backup_input.click())
+import_backup_input.addEventListener('change', (e) => {
+	const [file] = e.target.files
+	if (!file) return
+
+	file.text()
+		.then((json) => {
+			BACKUP_CACHE = parseBackup(json)
+			backup_error.textContent = ''
+			renderBackup()
+		})
+		.catch((err) => {
+			BACKUP_CACHE = undefined
+			backup_error.textContent = err.message
+			backup_preview.classList.remove('is-visible')
+		})
+	// Allow to pick the same file again
+	import_backup_input.value = ''
+})
+backup_mode.addEventListener('change', () => renderBackup())
+backup_apply.addEventListener('click', () => {
+	importBackup(BACKUP_CACHE, backup_mode.elements['backup-mode'].value)
+		.then(() => location.reload())
+		.catch((e) => {
+			backup_error.textContent = e.message
+		})
+})
+backup_cancel.addEventListener('click', () => {
+	BACKUP_CACHE = undefined
+	backup_preview.classList.remove('is-visible')
+})
+
 /**
- * Setup
+ * Shows a short confirmation below the schedule.
  */
-chrome.storage.local.get(undefined, ({ sites, time }) => {
+const showTimeResponse = function () {
+	// TODO: Make more elegant
+	time_edit_response.textContent = 'Updated time.'
+	setTimeout(() => {
+		time_edit_response.textContent = ''
+	}, 2000)
+}
+
+/**
+ * Return interval and date string of the time options, see createTime.
+ * @returns {Object}
+ */
+const getTimeOptions = function () {
+	return {
+		interval: TIME_CACHE.interval,
+		str: TIME_CACHE.use24Hrs ? 'en-GB' : 'en-US'
+	}
+}
+
+/**
+ * Renders the list of websites.
+ * @param {Object} sites - Stored sites, keyed by ID
+ */
+const renderSites = function (sites) {
+	while (url_list.firstChild) {
+		url_list.firstChild.remove()
+	}
 	Object.keys(sites).forEach((e) => {
-		url_list.appendChild(createItem(e, sites[e]))
+		url_list.appendChild(
+			createItem(e, sites[e], getTimeOptions(), PROFILES_CACHE.groups)
+		)
 	})
+}
 
-	const from = document.getElementById('from')
-	const to = document.getElementById('to')
+/**
+ * Renders the groups and profiles from PROFILES_CACHE.
+ */
+const renderProfiles = function () {
+	const { groups, profiles } = PROFILES_CACHE
 
-	if (time.active) {
-		time_edit_container.classList.add('is-visible')
-		manage_time_toggle_checkbox.parentNode.parentNode.classList.toggle(
-			'is-visible'
-		)
-		manage_time_toggle_checkbox.checked = true
+	while (group_list.firstChild) {
+		group_list.firstChild.remove()
 	}
+	Object.keys(groups).forEach((e) => {
+		group_list.appendChild(createGroupItem(e, groups[e]))
+	})
 
-	let interval, str
-	const is24Hrs = time.use24Hrs
+	while (profile_list.firstChild) {
+		profile_list.firstChild.remove()
+	}
+	Object.keys(profiles).forEach((e) => {
+		profile_list.appendChild(
+			createProfileItem(e, profiles[e], groups, getTimeOptions())
+		)
+	})
+}
 
-	if (is24Hrs) {
-		interval = 30
-		str = 'en-GB'
-		from.appendChild(createTime({ interval, str }))
-		to.appendChild(createTime({ interval, str }))
-	} else {
-		interval = 30
-		str = 'en-US'
-		from.appendChild(createTime({ interval, str }))
-		to.appendChild(createTime({ interval, str }))
+/**
+ * Renders the weekly schedule from TIME_CACHE.
+ */
+const renderSchedule = function () {
+	const { interval, str } = getTimeOptions()
+
+	while (time_schedule.firstChild) {
+		time_schedule.firstChild.remove()
 	}
 
-	from.value = time.from
-	to.value = time.to
+	WEEK.forEach((day) => {
+		const windows = TIME_CACHE.schedule[day] || []
+		const item = createDay(
+			{ day, windows, interval, str },
+			(_day, _windows) => {
+				TIME_CACHE.schedule[_day] = _windows
+				setTime('schedule', TIME_CACHE.schedule, showTimeResponse)
+				renderStatus()
+			}
+		)
+		time_schedule.appendChild(item)
+	})
+}
+
+/**
+ * Shows whether the schedule is active right now.
+ */
+const renderStatus = function () {
+	time_edit_status.textContent = isScheduled(TIME_CACHE, new Date())
+		? 'Intention is active right now.'
+		: 'Intention is asleep right now.'
+}
 
-	time_edit_change_format.appendChild(
-		document.createTextNode(is24Hrs ? showFormat.us : showFormat.gb)
-	)
+/**
+ * Render the changes an import of the selected backup would make.
+ */
+const renderBackup = function () {
+	if (!BACKUP_CACHE) return
+
+	readSettings(SETTINGS_KEYS)
+		.then((settings) => {
+			const mode = backup_mode.elements['backup-mode'].value
+			const diff = diffBackup(
+				settings,
+				applyBackup(settings, BACKUP_CACHE, mode)
+			)
+			const lines = [
+				...diff.added.map((e) => `Adds ${e}`),
+				...diff.changed.map((e) => `Updates the settings of ${e}`),
+				...diff.removed.map((e) => `Removes ${e}`),
+				...diff.settings.map(
+					(e) => `Replaces your ${settingsLabels[e] || e}`
+				)
+			]
+
+			while (backup_diff.firstChild) {
+				backup_diff.firstChild.remove()
+			}
+			if (!lines.length) {
+				lines.push('Your settings already match this backup.')
+			}
+			lines.forEach((line) => {
+				const item = document.createElement('li')
+				item.textContent = line
+				backup_diff.appendChild(item)
+			})
+
+			backup_preview.classList.add('is-visible')
+		})
+		.catch((e) => console.error(e))
+}
+
+/**
+ * Renders strict mode and the removals it has pending. While it's on,
+ * choices that loosen the rules are disabled, see strict.js.
+ * @param {Object} strict - Strict settings, see SETTINGS_DEFAULTS
+ */
+const renderStrict = function (strict) {
+	const { active, pending } = strict
+
+	manage_strict_toggle_checkbox.checked = active
+	manage_strict_toggle_checkbox.disabled = active && !!pending.disable
+	manage_strict_toggle.parentNode.classList.toggle('is-visible', active)
+
+	Object.keys(STRICT_SELECTS).forEach((key) => {
+		const select = STRICT_SELECTS[key]
+		select.value = strict[key]
+		Array.from(select.options).forEach((option) => {
+			option.disabled = active && Number(option.value) < strict[key]
+		})
+	})
+
+	strict_pending.classList.toggle('is-visible', active && !!pending.disable)
+	strict_pending_text.textContent = pending.disable
+		? `Strict mode turns off at ${new Date(
+				pending.disable
+		  ).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`
+		: ''
+
+	Array.from(url_list.children).forEach((item) => {
+		setPending(item, active ? pending.remove[item.id] : undefined)
+		setLocked(item, active)
+	})
+	Array.from(profile_list.children).forEach((item) => setLocked(item, active))
+	time_locked.forEach((e) => {
+		e.disabled = active
+	})
+}
+
+/**
+ * Setup
+ */
+Promise.all([readSettings(['sites', 'time']), getSettings('profiles')])
+	.then(([storage, profiles]) => {
+		const sites = migrateSites(storage.sites)
+		const time = migrateTime(storage.time)
+		TIME_CACHE = time
+		PROFILES_CACHE = profiles
+
+		renderSites(sites)
+		renderProfiles()
+
+		if (time.active) {
+			time_edit_container.classList.add('is-visible')
+			manage_time_toggle_checkbox.parentNode.parentNode.classList.toggle(
+				'is-visible'
+			)
+			manage_time_toggle_checkbox.checked = true
+		}
+
+		INTERVALS.forEach((e) => {
+			const option = document.createElement('option')
+			option.value = e
+			option.textContent = `${e} minutes`
+			time_edit_interval.appendChild(option)
+		})
+		time_edit_interval.value = TIME_CACHE.interval
+
+		Intl.supportedValuesOf('timeZone').forEach((e) => {
+			const option = document.createElement('option')
+			option.value = e
+			option.textContent = e.replace(/_/g, ' ')
+			time_edit_timezone.appendChild(option)
+		})
+		time_edit_timezone.value = TIME_CACHE.timeZone || ''
+
+		renderSchedule()
+		renderStatus()
+
+		time_edit_change_format.appendChild(
+			document.createTextNode(
+				TIME_CACHE.use24Hrs ? showFormat.us : showFormat.gb
+			)
+		)
+
+		// The sites and profiles may be rendered after strict mode
+		return getSettings('strict').then(renderStrict)
+	})
+	.catch((e) => console.error(e))
+
+getSettings('checkIn')
+	.then(({ active, minutes }) => {
+		CHECK_IN_MINUTES.forEach((e) => {
+			const option = document.createElement('option')
+			option.value = e
+			option.textContent = `${e} minutes`
+			checkin_minutes.appendChild(option)
+		})
+		checkin_minutes.value = minutes
+
+		manage_checkin_toggle_checkbox.checked = active
+		checkin_edit_container.classList.toggle('is-visible', active)
+		manage_checkin_toggle.parentNode.classList.toggle('is-visible', active)
+	})
+	.catch((e) => console.error(e))
+
+getSettings('away')
+	.then(({ active, minutes }) => {
+		AWAY_MINUTES.forEach((e) => {
+			const option = document.createElement('option')
+			option.value = e
+			option.textContent = `${e} minutes`
+			away_minutes.appendChild(option)
+		})
+		away_minutes.value = minutes
+
+		manage_away_toggle_checkbox.checked = active
+		away_edit_container.classList.toggle('is-visible', active)
+		manage_away_toggle.parentNode.classList.toggle('is-visible', active)
+	})
+	.catch((e) => console.error(e))
+
+getSettings('theme')
+	.then(({ mode, accent, blur, opacity }) => {
+		Object.keys(THEME_MODES).forEach((e) => {
+			const option = document.createElement('option')
+			option.value = e
+			option.textContent = THEME_MODES[e]
+			theme_mode.appendChild(option)
+		})
+		THEME_BLUR.forEach((e) => {
+			const option = document.createElement('option')
+			option.value = e
+			option.textContent = e ? `${e} pixels` : 'None'
+			theme_blur.appendChild(option)
+		})
+		THEME_OPACITY.forEach((e) => {
+			const option = document.createElement('option')
+			option.value = e
+			option.textContent = e ? `${e}%` : 'Not at all'
+			theme_opacity.appendChild(option)
+		})
+
+		theme_mode.value = mode
+		theme_accent.value = accent
+		theme_blur.value = blur
+		theme_opacity.value = opacity
+	})
+	.catch((e) => console.error(e))
+
+getSettings('budget')
+	.then(({ reset }) => {
+		for (let hour = 0; hour < 24; hour++) {
+			const option = document.createElement('option')
+			option.value = toHHMM(hour * 60)
+			option.textContent = new Date(1970, 0, 1, hour).toLocaleTimeString(
+				[],
+				{ hour: '2-digit', minute: '2-digit' }
+			)
+			budget_reset.appendChild(option)
+		}
+		budget_reset.value = reset
+	})
+	.catch((e) => console.error(e))
+
+/**
+ * Render whether settings are synced and why syncing stopped, if it
+ * stopped by itself, see writeSettings.
+ */
+const renderSync = function () {
+	Promise.all([isSyncEnabled(), getSyncError()])
+		.then(([active, error]) => {
+			manage_sync_toggle_checkbox.checked = active
+			manage_sync_toggle.parentNode.classList.toggle('is-visible', active)
+			sync_error.textContent = error
+				? `${error} Syncing has been turned off, your settings are kept on this device.`
+				: ''
+		})
+		.catch((e) => console.error(e))
+}
+
+renderSync()
+
+getSettings('strict')
+	.then((strict) => {
+		const units = {
+			minWords: ['word', 'words'],
+			delay: ['second', 'seconds'],
+			wait: ['minute', 'minutes']
+		}
+		const choices = {
+			minWords: STRICT_WORDS,
+			delay: STRICT_DELAY,
+			wait: STRICT_WAIT
+		}
+		Object.keys(STRICT_SELECTS).forEach((key) => {
+			choices[key].forEach((e) => {
+				const option = document.createElement('option')
+				option.value = e
+				option.textContent = `${e} ${units[key][e === 1 ? 0 : 1]}`
+				STRICT_SELECTS[key].appendChild(option)
+			})
+		})
+
+		renderStrict(strict)
+	})
+	.catch((e) => console.error(e))
+
+/**
+ * Keep strict mode and the list up to date, ex. when a pending removal is carried out.
+ */
+onSettingsChanged((keys) => {
+	// Switching the storage area changes every setting
+	if (keys.length === SETTINGS_KEYS.length) renderSync()
+	if (keys.includes('profiles')) {
+		Promise.all([getSettings('profiles'), readSettings(['sites'])])
+			.then(([profiles, { sites = {} }]) => {
+				const groupsChanged =
+					JSON.stringify(profiles.groups) !==
+					JSON.stringify(PROFILES_CACHE.groups)
+				const profilesChanged =
+					Object.keys(profiles.profiles).join() !==
+					Object.keys(PROFILES_CACHE.profiles).join()
+				PROFILES_CACHE = profiles
+
+				// Editing a profile keeps its expanded editor
+				if (!groupsChanged && !profilesChanged) return undefined
+
+				renderProfiles()
+				if (groupsChanged) renderSites(migrateSites(sites))
+				return getSettings('strict').then(renderStrict)
+			})
+			.catch((e) => console.error(e))
+	}
+	if (keys.includes('sites')) {
+		readSettings(['sites']).then(({ sites = {} }) => {
+			Array.from(url_list.children)
+				.filter((item) => !sites[item.id])
+				.forEach((item) => item.remove())
+		})
+	}
+	if (keys.includes('strict') || keys.includes('sites')) {
+		getSettings('strict')
+			.then(renderStrict)
+			.catch((e) => console.error(e))
+	}
 })
@@ -1,54 +1,417 @@
-import { addURL, removeURL } from './utils/storage.js'
-import { getKey, getUID } from './utils/helper.js'
+import {
+	addURL,
+	migrateSites,
+	getSettings,
+	requestAccess,
+	hasAccess
+} from './utils/storage.js'
+import { removeSite } from './utils/strict.js'
+import { getUID } from './utils/helper.js'
+import { readSettings } from './utils/sync.js'
+import { findMatch, findExclusion } from './utils/match.js'
+import { PAUSE_DURATIONS } from './utils/pause.js'
+import { OUTCOMES } from './utils/reflections.js'
 import { getCurrentTab, refreshTab } from './utils/tab.js'
 
 let STORAGE_CACHE
+let COUNTDOWN
 
 const actionProhibited = document.querySelector('.action-prohibited')
 const addWebsite = document.querySelector('.add-website')
 const addButton = document.querySelector('.add-button')
+const addError = document.querySelector('.add-error')
 const removeWebsite = document.querySelector('.remove-website')
 const removeButton = document.querySelector('.remove-button')
+const grantAccess = document.querySelector('.grant-access')
+const grantButton = document.querySelector('.grant-button')
+const pauseStrict = document.querySelector('.pause-strict')
+const pauseStatus = document.querySelector('.pause-status')
+const pauseStatusText = document.querySelector('.pause-status-text')
+const resumeButton = document.querySelector('.resume-button')
+const pauseError = document.querySelector('.pause-error')
+const pauseSite = document.querySelector('.pause-site')
+const pauseAll = document.querySelector('.pause-all')
+const intention = document.querySelector('.intention')
+const intentionSince = document.querySelector('.intention-since')
+const intentionForm = document.querySelector('.intention-form')
+const intentionInput = document.querySelector('.intention-input')
+const intentionError = document.querySelector('.intention-error')
+const intentionClear = document.querySelector('.intention-clear')
+const reflection = document.querySelector('.reflection')
+const reflectionIntention = document.querySelector('.reflection-intention')
+const reflectionAnswers = document.querySelector('.reflection-answers')
+const profile = document.querySelector('.profile')
+const profileSelect = document.querySelector('.profile-select')
+const profileError = document.querySelector('.profile-error')
 
-chrome.storage.local.get('sites', (data) => {
-	if (chrome.runtime.lastError) {
-		return new Error(chrome.runtime.lastError)
-	}
+const IsVisibleClass = 'is-visible'
 
-	const { sites } = data
-	STORAGE_CACHE = sites
+/**
+ * Format the time left of a pause, ex. '1:04:09'.
+ * @param {Number} ms
+ * @returns {String}
+ */
+const formatCountdown = function (ms) {
+	const seconds = Math.max(Math.ceil(ms / 1000), 0)
+	const h = Math.floor(seconds / 3600)
+	const m = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0')
+	const s = String(seconds % 60).padStart(2, '0')
+	return h ? `${h}:${m}:${s}` : `${Number(m)}:${s}`
+}
 
-	getCurrentTab().then((tab) => {
-		const IsVisibleClass = 'is-visible'
-		if (!tab.url) {
-			actionProhibited.classList.add(IsVisibleClass)
-			return
-		}
+/**
+ * Show why pausing, resuming or reading the pauses failed.
+ * @param {Error} error
+ */
+const showPauseError = function (error) {
+	console.error(error)
+	pauseError.textContent = error.message
+}
 
-		const url = new URL(tab.url)
+/**
+ * Fill a pause section with a button per pause length.
+ * @param {HTMLElement} container - .pause-site or .pause-all
+ * @param {String|null} pattern - Rule of the site, null pauses everything
+ */
+const createPauseOptions = function (container, pattern) {
+	const options = container.querySelector('.pause-options')
+	PAUSE_DURATIONS.forEach(({ value, label }) => {
+		const button = document.createElement('button')
+		button.className = 'secondary'
+		button.textContent = label
+		button.addEventListener('click', () =>
+			chrome.runtime
+				.sendMessage({ type: 'PAUSE', pattern, duration: value })
+				.then((pause) => {
+					// The background worker answers without a pause if it failed
+					if (!pause) {
+						throw new Error("Couldn't pause, please try again.")
+					}
+					renderPause(pattern)
+				})
+				.catch(showPauseError)
+		)
+		options.appendChild(button)
+	})
+}
 
-		addButton.textContent = `Add ${url.hostname}`
-		removeButton.textContent = `Remove ${url.hostname}`
-		console.log(url)
+/**
+ * Show the pause that applies to the current site with a countdown,
+ * or the choices to pause it, which strict mode holds back.
+ * @param {String|null} pattern - Rule of the current site or null if no site matches
+ */
+const renderPause = function (pattern) {
+	Promise.all([
+		chrome.runtime.sendMessage({ type: 'GET_PAUSES' }),
+		getSettings('strict')
+	])
+		.then(([pauses, strict]) => {
+			if (!pauses) throw new Error("Couldn't read the pauses.")
+			pauseError.textContent = ''
 
-		if (url.protocol !== 'http:' && url.protocol !== 'https:') {
-			actionProhibited.classList.add(IsVisibleClass)
-			return
-		}
+			const sitePause = pattern && pauses.sites[pattern]
+			const pause = pauses.all || sitePause
+			const label = pauses.all
+				? 'Everything is paused'
+				: `${pattern} is paused`
 
-		if (Object.values(sites).some((e) => e === url.hostname)) {
-			const key = getKey(sites, url.hostname)
-			removeButton.addEventListener('click', () =>
-				removeURL(key).then(() => refreshTab(() => window.close()))
+			clearInterval(COUNTDOWN)
+			pauseStrict.classList.toggle(
+				IsVisibleClass,
+				strict.active && !pause
 			)
-			removeWebsite.classList.add(IsVisibleClass)
-		} else {
-			const uid = getUID()
-
-			addButton.addEventListener('click', () =>
-				addURL(uid, url).then(() => refreshTab(() => window.close()))
+			pauseStatus.classList.toggle(IsVisibleClass, !!pause)
+			pauseSite.classList.toggle(
+				IsVisibleClass,
+				!!pattern && !pause && !strict.active
+			)
+			pauseAll.classList.toggle(
+				IsVisibleClass,
+				!pauses.all && !strict.active
 			)
-			addWebsite.classList.add(IsVisibleClass)
+
+			if (!pause) return
+
+			const update = () => {
+				const left = pause.until - Date.now()
+				if (left <= 0) return renderPause(pattern)
+				pauseStatusText.textContent = `${label}, ${formatCountdown(
+					left
+				)} left`
+			}
+			update()
+			COUNTDOWN = setInterval(update, 1000)
+
+			resumeButton.onclick = () =>
+				chrome.runtime
+					.sendMessage({
+						type: 'RESUME',
+						pattern: pauses.all ? null : pattern
+					})
+					.then((resumed) => {
+						if (!resumed) {
+							throw new Error(
+								"Couldn't resume, please try again."
+							)
+						}
+						renderPause(pattern)
+					})
+					.catch(showPauseError)
+		})
+		.catch(showPauseError)
+}
+
+/**
+ * Show why setting or clearing the intention failed.
+ * @param {Error} error
+ */
+const showIntentionError = function (error) {
+	console.error(error)
+	intentionError.textContent = error.message
+}
+
+/**
+ * Show the intention that holds for a tab and let the user change it. The
+ * background worker answers from the intentions it keeps for the site, see
+ * intentions.js, and tells the tab about changes.
+ * @param {Number} tabId
+ */
+const renderIntention = function (tabId) {
+	chrome.runtime
+		.sendMessage({ type: 'GET_INTENTION', tabId })
+		.then((state) => {
+			// The page of the tab matches no site
+			if (!state) return
+
+			intentionInput.value = state.intention
+			intentionSince.textContent = state.since
+				? `· set at ${new Date(state.since).toLocaleTimeString([], {
+						hour: '2-digit',
+						minute: '2-digit'
+				  })}`
+				: ''
+			intention.classList.add(IsVisibleClass)
+
+			intentionForm.onsubmit = (e) => {
+				e.preventDefault()
+				const value = intentionInput.value.trim()
+				if (!value) return
+
+				chrome.runtime
+					.sendMessage({
+						type: 'SET_INTENTION',
+						tabId,
+						intention: value
+					})
+					.then((response) => {
+						// The background worker answers without a response if it failed
+						if (!response) {
+							throw new Error("Couldn't set the intention.")
+						}
+						if (response.error) {
+							intentionError.textContent = response.error
+							return
+						}
+						window.close()
+					})
+					.catch(showIntentionError)
+			}
+			intentionInput.oninput = () => {
+				intentionError.textContent = ''
+			}
+			// The page asks for a new intention
+			intentionClear.onclick = () =>
+				chrome.runtime
+					.sendMessage({ type: 'CLEAR_INTENTION', tabId })
+					.then((cleared) => {
+						if (!cleared) {
+							throw new Error("Couldn't ask for a new intention.")
+						}
+						window.close()
+					})
+					.catch(showIntentionError)
+		})
+		.catch((e) => console.error(e))
+}
+
+/**
+ * Show the profiles to switch between, only if there are any. Strict mode
+ * holds switching back.
+ */
+const renderProfiles = function () {
+	Promise.all([
+		chrome.runtime.sendMessage({ type: 'GET_PROFILES' }),
+		getSettings('strict')
+	])
+		.then(([state, strict]) => {
+			// The background worker answers without a state if it failed
+			if (!state || !state.profiles.length) return
+
+			const { profiles, chosen, current } = state
+
+			const scheduled = !chosen && profiles.find((e) => e.id === current)
+			const options = [
+				{
+					id: '',
+					name: scheduled
+						? `By schedule (${scheduled.name})`
+						: 'By schedule'
+				},
+				...profiles
+			]
+
+			while (profileSelect.firstChild) {
+				profileSelect.firstChild.remove()
+			}
+			options.forEach(({ id, name }) => {
+				const option = document.createElement('option')
+				option.value = id
+				option.textContent = name
+				profileSelect.appendChild(option)
+			})
+			profileSelect.value = chosen || ''
+			profileSelect.disabled = strict.active
+			profile.classList.add(IsVisibleClass)
+
+			profileSelect.onchange = (e) =>
+				chrome.runtime
+					.sendMessage({
+						type: 'CHOOSE_PROFILE',
+						id: e.target.value || null
+					})
+					.then((chosen) => {
+						if (!chosen) {
+							throw new Error("Couldn't switch the profile.")
+						}
+						profileError.textContent = ''
+					})
+					.catch((error) => {
+						console.error(error)
+						profileError.textContent = error.message
+					})
+					// Shows the profile that is chosen now, also if it failed
+					.then(() => renderProfiles())
+		})
+		.catch((e) => console.error(e))
+}
+
+/**
+ * Ask whether the intention of a visit that has ended has been met,
+ * one visit after another.
+ */
+const renderReflection = function () {
+	chrome.runtime.sendMessage({ type: 'GET_REFLECTION' }).then((state) => {
+		reflection.classList.toggle(IsVisibleClass, !!state)
+		if (!state) return
+
+		reflectionIntention.textContent = `"${state.intention}" on ${state.pattern}`
+
+		while (reflectionAnswers.firstChild) {
+			reflectionAnswers.firstChild.remove()
 		}
+		const answers = { ...OUTCOMES, skip: 'Skip' }
+		Object.keys(answers).forEach((key) => {
+			const button = document.createElement('button')
+			button.className = key === 'skip' ? 'secondary' : 'primary'
+			button.textContent = answers[key]
+			button.addEventListener('click', () =>
+				chrome.runtime
+					.sendMessage({
+						type: 'ANSWER_REFLECTION',
+						entryId: state.entryId,
+						outcome: key === 'skip' ? null : key
+					})
+					.then(() => renderReflection())
+			)
+			reflectionAnswers.appendChild(button)
+		})
+	})
+}
+
+renderReflection()
+renderProfiles()
+
+readSettings(['sites'])
+	.then((data) => {
+		const sites = migrateSites(data.sites)
+		STORAGE_CACHE = sites
+
+		createPauseOptions(pauseAll, null)
+
+		getCurrentTab().then((tab) => {
+			if (!tab.url) {
+				actionProhibited.classList.add(IsVisibleClass)
+				renderPause(null)
+				return
+			}
+
+			const url = new URL(tab.url)
+
+			addButton.textContent = `Add ${url.hostname}`
+			removeButton.textContent = `Remove ${url.hostname}`
+			console.log(url)
+
+			if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+				actionProhibited.classList.add(IsVisibleClass)
+				renderPause(null)
+				return
+			}
+
+			const key = findMatch(sites, url)
+			if (key !== undefined) {
+				removeButton.textContent = `Remove ${sites[key].pattern}`
+				removeButton.addEventListener('click', () =>
+					removeSite(key).then((until) => {
+						if (!until) return refreshTab(() => window.close())
+
+						// Strict mode only removes sites after its waiting period
+						removeButton.disabled = true
+						removeButton.textContent = `Removed at ${new Date(
+							until
+						).toLocaleTimeString([], {
+							hour: '2-digit',
+							minute: '2-digit'
+						})}`
+					})
+				)
+				removeWebsite.classList.add(IsVisibleClass)
+
+				// Sites synced from another device may lack the permission on this one
+				const pattern = sites[key].pattern
+				hasAccess([pattern]).then((granted) => {
+					grantAccess.classList.toggle(IsVisibleClass, !granted)
+				})
+				grantButton.addEventListener('click', () =>
+					requestAccess([pattern]).then((granted) => {
+						if (granted) refreshTab(() => window.close())
+					})
+				)
+
+				pauseSite.querySelector(
+					'.pause-label'
+				).textContent = `Pause ${sites[key].pattern}`
+				createPauseOptions(pauseSite, sites[key].pattern)
+				renderPause(sites[key].pattern)
+				renderIntention(tab.id)
+			} else {
+				const uid = getUID()
+				const excluded = findExclusion(sites, url)
+
+				if (excluded !== undefined) {
+					// Adding the host wouldn't ask for an intention on this page
+					addButton.disabled = true
+					addError.textContent = `This page is excluded by ${sites[excluded].pattern}.`
+				}
+				addButton.addEventListener('click', () =>
+					addURL(uid, url.hostname)
+						.then(() => refreshTab(() => window.close()))
+						.catch((e) => {
+							addError.textContent = e.message
+						})
+				)
+				addWebsite.classList.add(IsVisibleClass)
+				renderPause(null)
+			}
+		})
 	})
-})
+	.catch((e) => console.error(e))
@@ -0,0 +1,231 @@
+/**
+ * @file Extension's statistics page which shows how often and how long
+ * the configured websites are visited.
+ */
+
+import {
+	getStats,
+	summarizeDays,
+	summarizeWeeks,
+	getSuccessRate
+} from './utils/stats.js'
+import { getPauseLog } from './utils/pause.js'
+import { createBarChart } from './utils/chart.js'
+
+let STATS_CACHE = {}
+let PAUSE_CACHE = []
+
+// Number of pauses listed
+const PAUSE_ROWS = 10
+
+/**
+ * Selectors
+ */
+const stats_filter = document.querySelector('.stats-filter form')
+const stats_site = document.querySelector('.stats-site')
+const stats_metric = document.querySelector('.stats-metric')
+const stats_chart_daily = document.querySelector('.stats-chart-daily')
+const stats_chart_weekly = document.querySelector('.stats-chart-weekly')
+const stats_table = document.querySelector('.stats-table tbody')
+const stats_empty = document.querySelector('.stats-empty')
+const stats_pauses_summary = document.querySelector('.stats-pauses-summary')
+const stats_pause_table = document.querySelector('.stats-pause-table tbody')
+
+/**
+ * Format seconds as hours and minutes, ex. '1h 5m'.
+ * @param {Number} seconds
+ * @returns {String}
+ */
+const formatDuration = function (seconds) {
+	const minutes = Math.round(seconds / 60)
+	if (minutes < 60) return `${minutes}m`
+	return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
+
+/**
+ * Return the value of a metric, skipped intentions are derived from
+ * the times an intention has been asked for and the ones that have been set.
+ * @param {Object} total - Totals, see stats.js
+ * @param {String} metric
+ * @returns {Number}
+ */
+const getMetric = function (total, metric) {
+	if (metric === 'skipped') {
+		return Math.max(total.prompts - total.intentions, 0)
+	}
+	if (metric === 'success') return getSuccessRate(total) || 0
+	return total[metric]
+}
+
+/**
+ * Return the formatter of the values of a metric.
+ * @param {String} metric
+ * @returns {Function}
+ */
+const getFormat = function (metric) {
+	if (metric === 'time') return formatDuration
+	if (metric === 'success') return (value) => `${value}%`
+	return String
+}
+
+/**
+ * Replace the children of a node.
+ * @param {HTMLElement} parent
+ * @param {Node} child
+ */
+const replaceChildren = function (parent, child) {
+	while (parent.firstChild) {
+		parent.firstChild.remove()
+	}
+	if (child) parent.appendChild(child)
+}
+
+/**
+ * Render charts and table.
+ */
+const render = function () {
+	const pattern = stats_site.value || undefined
+	const metric = stats_metric.value
+	const format = getFormat(metric)
+	const end = new Date()
+
+	const days = summarizeDays(STATS_CACHE, { days: 7, end, pattern })
+	replaceChildren(
+		stats_chart_daily,
+		createBarChart(
+			days.map((e) => ({
+				label: e.date.toLocaleDateString(undefined, {
+					weekday: 'short'
+				}),
+				value: getMetric(e, metric)
+			})),
+			{ format }
+		)
+	)
+
+	const weeks = summarizeWeeks(STATS_CACHE, { weeks: 8, end, pattern })
+	replaceChildren(
+		stats_chart_weekly,
+		createBarChart(
+			weeks.map((e) => ({
+				label: e.date.toLocaleDateString(undefined, {
+					day: 'numeric',
+					month: 'short'
+				}),
+				value: getMetric(e, metric)
+			})),
+			{ format }
+		)
+	)
+
+	replaceChildren(stats_table)
+	const patterns = getPatterns().filter((e) => !pattern || e === pattern)
+	patterns.forEach((e) => {
+		const [week] = summarizeWeeks(STATS_CACHE, {
+			weeks: 1,
+			end,
+			pattern: e
+		})
+
+		const rate = getSuccessRate(week)
+		const values = [
+			e,
+			week.visits,
+			formatDuration(week.time),
+			week.intentions,
+			getMetric(week, 'skipped'),
+			rate === null ? '–' : `${rate}%`,
+			week.outside
+		]
+
+		const row = document.createElement('tr')
+		values.forEach((value) => {
+			const cell = document.createElement('td')
+			cell.textContent = value
+			row.appendChild(cell)
+		})
+		stats_table.appendChild(row)
+	})
+
+	stats_empty.textContent = patterns.length
+		? ''
+		: 'No visits have been recorded yet.'
+
+	renderPauses(pattern)
+}
+
+/**
+ * Render the latest pauses of a site, including pauses of everything.
+ * @param {String|undefined} pattern - Rule of the site or undefined for all pauses
+ */
+const renderPauses = function (pattern) {
+	const pauses = PAUSE_CACHE.filter(
+		(e) => !pattern || !e.pattern || e.pattern === pattern
+	)
+	const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000
+	const thisWeek = pauses.filter((e) => e.since >= weekAgo).length
+
+	stats_pauses_summary.textContent = pauses.length
+		? `Paused ${thisWeek} ${
+				thisWeek === 1 ? 'time' : 'times'
+		  } in the last 7 days.`
+		: 'Nothing has been paused yet.'
+
+	replaceChildren(stats_pause_table)
+	pauses.slice(0, PAUSE_ROWS).forEach((e) => {
+		const values = [
+			e.pattern || 'Everything',
+			new Date(e.since).toLocaleString(undefined, {
+				dateStyle: 'short',
+				timeStyle: 'short'
+			}),
+			formatDuration((e.until - e.since) / 1000),
+			e.resumed ? formatDuration((e.until - e.resumed) / 1000) : '–'
+		]
+
+		const row = document.createElement('tr')
+		values.forEach((value) => {
+			const cell = document.createElement('td')
+			cell.textContent = value
+			row.appendChild(cell)
+		})
+		stats_pause_table.appendChild(row)
+	})
+}
+
+/**
+ * Return all rules that have statistics, sorted alphabetically.
+ * @returns {Array}
+ */
+const getPatterns = function () {
+	const patterns = new Set()
+	Object.values(STATS_CACHE).forEach((day) =>
+		Object.keys(day).forEach((e) => patterns.add(e))
+	)
+	return [...patterns].sort()
+}
+
+/**
+ * Event listeners
+ */
+stats_filter.addEventListener('submit', (e) => e.preventDefault())
+stats_filter.addEventListener('change', render)
+
+/**
+ * Setup
+ */
+Promise.all([getStats(), getPauseLog()])
+	.then(([stats, pauses]) => {
+		STATS_CACHE = stats
+		PAUSE_CACHE = pauses
+
+		getPatterns().forEach((e) => {
+			const option = document.createElement('option')
+			option.value = e
+			option.textContent = e
+			stats_site.appendChild(option)
+		})
+
+		render()
+	})
+	.catch((e) => console.error(e))
@@ -0,0 +1,495 @@
+/**
+ * @file Export the settings into a versioned JSON file and import them again,
+ * either merged into the current settings or replacing them.
+ *
+ * Sites are exported as a list without their IDs, ex.
+ * { version: 1, sites: [{ pattern: 'example.com', overlay: 'blur', … }], time: {…} }
+ * so that files can be shared and imported on top of other lists.
+ */
+
+import { getUID, isObject } from './helper.js'
+import { parsePattern } from './match.js'
+import { isValidTimeZone, toMinutes } from './schedule.js'
+import {
+	SITE_DEFAULTS,
+	OVERLAY_OPTIONS,
+	SCOPE_OPTIONS,
+	SCOPE_MINUTES,
+	POSITION_OPTIONS,
+	SETTINGS_DEFAULTS,
+	CHECK_IN_MINUTES,
+	AWAY_MINUTES,
+	THEME_MODES,
+	THEME_BLUR,
+	THEME_OPACITY,
+	migrateSite,
+	requestAccess
+} from './storage.js'
+import { BUDGET_LIMITS } from './budget.js'
+import { INTERVALS } from './time.js'
+import { SETTINGS_KEYS, readSettings, writeSettings } from './sync.js'
+
+// Bump when the format changes in a way older versions can't read
+const BACKUP_VERSION = 1
+
+/**
+ * Check if a value is a time of day, ex. '09:30'.
+ * @param {*} value
+ * @returns {Boolean}
+ */
+const isTime = function (value) {
+	return (
+		typeof value === 'string' &&
+		/^\d{2}:\d{2}$/.test(value) &&
+		toMinutes(value) < 24 * 60 &&
+		Number(value.slice(3)) < 60
+	)
+}
+
+/**
+ * Validate a weekly schedule, see time.js.
+ * @param {*} schedule
+ * @returns {Boolean}
+ */
+const isSchedule = function (schedule) {
+	return (
+		isObject(schedule) &&
+		Object.keys(schedule).every(
+			(day) =>
+				/^[0-6]$/.test(day) &&
+				Array.isArray(schedule[day]) &&
+				schedule[day].every(
+					(w) => isObject(w) && isTime(w.from) && isTime(w.to)
+				)
+		)
+	)
+}
+
+/**
+ * Validate the position of the intention field, a preset or where it has
+ * been moved to in percent of the viewport.
+ * @param {*} position
+ * @returns {Boolean}
+ */
+const isPosition = function (position) {
+	if (isObject(position)) {
+		return ['x', 'y'].every(
+			(e) =>
+				typeof position[e] === 'number' &&
+				position[e] >= 0 &&
+				position[e] <= 100
+		)
+	}
+	return position in POSITION_OPTIONS
+}
+
+/**
+ * Validate the daily budget of a site.
+ * @param {*} budget
+ * @returns {Boolean}
+ */
+const isBudget = function (budget) {
+	return (
+		budget === null ||
+		(isObject(budget) &&
+			budget.type in BUDGET_LIMITS &&
+			BUDGET_LIMITS[budget.type].includes(budget.limit))
+	)
+}
+
+/**
+ * Validate the sites of a backup and normalize their rules.
+ * @param {Array} sites
+ * @returns {Array} - Returns sites filled up with defaults
+ */
+const validateSites = function (sites) {
+	if (!Array.isArray(sites)) throw new Error('Websites must be a list.')
+
+	return sites.map((site) => {
+		const _site = typeof site === 'string' ? { pattern: site } : site
+		if (!isObject(_site) || typeof _site.pattern !== 'string') {
+			throw new Error('Every website needs a rule.')
+		}
+
+		let rule
+		try {
+			rule = parsePattern(_site.pattern)
+		} catch (e) {
+			throw new Error(`"${_site.pattern}" is not a valid URL or rule.`)
+		}
+
+		// Backups of older versions may still contain their settings
+		const {
+			schedule,
+			overlay,
+			scope,
+			scopeMinutes,
+			position,
+			group,
+			templates,
+			budget
+		} = migrateSite(_site)
+		if (schedule !== null && !isSchedule(schedule)) {
+			throw new Error(`Active hours of ${rule.pattern} are not valid.`)
+		}
+		if (
+			!(overlay in OVERLAY_OPTIONS) ||
+			!(scope in SCOPE_OPTIONS) ||
+			!SCOPE_MINUTES.includes(scopeMinutes) ||
+			!isPosition(position) ||
+			(group !== null && typeof group !== 'string') ||
+			!Array.isArray(templates) ||
+			!templates.every((e) => typeof e === 'string') ||
+			!isBudget(budget)
+		) {
+			throw new Error(`Settings of ${rule.pattern} are not valid.`)
+		}
+
+		return {
+			...SITE_DEFAULTS,
+			pattern: rule.pattern,
+			schedule,
+			overlay,
+			scope,
+			scopeMinutes,
+			position,
+			group,
+			templates,
+			budget
+		}
+	})
+}
+
+/**
+ * Validate the time settings of a backup.
+ * @param {Object} time
+ * @returns {Object}
+ */
+const validateTime = function (time) {
+	if (
+		!isObject(time) ||
+		typeof time.active !== 'boolean' ||
+		typeof time.use24Hrs !== 'boolean' ||
+		!INTERVALS.includes(time.interval) ||
+		!isSchedule(time.schedule) ||
+		(time.timeZone && !isValidTimeZone(time.timeZone))
+	) {
+		throw new Error('Active hours are not valid.')
+	}
+	return time
+}
+
+/**
+ * Create a validator of settings that are turned on and wait a number of
+ * minutes, missing values fall back to the defaults.
+ * @param {String} key - Key of the settings, 'checkIn' or 'away'
+ * @param {Array} choices - Minutes that can be chosen, see CHECK_IN_MINUTES
+ * @param {String} message - Error if the settings are not valid
+ * @returns {Function}
+ */
+const createMinutesValidator = function (key, choices, message) {
+	return (settings) => {
+		if (!isObject(settings)) throw new Error(message)
+
+		const { active, minutes } = { ...SETTINGS_DEFAULTS[key], ...settings }
+		if (typeof active !== 'boolean' || !choices.includes(minutes)) {
+			throw new Error(message)
+		}
+		return { active, minutes }
+	}
+}
+
+/**
+ * Validate the theme settings of a backup, missing values fall back to
+ * the defaults.
+ * @param {Object} theme
+ * @returns {Object}
+ */
+const validateTheme = function (theme) {
+	if (!isObject(theme)) throw new Error('Appearance settings are not valid.')
+
+	const { mode, accent, blur, opacity } = {
+		...SETTINGS_DEFAULTS.theme,
+		...theme
+	}
+	if (
+		!(mode in THEME_MODES) ||
+		typeof accent !== 'string' ||
+		!/^#[0-9a-f]{6}$/i.test(accent) ||
+		!THEME_BLUR.includes(blur) ||
+		!THEME_OPACITY.includes(opacity)
+	) {
+		throw new Error('Appearance settings are not valid.')
+	}
+	return { mode, accent, blur, opacity }
+}
+
+/**
+ * Validate the budget settings of a backup.
+ * @param {Object} budget
+ * @returns {Object}
+ */
+const validateBudget = function (budget) {
+	if (!isObject(budget) || !isTime(budget.reset)) {
+		throw new Error('Budget settings are not valid.')
+	}
+	return budget
+}
+
+/**
+ * Validate the strict mode settings of a backup.
+ * @param {Object} strict
+ * @returns {Object} - Returns settings without pending requests
+ */
+const validateStrict = function (strict) {
+	const isCount = (value) => Number.isInteger(value) && value >= 0
+	if (
+		!isObject(strict) ||
+		typeof strict.active !== 'boolean' ||
+		!['minWords', 'delay', 'wait'].every((e) => isCount(strict[e]))
+	) {
+		throw new Error('Strict mode settings are not valid.')
+	}
+
+	const { active, minWords, delay, wait } = strict
+	// Requests refer to the sites and the clock of the device they've been
+	// made on, they don't carry over
+	return {
+		active,
+		minWords,
+		delay,
+		wait,
+		pending: SETTINGS_DEFAULTS.strict.pending
+	}
+}
+
+/**
+ * Validate the groups and profiles of a backup.
+ * @param {Object} profiles
+ * @returns {Object}
+ */
+const validateProfiles = function (profiles) {
+	const isNamed = (e) => isObject(e) && typeof e.name === 'string'
+	if (
+		!isObject(profiles) ||
+		!isObject(profiles.groups) ||
+		!isObject(profiles.profiles) ||
+		!Object.values(profiles.groups).every(isNamed) ||
+		!Object.values(profiles.profiles).every(
+			(e) =>
+				isNamed(e) &&
+				Array.isArray(e.groups) &&
+				e.groups.every((id) => typeof id === 'string') &&
+				(e.schedule === null || isSchedule(e.schedule))
+		)
+	) {
+		throw new Error('Groups and profiles are not valid.')
+	}
+	return profiles
+}
+
+/**
+ * Validators of the settings of a backup, one for each of SETTINGS_KEYS.
+ */
+const VALIDATORS = {
+	sites: validateSites,
+	time: validateTime,
+	checkIn: createMinutesValidator(
+		'checkIn',
+		CHECK_IN_MINUTES,
+		'Check-in settings are not valid.'
+	),
+	away: createMinutesValidator(
+		'away',
+		AWAY_MINUTES,
+		'Settings of asking again after time away are not valid.'
+	),
+	theme: validateTheme,
+	budget: validateBudget,
+	strict: validateStrict,
+	profiles: validateProfiles
+}
+
+/**
+ * Create a backup of the settings.
+ * @param {Object} settings - { key: value }, keys see SETTINGS_KEYS
+ * @returns {Object}
+ */
+const createBackup = function (settings) {
+	const backup = { version: BACKUP_VERSION, exportedAt: new Date() }
+
+	SETTINGS_KEYS.filter((key) => settings[key] !== undefined).forEach(
+		(key) => {
+			backup[key] =
+				key === 'sites'
+					? Object.values(settings.sites).map(
+							({
+								pattern,
+								schedule,
+								overlay,
+								scope,
+								scopeMinutes,
+								position,
+								group,
+								templates,
+								budget
+							}) => ({
+								pattern,
+								schedule,
+								overlay,
+								scope,
+								scopeMinutes,
+								position,
+								group,
+								templates,
+								budget
+							})
+					  )
+					: settings[key]
+		}
+	)
+
+	return backup
+}
+
+/**
+ * Parse and validate the content of a backup file.
+ * @param {String} json
+ * @returns {Object} - Returns backup with normalized settings, throws if not valid
+ */
+const parseBackup = function (json) {
+	let backup
+	try {
+		backup = JSON.parse(json)
+	} catch (e) {
+		throw new Error('File is not a valid backup.')
+	}
+
+	if (!isObject(backup) || !Number.isInteger(backup.version)) {
+		throw new Error('File is not a valid backup.')
+	}
+	if (backup.version > BACKUP_VERSION) {
+		throw new Error(
+			'Backup was created by a newer version, please update the extension.'
+		)
+	}
+
+	const _backup = { version: backup.version }
+	SETTINGS_KEYS.filter((key) => backup[key] !== undefined).forEach((key) => {
+		_backup[key] = VALIDATORS[key](backup[key])
+	})
+
+	return _backup
+}
+
+/**
+ * Return the settings that result from importing a backup.
+ * @param {Object} settings - Current settings
+ * @param {Object} backup - Parsed backup, see parseBackup
+ * @param {String} mode - 'merge' keeps sites that aren't part of the backup, 'replace' removes them
+ * @returns {Object} - Returns { key: value } of the settings that change
+ */
+const applyBackup = function (settings, backup, mode) {
+	const result = {}
+
+	SETTINGS_KEYS.filter(
+		(key) => key !== 'sites' && backup[key] !== undefined
+	).forEach((key) => {
+		result[key] = backup[key]
+	})
+
+	if (backup.sites) {
+		const current = mode === 'merge' ? settings.sites || {} : {}
+		const sites = { ...current }
+
+		backup.sites.forEach((site) => {
+			// Keep the ID of a site that already exists
+			const id =
+				Object.keys(current).find(
+					(e) => current[e].pattern === site.pattern
+				) || getUID()
+			sites[id] = site
+		})
+
+		result.sites = sites
+	}
+
+	return result
+}
+
+/**
+ * Compare the current settings with the ones after an import.
+ * @param {Object} settings - Current settings
+ * @param {Object} result - Settings after the import, see applyBackup
+ * @returns {Object} - Returns { added, changed, removed } patterns of sites and the keys of other changed settings
+ */
+const diffBackup = function (settings, result) {
+	const diff = { added: [], changed: [], removed: [], settings: [] }
+
+	if (result.sites) {
+		const before = Object.values(settings.sites || {})
+		const after = Object.values(result.sites)
+		const find = (sites, pattern) =>
+			sites.find((e) => e.pattern === pattern)
+
+		after.forEach((site) => {
+			const previous = find(before, site.pattern)
+			if (!previous) {
+				diff.added.push(site.pattern)
+			} else if (
+				JSON.stringify(migrateSite(previous)) !==
+				JSON.stringify(migrateSite(site))
+			) {
+				diff.changed.push(site.pattern)
+			}
+		})
+		before
+			.filter((site) => !find(after, site.pattern))
+			.forEach((site) => diff.removed.push(site.pattern))
+	}
+
+	diff.settings = Object.keys(result).filter(
+		(key) =>
+			key !== 'sites' &&
+			JSON.stringify(settings[key]) !== JSON.stringify(result[key])
+	)
+
+	return diff
+}
+
+/**
+ * Import a backup, asking for the permissions of the sites it adds
+ * just like adding a single site does.
+ * @param {Object} backup - Parsed backup, see parseBackup
+ * @param {String} mode - 'merge' or 'replace', see applyBackup
+ * @returns Promise if permission was granted and write operation succeded
+ */
+const importBackup = function (backup, mode) {
+	return readSettings(SETTINGS_KEYS).then((settings) => {
+		// Importing could loosen the rules without the waiting period
+		if (settings.strict && settings.strict.active) {
+			throw new Error('Turn off strict mode to import a backup.')
+		}
+
+		const result = applyBackup(settings, backup, mode)
+		const { added } = diffBackup(settings, result)
+
+		const access = added.length
+			? requestAccess(added)
+			: Promise.resolve(true)
+
+		return access.then((granted) => {
+			if (!granted) throw new Error('Failed to grant permission.')
+			return writeSettings(result)
+		})
+	})
+}
+
+export {
+	BACKUP_VERSION,
+	createBackup,
+	parseBackup,
+	applyBackup,
+	diffBackup,
+	importBackup
+}
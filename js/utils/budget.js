@@ -0,0 +1,127 @@
+/**
+ * @file Utility functions to limit how much a site is used per day, either
+ * the visits unlocked by an intention or the minutes in the foreground.
+ * The budget of a site is part of its settings, ex.
+ * { budget: { type: 'minutes', limit: 30 } }
+ *
+ * Usage is counted per budget day, which starts at the reset time of the
+ * budget settings, and kept in chrome.storage.local, ex.
+ * { usage: { day: '2021-12-24', sites: { 'reddit.com': { visits: 2, time: 360, exhausted: null } } } }
+ * where exhausted is the time the budget has been used up.
+ */
+
+import { createQueue, toDateKey } from './helper.js'
+import { getWallClock, toMinutes } from './schedule.js'
+
+/**
+ * Choices of the budget of a site, type => label and limits
+ */
+const BUDGET_TYPES = { visits: 'Visits a day', minutes: 'Minutes a day' }
+const BUDGET_LIMITS = {
+	visits: [1, 2, 3, 5, 10, 20],
+	minutes: [5, 10, 15, 30, 60, 120]
+}
+
+// Words needed to go on once the budget is used up
+const BUDGET_MIN_WORDS = 8
+
+const enqueue = createQueue()
+
+/**
+ * Return the budget day of a date, days start at the reset time. The reset
+ * is compared with the wall clock, days that change to or from summer time
+ * don't have 24 hours.
+ * @param {String} reset - Time of day, ex. '04:00'
+ * @param {Date} date
+ * @returns {String} - Returns date key of the day the budget day started, ex. '2021-12-24'
+ */
+const getBudgetDay = function (reset, date = new Date()) {
+	const { minutes } = getWallClock(date)
+	// Before the reset, the budget day started the calendar day before
+	const day = minutes < toMinutes(reset) ? date.getDate() - 1 : date.getDate()
+	return toDateKey(new Date(date.getFullYear(), date.getMonth(), day))
+}
+
+/**
+ * Return the usage of a site on the current budget day.
+ * @param {String} pattern - Rule of the site
+ * @param {String} reset - Time of day the budget resets
+ * @returns Promise that resolves with { visits, time, exhausted }
+ */
+const getUsage = function (pattern, reset) {
+	return chrome.storage.local.get('usage').then(({ usage }) => {
+		const sites =
+			usage && usage.day === getBudgetDay(reset) ? usage.sites : {}
+		return { visits: 0, time: 0, exhausted: null, ...sites[pattern] }
+	})
+}
+
+/**
+ * Check whether the budget of a site is used up.
+ * @param {Object} site - Settings of the site
+ * @param {Object} usage - See getUsage
+ * @returns {Boolean}
+ */
+const isOverBudget = function (site, usage) {
+	if (!site.budget) return false
+	return site.budget.type === 'visits'
+		? usage.visits >= site.budget.limit
+		: usage.time >= site.budget.limit * 60
+}
+
+/**
+ * Count a visit or time spent on a site and remember when its budget has
+ * been used up.
+ * @param {Object} site - Settings of the site
+ * @param {String} field - 'visits' or 'time' in seconds
+ * @param {Number} amount
+ * @param {String} reset - Time of day the budget resets
+ * @returns Promise that resolves with true if the budget has just been used up
+ */
+const recordUsage = function (site, field, amount, reset) {
+	return enqueue(() =>
+		chrome.storage.local.get('usage').then(({ usage }) => {
+			const day = getBudgetDay(reset)
+			const sites = usage && usage.day === day ? usage.sites : {}
+			const _usage = {
+				visits: 0,
+				time: 0,
+				exhausted: null,
+				...sites[site.pattern]
+			}
+			_usage[field] += amount
+
+			const ranOut = !_usage.exhausted && isOverBudget(site, _usage)
+			if (ranOut) _usage.exhausted = Date.now()
+
+			return chrome.storage.local
+				.set({
+					usage: { day, sites: { ...sites, [site.pattern]: _usage } }
+				})
+				.then(() => ranOut)
+		})
+	)
+}
+
+/**
+ * Describe a used up budget, ex. for screen readers.
+ * @param {Object} site - Settings of the site
+ * @returns {String}
+ */
+const describeBudget = function ({ pattern, budget }) {
+	const unit = budget.type === 'visits' ? 'visit' : 'minute'
+	return `You've used up your ${budget.limit} ${unit}${
+		budget.limit === 1 ? '' : 's'
+	} on ${pattern} for today.`
+}
+
+export {
+	BUDGET_TYPES,
+	BUDGET_LIMITS,
+	BUDGET_MIN_WORDS,
+	getBudgetDay,
+	getUsage,
+	isOverBudget,
+	recordUsage,
+	describeBudget
+}
@@ -0,0 +1,91 @@
+/**
+ * @file Renders simple bar charts as inline SVG, no external libraries needed.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+/**
+ * Create an SVG element with attributes.
+ * @param {String} name - Tag name
+ * @param {Object} attributes
+ * @returns {SVGElement}
+ */
+const createSVGElement = function (name, attributes = {}) {
+	const el = document.createElementNS(SVG_NS, name)
+	Object.keys(attributes).forEach((key) =>
+		el.setAttribute(key, attributes[key])
+	)
+	return el
+}
+
+/**
+ * Create a bar chart.
+ * @param {Array} data - [{ label, value }]
+ * @param {Object} settings
+ * @param {Function} settings.format - Formats a value for its tooltip and the bar's caption
+ * @param {Number} settings.width
+ * @param {Number} settings.height
+ * @returns {SVGSVGElement}
+ */
+const createBarChart = function (
+	data,
+	{ format = String, width = 416, height = 160 } = {}
+) {
+	const labelHeight = 20
+	const valueHeight = 16
+	const gap = 8
+	const max = Math.max(...data.map((e) => e.value), 1)
+	const barWidth = (width - gap * (data.length - 1)) / data.length
+	const chartHeight = height - labelHeight - valueHeight
+
+	const svg = createSVGElement('svg', {
+		class: 'chart',
+		viewBox: `0 0 ${width} ${height}`,
+		role: 'img'
+	})
+
+	data.forEach((e, i) => {
+		const x = i * (barWidth + gap)
+		const barHeight = Math.max(
+			(e.value / max) * chartHeight,
+			e.value ? 2 : 0
+		)
+		const y = valueHeight + chartHeight - barHeight
+
+		const bar = createSVGElement('rect', {
+			class: 'chart-bar',
+			x,
+			y,
+			width: barWidth,
+			height: barHeight,
+			rx: 4
+		})
+		const title = createSVGElement('title')
+		title.textContent = `${e.label}: ${format(e.value)}`
+		bar.appendChild(title)
+
+		const value = createSVGElement('text', {
+			class: 'chart-value',
+			x: x + barWidth / 2,
+			y: y - 4,
+			'text-anchor': 'middle'
+		})
+		value.textContent = e.value ? format(e.value) : ''
+
+		const label = createSVGElement('text', {
+			class: 'chart-label',
+			x: x + barWidth / 2,
+			y: height - 4,
+			'text-anchor': 'middle'
+		})
+		label.textContent = e.label
+
+		svg.appendChild(bar)
+		svg.appendChild(value)
+		svg.appendChild(label)
+	})
+
+	return svg
+}
+
+export { createBarChart }
@@ -12,6 +12,15 @@ function getKey(object, value) {
 	return Object.keys(object).find((key) => object[key] === value)
 }
 
+/**
+ * Check if a value is a plain object.
+ * @param {*} value
+ * @returns {Boolean}
+ */
+const isObject = function (value) {
+	return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
 /**
  * Generate a unique identifier.
  * @returns {String} - Returns unique identifier
@@ -20,4 +29,31 @@ const getUID = function () {
 	return Math.random().toString(36).substr(2, 4)
 }
 
-export { getKey, getUID }
+/**
+ * Create a queue that runs async tasks one after another, used to avoid
+ * lost updates when several events read and write the same storage key.
+ * @returns {Function} - Returns function that takes a task returning a Promise and resolves with its result
+ */
+const createQueue = function () {
+	let last = Promise.resolve()
+	return function (task) {
+		const next = last.then(task)
+		// Keep the queue going even if a task fails
+		last = next.catch(() => {})
+		return next
+	}
+}
+
+/**
+ * Format a date as local 'yyyy-mm-dd' string.
+ * @param {Date} date
+ * @returns {String}
+ */
+const toDateKey = function (date) {
+	const pad = (n) => String(n).padStart(2, '0')
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+		date.getDate()
+	)}`
+}
+
+export { getKey, isObject, getUID, createQueue, toDateKey }
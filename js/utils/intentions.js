@@ -0,0 +1,167 @@
+/**
+ * @file Utility functions to keep the current intention of each site. How long
+ * an intention holds is a per-site setting, the scope:
+ *
+ * visit - Until the tab leaves the site
+ * tab - Until the tab is closed
+ * session - In all tabs of the site until the browser restarts
+ * minutes - In all tabs of the site for a number of minutes
+ * day - In all tabs of the site until midnight
+ *
+ * Intentions that end with the browser are kept in chrome.storage.session,
+ * the others in chrome.storage.local, ex.
+ * { intentions: { 'reddit.com': { intention, entryId, since, until } } }
+ * Intentions of a single tab are keyed by rule and tab, ex. 'reddit.com@12'.
+ */
+
+import { createQueue } from './helper.js'
+
+const enqueue = createQueue()
+
+/**
+ * Return whether an intention of a scope only holds in its own tab.
+ * @param {String} scope
+ * @returns {Boolean}
+ */
+const isTabScope = function (scope) {
+	return scope === 'visit' || scope === 'tab'
+}
+
+/**
+ * Return the storage area of a scope.
+ * @param {String} scope
+ * @returns {Object} - Returns chrome.storage.session or chrome.storage.local
+ */
+const getArea = function (scope) {
+	return scope === 'minutes' || scope === 'day'
+		? chrome.storage.local
+		: chrome.storage.session
+}
+
+/**
+ * Return the key the intention of a site is kept under.
+ * @param {Object} site - Settings of the site
+ * @param {Number} tabId
+ * @returns {String}
+ */
+const getKey = function (site, tabId) {
+	return isTabScope(site.scope) ? `${site.pattern}@${tabId}` : site.pattern
+}
+
+/**
+ * Return the time an intention set now stops holding.
+ * @param {Object} site - Settings of the site
+ * @param {Date} date
+ * @returns {Number|null} - Returns timestamp or null if it holds until the tab or browser is closed
+ */
+const getExpiry = function (site, date = new Date()) {
+	if (site.scope === 'minutes') {
+		return date.getTime() + site.scopeMinutes * 60 * 1000
+	}
+	if (site.scope === 'day') {
+		return new Date(
+			date.getFullYear(),
+			date.getMonth(),
+			date.getDate() + 1
+		).getTime()
+	}
+	return null
+}
+
+/**
+ * Read, change and write the intentions of a storage area.
+ * @param {Object} area - chrome.storage.session or chrome.storage.local
+ * @param {Function} update - Receives the intentions and changes them in place
+ * @returns Promise
+ */
+const updateIntentions = function (area, update) {
+	return enqueue(() =>
+		area.get('intentions').then(({ intentions = {} }) => {
+			// Drop intentions that don't hold anymore
+			Object.keys(intentions)
+				.filter(
+					(key) =>
+						intentions[key].until &&
+						intentions[key].until <= Date.now()
+				)
+				.forEach((key) => delete intentions[key])
+
+			update(intentions)
+			return area.set({ intentions })
+		})
+	)
+}
+
+/**
+ * Return the intention that currently holds for a site in a tab.
+ * @param {Object} site - Settings of the site
+ * @param {Number} tabId
+ * @returns Promise that resolves with { intention, entryId, since, until } or null
+ */
+const getIntention = function (site, tabId) {
+	return getArea(site.scope)
+		.get('intentions')
+		.then(({ intentions = {} }) => {
+			const state = intentions[getKey(site, tabId)]
+			if (!state || (state.until && state.until <= Date.now())) {
+				return null
+			}
+			return state
+		})
+}
+
+/**
+ * Keep the intention of a site in the scope of its settings.
+ * @param {Object} site - Settings of the site
+ * @param {Number} tabId
+ * @param {Object} state
+ * @param {String} state.intention
+ * @param {String} state.entryId - ID of the journal entry
+ * @returns Promise that resolves with the kept state
+ */
+const setIntention = function (site, tabId, { intention, entryId }) {
+	const state = {
+		intention,
+		entryId,
+		since: Date.now(),
+		until: getExpiry(site)
+	}
+
+	return updateIntentions(getArea(site.scope), (intentions) => {
+		intentions[getKey(site, tabId)] = state
+	}).then(() => state)
+}
+
+/**
+ * Forget the intention of a site.
+ * @param {Object} site - Settings of the site
+ * @param {Number} tabId
+ * @returns Promise
+ */
+const clearIntention = function (site, tabId) {
+	return updateIntentions(getArea(site.scope), (intentions) => {
+		delete intentions[getKey(site, tabId)]
+	})
+}
+
+/**
+ * Forget the intentions of a closed tab.
+ * @param {Number} tabId
+ * @returns Promise
+ */
+const clearTab = function (tabId) {
+	return updateIntentions(chrome.storage.session, (intentions) => {
+		Object.keys(intentions)
+			.filter((key) => key.endsWith(`@${tabId}`))
+			.forEach((key) => delete intentions[key])
+	})
+}
+
+export {
+	isTabScope,
+	getExpiry,
+	getIntention,
+	setIntention,
+	clearIntention,
+	clearTab
+}
@@ -0,0 +1,352 @@
+/**
+ * @file Utility functions to read and write the intention journal,
+ * which keeps every intention in chrome.storage.local.
+ *
+ * Intentions may contain tags, ex. 'Reply to Anna #work', which are kept
+ * with the entry in lower case, ex. { intention, tags: ['work'], … }.
+ *
+ * The latest distinct intentions of each hostname are also kept in a small
+ * index, ex. { 'reddit.com': [{ intention, url, timestamp }, …] }, so they
+ * can be suggested without reading the whole journal.
+ */
+
+import { getUID, createQueue } from './helper.js'
+import { tryParsePattern, matchPattern } from './match.js'
+
+// Number of recent intentions suggested for a site
+const SUGGESTION_COUNT = 5
+
+// Number of entries kept, the oldest are dropped to stay well within the
+// storage quota of chrome.storage.local
+const JOURNAL_LIMIT = 5000
+
+// Number of distinct intentions indexed per hostname
+const RECENT_LIMIT = 20
+
+const enqueue = createQueue()
+
+/**
+ * Parse the tags of an intention, ex. ['work'] of 'Reply to Anna #work'.
+ * @param {String} intention
+ * @returns {Array} - Returns unique tags in lower case without the hash
+ */
+const parseTags = function (intention) {
+	const tags = Array.from(
+		intention.matchAll(/(?:^|\s)#([\p{L}\p{N}_-]+)/gu),
+		(match) => match[1].toLowerCase()
+	)
+	return [...new Set(tags)]
+}
+
+/**
+ * Return the tags of a journal entry.
+ * @param {Object} entry
+ * @returns {Array}
+ */
+const getTags = function (entry) {
+	// Entries of older versions don't keep their tags
+	return entry.tags || parseTags(entry.intention)
+}
+
+/**
+ * Add an entry to the index of recent intentions of its hostname.
+ * @param {Object} recent - Index of recent intentions
+ * @param {Object} entry - Journal entry
+ * @returns {Object} - Returns the updated index
+ */
+const addRecent = function (recent, entry) {
+	const { intention, url, timestamp } = entry
+	const others = (recent[entry.hostname] || []).filter(
+		(e) => e.intention !== intention
+	)
+	return {
+		...recent,
+		[entry.hostname]: [{ intention, url, timestamp }, ...others].slice(
+			0,
+			RECENT_LIMIT
+		)
+	}
+}
+
+/**
+ * Index the recent intentions of the journal.
+ * @param {Array} journal - Stored entries, oldest first
+ * @returns {Object}
+ */
+const indexRecent = function (journal) {
+	return journal.reduce(addRecent, {})
+}
+
+/**
+ * Append an intention to the journal and drop the oldest entries beyond
+ * JOURNAL_LIMIT.
+ * @param {Object} entry
+ * @param {String} entry.intention - Intention as typed by the user
+ * @param {String} entry.url - Full URL of the page the intention was set on
+ * @param {String} entry.session - Identifier of the tab session
+ * @param {Number} entry.tabId
+ * @returns Promise if read/write operation succeded, resolves with the stored entry
+ */
+const addEntry = function (entry) {
+	return enqueue(
+		() =>
+			new Promise((resolve, reject) => {
+				chrome.storage.local.get(['journal', 'recent'], (data) => {
+					if (chrome.runtime.lastError) {
+						return reject(chrome.runtime.lastError)
+					}
+
+					const journal = data.journal || []
+					// Journals of older versions haven't been indexed yet
+					const recent = data.recent || indexRecent(journal)
+					const _entry = {
+						id: `${Date.now().toString(36)}${getUID()}`,
+						intention: entry.intention,
+						tags: parseTags(entry.intention),
+						hostname: new URL(entry.url).hostname,
+						url: entry.url,
+						timestamp: Date.now(),
+						tabId: entry.tabId,
+						session: entry.session
+					}
+					const _journal = journal.concat(_entry)
+					_journal.splice(0, _journal.length - JOURNAL_LIMIT)
+
+					chrome.storage.local.set(
+						{
+							journal: _journal,
+							recent: addRecent(recent, _entry)
+						},
+						() => {
+							if (chrome.runtime.lastError) {
+								return reject(chrome.runtime.lastError)
+							}
+							resolve(_entry)
+						}
+					)
+				})
+			})
+	)
+}
+
+/**
+ * Return all journal entries, newest first.
+ * @returns Promise that resolves with an array of entries
+ */
+const getEntries = function () {
+	return new Promise((resolve, reject) => {
+		chrome.storage.local.get('journal', ({ journal }) => {
+			if (chrome.runtime.lastError) {
+				return reject(chrome.runtime.lastError)
+			}
+			resolve((journal || []).slice().reverse())
+		})
+	})
+}
+
+/**
+ * Return the indexed recent intentions of all hostnames, newest first.
+ * @returns Promise that resolves with an array of { intention, url, timestamp }
+ */
+const getRecentEntries = function () {
+	return new Promise((resolve, reject) => {
+		chrome.storage.local.get(['journal', 'recent'], (data) => {
+			if (chrome.runtime.lastError) {
+				return reject(chrome.runtime.lastError)
+			}
+
+			const recent = data.recent || indexRecent(data.journal || [])
+			resolve(
+				Object.values(recent)
+					.flat()
+					.sort((a, b) => b.timestamp - a.timestamp)
+			)
+		})
+	})
+}
+
+/**
+ * Remove an entry from the journal. Writes are only queued within the
+ * background worker, pages send it a REMOVE_ENTRY message instead.
+ * @param {String} id - ID of entry that will be removed
+ * @returns Promise if read and write operation succeded
+ */
+const removeEntry = function (id) {
+	return enqueue(
+		() =>
+			new Promise((resolve, reject) => {
+				chrome.storage.local.get('journal', ({ journal }) => {
+					if (chrome.runtime.lastError) {
+						return reject(chrome.runtime.lastError)
+					}
+
+					const _journal = (journal || []).filter((e) => e.id !== id)
+
+					// Removed intentions aren't suggested anymore
+					chrome.storage.local.set(
+						{ journal: _journal, recent: indexRecent(_journal) },
+						() => {
+							if (chrome.runtime.lastError) {
+								return reject(chrome.runtime.lastError)
+							}
+							resolve(true)
+						}
+					)
+				})
+			})
+	)
+}
+
+/**
+ * Return a single journal entry.
+ * @param {String} id
+ * @returns Promise that resolves with the entry or undefined if it doesn't exist
+ */
+const getEntry = function (id) {
+	return getEntries().then((entries) => entries.find((e) => e.id === id))
+}
+
+/**
+ * Record the answer to a check-in with its entry.
+ * @param {String} id - ID of entry the check-in belongs to
+ * @param {String} answer - 'done', 'working' or 'distracted'
+ * @returns Promise if read and write operation succeded, resolves with the updated entry
+ */
+const addCheckIn = function (id, answer) {
+	return enqueue(
+		() =>
+			new Promise((resolve, reject) => {
+				chrome.storage.local.get('journal', ({ journal }) => {
+					if (chrome.runtime.lastError) {
+						return reject(chrome.runtime.lastError)
+					}
+
+					const _journal = journal || []
+					const entry = _journal.find((e) => e.id === id)
+					if (!entry) {
+						return reject(
+							new Error('Journal entry does not exist.')
+						)
+					}
+
+					entry.checkIns = [
+						...(entry.checkIns || []),
+						{ answer, timestamp: Date.now() }
+					]
+
+					chrome.storage.local.set({ journal: _journal }, () => {
+						if (chrome.runtime.lastError) {
+							return reject(chrome.runtime.lastError)
+						}
+						resolve(entry)
+					})
+				})
+			})
+	)
+}
+
+/**
+ * Record whether the intention of an entry has been met.
+ * @param {String} id - ID of entry
+ * @param {String} outcome - 'met', 'partly' or 'missed', see reflections.js
+ * @returns Promise if read and write operation succeded, resolves with the updated entry
+ */
+const setOutcome = function (id, outcome) {
+	return enqueue(
+		() =>
+			new Promise((resolve, reject) => {
+				chrome.storage.local.get('journal', ({ journal }) => {
+					if (chrome.runtime.lastError) {
+						return reject(chrome.runtime.lastError)
+					}
+
+					const _journal = journal || []
+					const entry = _journal.find((e) => e.id === id)
+					if (!entry) {
+						return reject(
+							new Error('Journal entry does not exist.')
+						)
+					}
+
+					entry.outcome = outcome
+
+					chrome.storage.local.set({ journal: _journal }, () => {
+						if (chrome.runtime.lastError) {
+							return reject(chrome.runtime.lastError)
+						}
+						resolve(entry)
+					})
+				})
+			})
+	)
+}
+
+/**
+ * Filter journal entries.
+ * @param {Array} entries
+ * @param {Object} filter
+ * @param {String} filter.query - Case-insensitive text the intention or URL has to contain
+ * @param {String} filter.hostname - Only keep entries of this hostname
+ * @param {String} filter.tag - Only keep entries with this tag
+ * @param {Number} filter.from - Only keep entries set at or after this timestamp
+ * @param {Number} filter.to - Only keep entries set before this timestamp
+ * @returns {Array}
+ */
+const filterEntries = function (entries, { query, hostname, tag, from, to }) {
+	const _query = query ? query.trim().toLowerCase() : ''
+
+	return entries.filter((e) => {
+		if (hostname && e.hostname !== hostname) return false
+		if (tag && !getTags(e).includes(tag)) return false
+		if (from && e.timestamp < from) return false
+		if (to && e.timestamp >= to) return false
+		if (
+			_query &&
+			!e.intention.toLowerCase().includes(_query) &&
+			!e.url.toLowerCase().includes(_query)
+		) {
+			return false
+		}
+		return true
+	})
+}
+
+/**
+ * Return the latest distinct intentions that have been set on a site.
+ * @param {Array} entries - Journal or recent entries, newest first
+ * @param {Object} site - Settings of the site
+ * @returns {Array} - Returns intentions, newest first
+ */
+const getSuggestions = function (entries, site) {
+	const rule = tryParsePattern(site.pattern)
+	if (!rule) return []
+
+	const suggestions = []
+	entries.some((e) => {
+		let url
+		try {
+			url = new URL(e.url)
+		} catch {
+			return false
+		}
+		if (matchPattern(rule, url) && !suggestions.includes(e.intention)) {
+			suggestions.push(e.intention)
+		}
+		return suggestions.length >= SUGGESTION_COUNT
+	})
+	return suggestions
+}
+
+export {
+	parseTags,
+	getTags,
+	getSuggestions,
+	addEntry,
+	getEntries,
+	getEntry,
+	getRecentEntries,
+	removeEntry,
+	addCheckIn,
+	setOutcome,
+	filterEntries
+}
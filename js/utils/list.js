@@ -2,31 +2,345 @@
  * @file Provides functionality for the extension's option page.
  */
 
-import { addURL, removeURL } from './storage.js'
+import {
+	OVERLAY_OPTIONS,
+	SCOPE_OPTIONS,
+	SCOPE_MINUTES,
+	POSITION_OPTIONS,
+	addURL,
+	removeURL,
+	getSettings,
+	requestAccess,
+	hasAccess
+} from './storage.js'
+import { requestUnlock, cancelUnlock, updateSite } from './strict.js'
+import { WEEK, createDay } from './time.js'
+import { BUDGET_TYPES, BUDGET_LIMITS } from './budget.js'
+import { removeGroup, removeProfile, updateProfile } from './profiles.js'
 
 /**
- * Creates a LI node containing a name and a delete button.
+ * Creates a <select> node for a per-site setting.
+ * @param {Object} options - Choices, value => label
+ * @param {String} value - Selected value
+ * @param {Function} onChange - Called with the selected value
+ * @returns {HTMLSelectElement}
+ */
+const createSelect = function (options, value, onChange) {
+	const select = document.createElement('select')
+	Object.keys(options).forEach((key) => {
+		const option = document.createElement('option')
+		option.value = key
+		option.textContent = options[key]
+		select.appendChild(option)
+	})
+	select.value = value
+	select.addEventListener('change', (e) => onChange(e.target.value))
+	return select
+}
+
+/**
+ * Creates a toggle for a weekly schedule and the schedule below it.
+ * @param {Object|null} schedule - Weekly schedule, null if turned off
+ * @param {Object} time - Interval and date string of the time options, see createTime
+ * @param {String} text - Label of the toggle
+ * @param {Function} onChange - Called with the changed schedule or null
+ * @returns {DocumentFragment}
+ */
+const createSchedule = function (schedule, { interval, str }, text, onChange) {
+	const fragment = document.createDocumentFragment()
+	const list = document.createElement('ul')
+	list.className = 'time-schedule'
+
+	let current = schedule
+
+	const renderSchedule = () => {
+		while (list.firstChild) {
+			list.firstChild.remove()
+		}
+		if (!current) return
+
+		WEEK.forEach((day) => {
+			const windows = current[day] || []
+			list.appendChild(
+				createDay({ day, windows, interval, str }, (_day, _windows) => {
+					current = { ...current, [_day]: _windows }
+					onChange(current)
+				})
+			)
+		})
+	}
+
+	const checkbox = document.createElement('input')
+	checkbox.type = 'checkbox'
+	checkbox.checked = !!current
+	checkbox.addEventListener('change', () => {
+		// Start with the whole day, to be narrowed down day by day
+		current = checkbox.checked
+			? WEEK.reduce(
+					(acc, day) => ({
+						...acc,
+						[day]: [{ from: '00:00', to: '00:00' }]
+					}),
+					{}
+			  )
+			: null
+		onChange(current)
+		renderSchedule()
+	})
+
+	const toggle = document.createElement('label')
+	toggle.className = 'site-editor-toggle'
+	toggle.appendChild(checkbox)
+	toggle.appendChild(document.createTextNode(text))
+	fragment.appendChild(toggle)
+	fragment.appendChild(list)
+	renderSchedule()
+
+	return fragment
+}
+
+/**
+ * Creates a group of settings that strict mode holds back, see setLocked.
+ * @returns {HTMLFieldSetElement}
+ */
+const createLocked = function () {
+	const fieldset = document.createElement('fieldset')
+	fieldset.className = 'strict-locked flex col'
+	return fieldset
+}
+
+/**
+ * Creates the editor for the settings of a site.
+ * @param {String} id - Unique identifier of site
+ * @param {Object} site - Stored site settings
+ * @param {Object} time - Interval and date string of the time options, see createTime
+ * @param {Object} groups - Stored groups, keyed by ID
+ * @param {Function} onSave - Called with the site once changes have been saved
+ * @returns {HTMLDivElement}
+ */
+const createEditor = function (id, site, { interval, str }, groups, onSave) {
+	const editor = document.createElement('div')
+	editor.className = 'site-editor flex col'
+
+	// Settings that loosen the rules are disabled in strict mode, see setLocked
+	const rules = createLocked()
+	const hours = createLocked()
+
+	const save = (changes) => {
+		updateSite(id, changes)
+			.then((_site) => onSave(Object.assign(site, _site)))
+			.catch((e) => console.error(e))
+	}
+
+	const field = (text, input, parent = rules) => {
+		const row = document.createElement('label')
+		row.className = 'site-editor-field flex'
+		row.appendChild(document.createTextNode(text))
+		row.appendChild(input)
+		parent.appendChild(row)
+		return row
+	}
+
+	field(
+		'When visiting',
+		createSelect(OVERLAY_OPTIONS, site.overlay, (overlay) =>
+			save({ overlay })
+		)
+	)
+	field(
+		'Ask for an intention',
+		createSelect(SCOPE_OPTIONS, site.scope, (scope) => {
+			save({ scope })
+			minutesField.hidden = scope !== 'minutes'
+		})
+	)
+
+	const minutesField = field(
+		'Intention holds for',
+		createSelect(
+			SCOPE_MINUTES.reduce(
+				(acc, e) => ({ ...acc, [e]: `${e} minutes` }),
+				{}
+			),
+			site.scopeMinutes,
+			(value) => save({ scopeMinutes: Number(value) })
+		)
+	)
+	minutesField.hidden = site.scope !== 'minutes'
+
+	if (Object.keys(groups).length) {
+		field(
+			'Group',
+			createSelect(
+				Object.keys(groups).reduce(
+					(acc, e) => ({ ...acc, [e]: groups[e].name }),
+					{ '': 'None' }
+				),
+				groups[site.group] ? site.group : '',
+				(group) => save({ group: group || null })
+			)
+		)
+	}
+
+	// Daily budget, its limits depend on whether visits or minutes count
+	field(
+		'Daily budget',
+		createSelect(
+			{ '': 'No budget', ...BUDGET_TYPES },
+			site.budget ? site.budget.type : '',
+			(type) => {
+				const budget = type
+					? { type, limit: BUDGET_LIMITS[type][2] }
+					: null
+				save({ budget })
+				renderLimit(budget)
+			}
+		)
+	)
+
+	const limitField = field('Up to', document.createElement('select'))
+	const renderLimit = (budget) => {
+		limitField.hidden = !budget
+		if (!budget) return
+
+		const limits = BUDGET_LIMITS[budget.type].reduce(
+			(acc, e) => ({
+				...acc,
+				[e]:
+					budget.type === 'visits'
+						? `${e} ${e === 1 ? 'visit' : 'visits'}`
+						: `${e} minutes`
+			}),
+			{}
+		)
+		limitField.replaceChild(
+			createSelect(limits, budget.limit, (limit) =>
+				save({ budget: { ...budget, limit: Number(limit) } })
+			),
+			limitField.lastChild
+		)
+	}
+	renderLimit(site.budget)
+	editor.appendChild(rules)
+
+	const isMoved = typeof site.position === 'object'
+	const positionSelect = createSelect(
+		isMoved
+			? { ...POSITION_OPTIONS, moved: 'Where I moved it' }
+			: POSITION_OPTIONS,
+		isMoved ? 'moved' : site.position,
+		(position) => {
+			save({ position })
+			// The moved position is gone once a preset is chosen
+			const moved = positionSelect.querySelector('option[value="moved"]')
+			if (moved) moved.remove()
+		}
+	)
+	field('Show the field at', positionSelect, editor)
+
+	// Suggested in the intention field, one per line
+	const templates = document.createElement('textarea')
+	templates.className = 'site-editor-templates'
+	templates.rows = 3
+	templates.placeholder = 'Reply to DM from …'
+	templates.value = site.templates.join('\n')
+	templates.addEventListener('change', () => {
+		save({
+			templates: templates.value
+				.split('\n')
+				.map((e) => e.trim())
+				.filter((e) => e)
+		})
+	})
+	field('Templates', templates, editor).classList.add('col')
+
+	// Own active hours, otherwise the global time settings apply
+	editor.appendChild(hours)
+	hours.appendChild(
+		createSchedule(
+			site.schedule,
+			{ interval, str },
+			'Use own active hours',
+			(schedule) => {
+				site.schedule = schedule
+				save({ schedule })
+			}
+		)
+	)
+
+	return editor
+}
+
+/**
+ * Creates a LI node containing a name, a settings and a delete button.
  * @param {String} id - Unique identifier of URL, used as reference for later deletion/mutation
- * @param {String} str - Text content of the created item
- * @returns {HTMLLIElement} - Returns HTMLLIElement with text and button children.
+ * @param {Object} site - Stored site settings, its pattern is the text content of the created item
+ * @param {Object} time - Interval and date string of the time options, see createTime
+ * @param {Object} groups - Stored groups, keyed by ID, to name the group of the site
+ * @returns {HTMLLIElement} - Returns HTMLLIElement with text, button and editor children.
  */
-const createItem = function (id, str) {
+const createItem = function (id, site, time, groups = {}) {
 	const wrapper = document.createElement('span')
 	const item = document.createElement('li')
 	item.id = id
+	item.className = 'site-item'
 
 	const label = document.createElement('label')
+	const actions = document.createElement('div')
+	const editButton = document.createElement('button')
 	const deleteButton = document.createElement('button')
+	const pending = document.createElement('span')
+	const group = document.createElement('span')
+	const grantButton = document.createElement('button')
+
+	const renderGroup = () => {
+		group.textContent = groups[site.group] ? groups[site.group].name : ''
+	}
 
-	label.textContent = str
+	label.textContent = site.pattern
+	group.className = 'site-group'
+	renderGroup()
+	wrapper.className = 'site-name'
 	wrapper.appendChild(label)
+	wrapper.appendChild(group)
+
+	let editor
+	editButton.appendChild(document.createTextNode('Settings'))
+	editButton.className = 'edit'
+	editButton.onclick = () => {
+		// Create editor lazily when expanded for the first time
+		if (!editor) {
+			editor = createEditor(id, site, time, groups, renderGroup)
+			item.appendChild(editor)
+			setLocked(item, item.classList.contains('is-locked'))
+		}
+		item.classList.toggle('is-expanded')
+	}
 
 	deleteButton.appendChild(document.createTextNode('Remove'))
 	deleteButton.className = 'delete'
 	deleteButton.onclick = removeItem
 
+	pending.className = 'site-pending'
+
+	// Sites synced from another device may lack the permission on this one
+	const renderAccess = (granted) => {
+		grantButton.classList.toggle('is-visible', !granted)
+	}
+	grantButton.appendChild(document.createTextNode('Grant access'))
+	grantButton.className = 'grant primary'
+	grantButton.title = 'Lets this device ask for your intention on this site'
+	grantButton.onclick = () => requestAccess([site.pattern]).then(renderAccess)
+	hasAccess([site.pattern]).then(renderAccess)
+
+	actions.className = 'site-actions flex'
+	actions.appendChild(pending)
+	actions.appendChild(grantButton)
+	actions.appendChild(editButton)
+	actions.appendChild(deleteButton)
+
 	item.appendChild(wrapper)
-	item.appendChild(deleteButton)
+	item.appendChild(actions)
 
 	return item
 }
@@ -34,7 +348,7 @@ const createItem = function (id, str) {
 /**
  * Adds new item to the DOM and local storage.
  * @param {Event}
- * @param {String} url - URL of added item
+ * @param {String} url - URL or rule of added item
  * @param {Function} callback
  */
 const addItem = function (e, url, callback) {
@@ -43,11 +357,11 @@ const addItem = function (e, url, callback) {
 	const uid = Math.random().toString(36).substr(2, 4)
 
 	addURL(uid, url)
-		// Receives hostname property from URL instance
-		.then((hostname) => {
-			if (hostname) {
+		// Receives site with normalized rule, ex. '*.example.com/shorts'
+		.then((site) => {
+			if (site) {
 				if (callback && typeof callback === 'function') {
-					callback({ message: 'SUCCESS', uid, hostname })
+					callback({ message: 'SUCCESS', uid, site })
 				}
 			}
 		})
@@ -61,20 +375,201 @@ const addItem = function (e, url, callback) {
 }
 
 /**
- * Removes a item from the DOM and local storage.
+ * Removes a item from the DOM and local storage. In strict mode the removal
+ * is only requested and clicking again cancels the request, see strict.js.
  */
 const removeItem = function () {
-	const item = this.parentNode
+	const item = this.closest('li')
 	const parent = item.parentNode
 	const id = item.id
 
-	removeURL(id)
-		.then(() => {
-			parent.removeChild(item)
+	getSettings('strict')
+		.then(({ active, pending }) => {
+			if (active) {
+				return pending.remove[id]
+					? cancelUnlock('remove', id)
+					: requestUnlock('remove', id)
+			}
+
+			return removeURL(id).then(() => {
+				parent.removeChild(item)
+			})
 		})
 		.catch((e) => {
 			console.log(e)
 		})
 }
 
-export { createItem, addItem, removeItem }
+/**
+ * Shows when the removal of an item that has been requested in strict mode happens.
+ * @param {HTMLLIElement} item
+ * @param {Number|undefined} until - Timestamp of the removal, undefined if none is pending
+ */
+const setPending = function (item, until) {
+	const pending = item.querySelector('.site-pending')
+	const deleteButton = item.querySelector('.site-actions .delete')
+
+	pending.textContent = until
+		? `Removed at ${new Date(until).toLocaleTimeString([], {
+				hour: '2-digit',
+				minute: '2-digit'
+		  })}`
+		: ''
+	deleteButton.textContent = until ? 'Keep' : 'Remove'
+}
+
+/**
+ * Disables the settings of an item that loosen the rules while strict mode
+ * is on, ex. the overlay of a site or the groups of a profile.
+ * @param {HTMLLIElement} item
+ * @param {Boolean} active - Whether strict mode is on
+ */
+const setLocked = function (item, active) {
+	item.classList.toggle('is-locked', active)
+	item.querySelectorAll('.strict-locked').forEach((e) => {
+		e.disabled = active
+	})
+}
+
+/**
+ * Creates a LI node containing the name of a group and a delete button.
+ * @param {String} id - Unique identifier of the group
+ * @param {Object} group - Stored group, ex. { name: 'Social' }
+ * @returns {HTMLLIElement}
+ */
+const createGroupItem = function (id, group) {
+	const item = document.createElement('li')
+	item.id = id
+	item.className = 'group-item'
+
+	const name = document.createElement('span')
+	const deleteButton = document.createElement('button')
+
+	name.textContent = group.name
+
+	deleteButton.appendChild(document.createTextNode('Remove'))
+	deleteButton.className = 'delete'
+	// Its websites are kept without a group
+	deleteButton.onclick = () => removeGroup(id).catch((e) => console.error(e))
+
+	item.appendChild(name)
+	item.appendChild(deleteButton)
+
+	return item
+}
+
+/**
+ * Creates the editor for the groups and the schedule of a profile.
+ * @param {String} id - Unique identifier of the profile
+ * @param {Object} profile - Stored profile
+ * @param {Object} groups - Stored groups, keyed by ID
+ * @param {Object} time - Interval and date string of the time options, see createTime
+ * @returns {HTMLFieldSetElement}
+ */
+const createProfileEditor = function (id, profile, groups, time) {
+	// Disabled in strict mode as a whole, see setLocked
+	const editor = createLocked()
+	editor.classList.add('site-editor')
+
+	const save = (changes) => {
+		updateProfile(id, changes)
+			.then((updated) => Object.assign(profile, updated))
+			.catch((e) => console.error(e))
+	}
+
+	if (!Object.keys(groups).length) {
+		const hint = document.createElement('p')
+		hint.className = 'hint'
+		hint.textContent = 'Add a group to choose the websites of this profile.'
+		editor.appendChild(hint)
+	}
+
+	Object.keys(groups).forEach((group) => {
+		const checkbox = document.createElement('input')
+		checkbox.type = 'checkbox'
+		checkbox.checked = profile.groups.includes(group)
+		checkbox.addEventListener('change', () => {
+			const checked = checkbox.checked
+			// Groups may have been changed meanwhile, ex. on another device
+			save(({ groups: current }) => ({
+				groups: checked
+					? [...current.filter((e) => e !== group), group]
+					: current.filter((e) => e !== group)
+			}))
+		})
+
+		const toggle = document.createElement('label')
+		toggle.className = 'site-editor-toggle'
+		toggle.appendChild(checkbox)
+		toggle.appendChild(document.createTextNode(groups[group].name))
+		editor.appendChild(toggle)
+	})
+
+	editor.appendChild(
+		createSchedule(
+			profile.schedule,
+			time,
+			'Turn on by itself during these hours',
+			(schedule) => save({ schedule })
+		)
+	)
+
+	return editor
+}
+
+/**
+ * Creates a LI node containing the name of a profile, a settings and a delete button.
+ * @param {String} id - Unique identifier of the profile
+ * @param {Object} profile - Stored profile, ex. { name: 'Deep work', groups: ['a1b2'], schedule: null }
+ * @param {Object} groups - Stored groups, keyed by ID
+ * @param {Object} time - Interval and date string of the time options, see createTime
+ * @returns {HTMLLIElement}
+ */
+const createProfileItem = function (id, profile, groups, time) {
+	const item = document.createElement('li')
+	item.id = id
+	item.className = 'site-item profile-item'
+
+	const name = document.createElement('span')
+	const actions = document.createElement('div')
+	const editButton = document.createElement('button')
+	const deleteButton = document.createElement('button')
+
+	name.textContent = profile.name
+
+	let editor
+	editButton.appendChild(document.createTextNode('Settings'))
+	editButton.className = 'edit'
+	editButton.onclick = () => {
+		if (!editor) {
+			editor = createProfileEditor(id, profile, groups, time)
+			item.appendChild(editor)
+			setLocked(item, item.classList.contains('is-locked'))
+		}
+		item.classList.toggle('is-expanded')
+	}
+
+	deleteButton.appendChild(document.createTextNode('Remove'))
+	deleteButton.className = 'delete strict-locked'
+	deleteButton.onclick = () =>
+		removeProfile(id).catch((e) => console.error(e))
+
+	actions.className = 'site-actions flex'
+	actions.appendChild(editButton)
+	actions.appendChild(deleteButton)
+
+	item.appendChild(name)
+	item.appendChild(actions)
+
+	return item
+}
+
+export {
+	createItem,
+	createGroupItem,
+	createProfileItem,
+	addItem,
+	removeItem,
+	setPending,
+	setLocked
+}
@@ -0,0 +1,218 @@
+/**
+ * @file Parse and match site rules against URLs.
+ *
+ * A rule is written as a host, optionally followed by a path:
+ *   example.com               – example.com, any path
+ *   *.example.com             – example.com and all of its subdomains
+ *   example.com/shorts        – /shorts and the pages below it, not /shortsfeed
+ *   example.com/r/*comments*  – glob, * matches any sequence of characters
+ *   !example.com/watch        – exclusion, never matches even if another rule does
+ */
+
+const ERROR_INVALID = 'Not a valid URL or pattern.'
+
+/**
+ * Parse a rule or pasted URL into its parts.
+ * @param {String|URL} input - Rule string or URL
+ * @returns {Object} - Returns rule with pattern, exclude, subdomains, host and path properties
+ * @throws {Error} - Throws if input can not be parsed into a rule
+ */
+const parsePattern = function (input) {
+	let str = String(input).trim()
+	const exclude = str.startsWith('!')
+	if (exclude) str = str.slice(1)
+
+	// Strip scheme and fragment of pasted URLs
+	str = str.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').replace(/#.*$/, '')
+
+	const slash = str.indexOf('/')
+	let host = slash > -1 ? str.slice(0, slash) : str
+	let path = slash > -1 ? str.slice(slash) : ''
+
+	const subdomains = host.startsWith('*.')
+	if (subdomains) host = host.slice(2)
+
+	if (!host || host.includes('*')) throw new Error(ERROR_INVALID)
+
+	try {
+		// Lowercases and punycodes the host
+		host = new URL(`http://${host}`).hostname
+	} catch {
+		throw new Error(ERROR_INVALID)
+	}
+
+	if (!/^[a-z0-9.-]+$/.test(host)) throw new Error(ERROR_INVALID)
+	if (path === '/' || path === '/*') path = ''
+
+	const pattern = `${exclude ? '!' : ''}${
+		subdomains ? '*.' : ''
+	}${host}${path}`
+
+	return { pattern, exclude, subdomains, host, path }
+}
+
+/**
+ * Parse a rule without throwing.
+ * @param {String} input
+ * @returns {Object|null} - Returns parsed rule or null if invalid
+ */
+const tryParsePattern = function (input) {
+	try {
+		return parsePattern(input)
+	} catch {
+		return null
+	}
+}
+
+/**
+ * Convert a glob path into an anchored regular expression.
+ * @param {String} glob
+ * @returns {RegExp}
+ */
+const globToRegExp = function (glob) {
+	const escaped = glob
+		.split('*')
+		.map((e) => e.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+		.join('.*')
+	return new RegExp(`^${escaped}$`)
+}
+
+/**
+ * Check if the path of a rule matches the path and query of a URL. Paths
+ * without a glob match whole segments, unless they end on a separator.
+ * @param {String} path - Path of a rule, ex. '/shorts'
+ * @param {String} target - Path and query of a URL, ex. '/shorts/abc?t=1'
+ * @returns {Boolean}
+ */
+const matchPath = function (path, target) {
+	if (path.includes('*')) return globToRegExp(path).test(target)
+	if (!target.startsWith(path)) return false
+
+	const next = target.charAt(path.length)
+	return !next || '/?&'.includes(next) || /[/?&=]$/.test(path)
+}
+
+/**
+ * Check if a single rule matches a URL, ignoring whether it is an exclusion.
+ * @param {Object} rule - Parsed rule
+ * @param {URL} url
+ * @returns {Boolean}
+ */
+const matchPattern = function (rule, url) {
+	const hostname = url.hostname
+	const hostMatches =
+		hostname === rule.host ||
+		(rule.subdomains && hostname.endsWith(`.${rule.host}`))
+
+	if (!hostMatches) return false
+	if (!rule.path) return true
+
+	return matchPath(rule.path, url.pathname + url.search)
+}
+
+/**
+ * Find the key of the first rule of a kind that matches a URL.
+ * @param {Object} sites - Stored sites with a pattern property, keyed by ID
+ * @param {URL|String} url
+ * @param {Boolean} exclude - Whether to look for exclusions instead
+ * @returns {String|undefined} - Returns key of the rule, undefined if none matches
+ */
+const findRule = function (sites, url, exclude) {
+	let _url
+	try {
+		_url = new URL(url)
+	} catch {
+		return undefined
+	}
+
+	return Object.keys(sites).find((key) => {
+		const rule = tryParsePattern(sites[key].pattern)
+		return rule && rule.exclude === exclude && matchPattern(rule, _url)
+	})
+}
+
+/**
+ * Find the key of the exclusion that keeps a URL from matching.
+ * @param {Object} sites - Stored sites with a pattern property, keyed by ID
+ * @param {URL|String} url
+ * @returns {String|undefined} - Returns key of the exclusion, undefined if the URL isn't excluded
+ */
+const findExclusion = function (sites, url) {
+	return findRule(sites, url, true)
+}
+
+/**
+ * Find the key of the rule that makes a URL match.
+ * @param {Object} sites - Stored sites with a pattern property, keyed by ID
+ * @param {URL|String} url
+ * @returns {String|undefined} - Returns key of matching rule, undefined if none matches or URL is excluded
+ */
+const findMatch = function (sites, url) {
+	if (findExclusion(sites, url) !== undefined) return undefined
+	return findRule(sites, url, false)
+}
+
+/**
+ * Check if any stored rule matches a URL.
+ * @param {Object} sites - Stored sites with a pattern property, keyed by ID
+ * @param {URL|String} url
+ * @returns {Boolean}
+ */
+const matchURL = function (sites, url) {
+	return findMatch(sites, url) !== undefined
+}
+
+/**
+ * Return the origin pattern that a rule needs host permissions for.
+ * @param {Object} rule - Parsed rule
+ * @returns {String} - Returns chrome match pattern, ex. '*://*.example.com/*'
+ */
+const toOriginPattern = function (rule) {
+	return `*://${rule.subdomains ? '*.' : ''}${rule.host}/*`
+}
+
+/**
+ * Return the match pattern of the pages a rule matches, as close as match
+ * patterns get, ex. '*://youtube.com/shorts*' for 'youtube.com/shorts'.
+ * @param {Object} rule - Parsed rule
+ * @returns {String}
+ */
+const toMatchPattern = function (rule) {
+	let path = '/*'
+	if (rule.path) {
+		path = rule.path.includes('*') ? rule.path : `${rule.path}*`
+	}
+	return `*://${rule.subdomains ? '*.' : ''}${rule.host}${path}`
+}
+
+/**
+ * Describe in words what a rule matches, used to preview rules before adding.
+ * @param {Object} rule - Parsed rule
+ * @returns {String}
+ */
+const describePattern = function (rule) {
+	const host = rule.subdomains
+		? `${rule.host} and all of its subdomains`
+		: rule.host
+	let path = 'on any page'
+	if (rule.path) {
+		path = rule.path.includes('*')
+			? `on pages matching ${rule.path}`
+			: `on ${rule.path} and the pages below it`
+	}
+
+	return `${rule.exclude ? 'Excludes' : 'Matches'} ${host} ${path}.`
+}
+
+export {
+	parsePattern,
+	tryParsePattern,
+	globToRegExp,
+	matchPattern,
+	findExclusion,
+	findMatch,
+	matchURL,
+	toOriginPattern,
+	toMatchPattern,
+	describePattern
+}
@@ -0,0 +1,147 @@
+/**
+ * @file Versioned schema of the stored settings. Whenever the extension is
+ * updated, the upgrade steps from the stored schema version up to the current
+ * one run in order, and settings that are corrupt fall back to their defaults.
+ *
+ * The schema version is kept in chrome.storage.local, ex. { schemaVersion: 1 },
+ * since every device upgrades its own copy. Synced settings may have been
+ * upgraded by another device already, hence every step must leave settings
+ * of the current shape untouched.
+ */
+
+import { isObject } from './helper.js'
+import { tryParsePattern } from './match.js'
+import { SETTINGS_DEFAULTS, migrateSites } from './storage.js'
+import { TIME_DEFAULTS, migrateTime } from './time.js'
+import { SETTINGS_KEYS, readSettings, writeSettings } from './sync.js'
+
+/**
+ * Upgrade steps, the step at index i upgrades settings of version i to i + 1.
+ * Each step receives all settings and returns them upgraded.
+ */
+const MIGRATIONS = [
+	// Sites used to be bare hostnames or to ask per visit or tab session,
+	// the active hours used to be a single daily timeframe
+	(settings) => ({
+		...settings,
+		sites: migrateSites(settings.sites),
+		time: migrateTime(settings.time)
+	})
+]
+
+const SCHEMA_VERSION = MIGRATIONS.length
+
+/**
+ * Check if a stored site has a rule, either as bare hostname of older
+ * versions or as the pattern of its settings.
+ * @param {*} site
+ * @returns {Boolean}
+ */
+const isValidSite = function (site) {
+	const pattern = isObject(site) ? site.pattern : site
+	return typeof pattern === 'string' && !!tryParsePattern(pattern)
+}
+
+/**
+ * Check if a weekly schedule can be evaluated, see time.js.
+ * @param {*} schedule
+ * @returns {Boolean}
+ */
+const isValidSchedule = function (schedule) {
+	return (
+		isObject(schedule) &&
+		Object.values(schedule).every(
+			(windows) =>
+				Array.isArray(windows) &&
+				windows.every(
+					(w) =>
+						isObject(w) &&
+						typeof w.from === 'string' &&
+						typeof w.to === 'string'
+				)
+		)
+	)
+}
+
+/**
+ * Replace settings that can't be upgraded, ex. a missing time key or sites
+ * without a rule, so that the upgrade steps can rely on their type.
+ * @param {Object} settings - { key: value }, keys see SETTINGS_KEYS
+ * @returns {Object}
+ */
+const repairSettings = function (settings) {
+	const _settings = {}
+
+	Object.keys(settings)
+		.filter((key) => settings[key] !== undefined)
+		.forEach((key) => {
+			// getSettings merges stored settings into the defaults
+			_settings[key] = isObject(settings[key])
+				? settings[key]
+				: SETTINGS_DEFAULTS[key]
+		})
+
+	const sites = _settings.sites || {}
+	_settings.sites = {}
+	Object.keys(sites)
+		.filter((id) => isValidSite(sites[id]))
+		.forEach((id) => {
+			_settings.sites[id] = sites[id]
+		})
+
+	return _settings
+}
+
+/**
+ * Replace settings that are still corrupt after the upgrade.
+ * @param {Object} settings - Upgraded settings
+ * @returns {Object}
+ */
+const validateSettings = function (settings) {
+	// Falls back to the defaults if the time settings are missing
+	const time = migrateTime(settings.time)
+	return {
+		...settings,
+		time: isValidSchedule(time.schedule)
+			? time
+			: { ...time, schedule: TIME_DEFAULTS.schedule }
+	}
+}
+
+/**
+ * Upgrade the stored settings to the current schema version and write the
+ * settings that changed.
+ * @returns Promise that resolves with the upgraded settings
+ */
+const migrateSettings = function () {
+	return Promise.all([
+		chrome.storage.local.get('schemaVersion'),
+		readSettings(SETTINGS_KEYS)
+	]).then(([{ schemaVersion = 0 }, settings]) => {
+		const migrated = validateSettings(
+			MIGRATIONS.slice(schemaVersion).reduce(
+				(acc, step) => step(acc),
+				repairSettings(settings)
+			)
+		)
+
+		const changes = {}
+		Object.keys(migrated)
+			.filter(
+				(key) =>
+					JSON.stringify(migrated[key]) !==
+					JSON.stringify(settings[key])
+			)
+			.forEach((key) => {
+				changes[key] = migrated[key]
+			})
+
+		return writeSettings(changes)
+			.then(() =>
+				chrome.storage.local.set({ schemaVersion: SCHEMA_VERSION })
+			)
+			.then(() => migrated)
+	})
+}
+
+export { SCHEMA_VERSION, migrateSettings }
@@ -0,0 +1,184 @@
+/**
+ * @file Utility functions to pause a single site or everything for a while.
+ * Pauses are a choice of the moment on this device, hence they are kept in
+ * chrome.storage.local and never synced, ex.
+ * { all: null, sites: { 'reddit.com': { id, since: 1640340000000, until: 1640340900000 } } }
+ *
+ * Every pause is logged as well to see how often the rules are bypassed.
+ */
+
+import { createQueue, getUID } from './helper.js'
+
+/**
+ * Choices of the pause length, minutes or 'tomorrow' for the next midnight.
+ */
+const PAUSE_DURATIONS = [
+	{ value: 15, label: '15 min' },
+	{ value: 60, label: '1 h' },
+	{ value: 'tomorrow', label: 'Until tomorrow' }
+]
+
+// Length of the pause log, older pauses are dropped
+const LOG_LENGTH = 500
+
+const enqueue = createQueue()
+
+/**
+ * Return the time a pause of a certain length ends.
+ * @param {Number|String} duration - Minutes or 'tomorrow', see PAUSE_DURATIONS
+ * @param {Date} date - Start of the pause
+ * @returns {Number} - Returns timestamp
+ */
+const getPauseEnd = function (duration, date = new Date()) {
+	if (duration === 'tomorrow') {
+		return new Date(
+			date.getFullYear(),
+			date.getMonth(),
+			date.getDate() + 1
+		).getTime()
+	}
+	return date.getTime() + duration * 60 * 1000
+}
+
+/**
+ * Return the pauses that haven't ended yet.
+ * @returns Promise that resolves with { all, sites }
+ */
+const getPauses = function () {
+	return new Promise((resolve, reject) => {
+		chrome.storage.local.get('pauses', ({ pauses }) => {
+			if (chrome.runtime.lastError) {
+				return reject(chrome.runtime.lastError)
+			}
+
+			const now = Date.now()
+			const { all = null, sites = {} } = pauses || {}
+			const _sites = {}
+			Object.keys(sites)
+				.filter((e) => sites[e].until > now)
+				.forEach((e) => {
+					_sites[e] = sites[e]
+				})
+
+			resolve({ all: all && all.until > now ? all : null, sites: _sites })
+		})
+	})
+}
+
+/**
+ * Return the pause that applies to a site, the one that lasts longer
+ * if both the site and everything is paused.
+ * @param {Object} pauses - See getPauses
+ * @param {String|null} pattern - Rule of the site, null for everything
+ * @returns {Object|null} - Returns { since, until } or null if not paused
+ */
+const findPause = function (pauses, pattern) {
+	const candidates = [pauses.all, pattern && pauses.sites[pattern]].filter(
+		(e) => e
+	)
+	if (!candidates.length) return null
+	return candidates.reduce((a, b) => (b.until > a.until ? b : a))
+}
+
+/**
+ * Write the pauses and append to or update the pause log.
+ * @param {Function} update - Receives pauses and log, changes them in place
+ * @returns Promise if read/write operation succeded
+ */
+const writePauses = function (update) {
+	return enqueue(() =>
+		getPauses().then(
+			(pauses) =>
+				new Promise((resolve, reject) => {
+					chrome.storage.local.get('pauseLog', ({ pauseLog }) => {
+						if (chrome.runtime.lastError) {
+							return reject(chrome.runtime.lastError)
+						}
+
+						const log = pauseLog || []
+						update(pauses, log)
+
+						chrome.storage.local.set(
+							{ pauses, pauseLog: log.slice(-LOG_LENGTH) },
+							() => {
+								if (chrome.runtime.lastError) {
+									return reject(chrome.runtime.lastError)
+								}
+								resolve(pauses)
+							}
+						)
+					})
+				})
+		)
+	)
+}
+
+/**
+ * Pause a site or everything.
+ * @param {String|null} pattern - Rule of the site, null pauses everything
+ * @param {Number} until - Timestamp the pause ends
+ * @returns Promise if read/write operation succeded, resolves with the pause
+ */
+const addPause = function (pattern, until) {
+	const pause = {
+		id: `${Date.now().toString(36)}${getUID()}`,
+		since: Date.now(),
+		until
+	}
+
+	return writePauses((pauses, log) => {
+		if (pattern) {
+			pauses.sites[pattern] = pause
+		} else {
+			pauses.all = pause
+		}
+		log.push({ ...pause, pattern })
+	}).then(() => pause)
+}
+
+/**
+ * End the pause of a site or everything.
+ * @param {String|null} pattern - Rule of the site, null for everything
+ * @param {Boolean} early - Whether the pause is ended before its time, recorded in the log
+ * @returns Promise if read/write operation succeded
+ */
+const removePause = function (pattern, early = false) {
+	return writePauses((pauses, log) => {
+		const pause = pattern ? pauses.sites[pattern] : pauses.all
+		if (!pause) return
+
+		if (pattern) {
+			delete pauses.sites[pattern]
+		} else {
+			pauses.all = null
+		}
+
+		const entry = log.find((e) => e.id === pause.id)
+		if (entry && early) entry.resumed = Date.now()
+	})
+}
+
+/**
+ * Return the pause log, newest first.
+ * @returns Promise that resolves with an array of { pattern, since, until, resumed? }
+ */
+const getPauseLog = function () {
+	return new Promise((resolve, reject) => {
+		chrome.storage.local.get('pauseLog', ({ pauseLog }) => {
+			if (chrome.runtime.lastError) {
+				return reject(chrome.runtime.lastError)
+			}
+			resolve((pauseLog || []).slice().reverse())
+		})
+	})
+}
+
+export {
+	PAUSE_DURATIONS,
+	getPauseEnd,
+	getPauses,
+	findPause,
+	addPause,
+	removePause,
+	getPauseLog
+}
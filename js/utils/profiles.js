@@ -0,0 +1,196 @@
+/**
+ * @file Group sites, ex. 'Social' or 'Video', and switch between profiles,
+ * ex. 'Deep work' or 'Weekend', that decide which groups are active.
+ *
+ * Groups and profiles are settings, ex.
+ * { groups: { a1b2: { name: 'Social' } },
+ *   profiles: { c3d4: { name: 'Deep work', groups: ['a1b2'], schedule: null } } }
+ * A profile turns on by itself during its schedule, unless one has been
+ * chosen on this device, which is kept in chrome.storage.local.
+ * Sites without a group are active in every profile.
+ * While strict mode is on, profiles can't be switched or changed since that
+ * may turn groups off, see strict.js.
+ */
+
+import { getUID, createQueue } from './helper.js'
+import { isScheduled } from './schedule.js'
+import { getSettings, updateSettings } from './storage.js'
+import { checkUnlocked } from './strict.js'
+import { readSettings, writeSettings } from './sync.js'
+
+const enqueue = createQueue()
+
+/**
+ * Return the profile that has been chosen on this device.
+ * @returns Promise that resolves with the ID or null if profiles switch by their schedule
+ */
+const getChosenProfile = function () {
+	return chrome.storage.local
+		.get('profile')
+		.then(({ profile = null }) => profile)
+}
+
+/**
+ * Choose a profile on this device.
+ * @param {String|null} id - ID of the profile or null to switch by schedule
+ * @returns Promise
+ */
+const chooseProfile = function (id) {
+	return checkUnlocked().then(() => chrome.storage.local.set({ profile: id }))
+}
+
+/**
+ * Return the profile that is on.
+ * @param {Object} settings - Groups and profiles, see SETTINGS_DEFAULTS
+ * @param {Object} time - Global time settings, their time zone applies to schedules
+ * @param {String|null} chosen - ID of the profile chosen on this device
+ * @param {Date} date
+ * @returns {Object|null} - Returns { id, name, groups, schedule } or null if no profile is on
+ */
+const getCurrentProfile = function (
+	{ profiles = {} } = {},
+	time,
+	chosen,
+	date = new Date()
+) {
+	if (chosen && profiles[chosen]) return { id: chosen, ...profiles[chosen] }
+
+	const id = Object.keys(profiles).find(
+		(e) =>
+			profiles[e].schedule &&
+			isScheduled({ ...time, schedule: profiles[e].schedule }, date)
+	)
+	return id ? { id, ...profiles[id] } : null
+}
+
+/**
+ * Check whether a site is active in a profile.
+ * @param {Object} site - Settings of the site
+ * @param {Object|null} profile - See getCurrentProfile
+ * @returns {Boolean}
+ */
+const isSiteEnabled = function (site, profile) {
+	return !profile || !site.group || profile.groups.includes(site.group)
+}
+
+/**
+ * Add a group.
+ * @param {String} name
+ * @returns Promise that resolves with the ID of the group
+ */
+const addGroup = function (name) {
+	const id = getUID()
+	return getSettings('profiles').then(({ groups }) =>
+		updateSettings('profiles', {
+			groups: { ...groups, [id]: { name } }
+		}).then(() => id)
+	)
+}
+
+/**
+ * Remove a group from the settings, its profiles and its sites.
+ * @param {String} id - ID of the group
+ * @returns Promise
+ */
+const removeGroup = function (id) {
+	return getSettings('profiles')
+		.then(({ groups, profiles }) => {
+			const _groups = { ...groups }
+			delete _groups[id]
+
+			const _profiles = {}
+			Object.keys(profiles).forEach((e) => {
+				_profiles[e] = {
+					...profiles[e],
+					groups: profiles[e].groups.filter((group) => group !== id)
+				}
+			})
+
+			return updateSettings('profiles', {
+				groups: _groups,
+				profiles: _profiles
+			})
+		})
+		.then(() => readSettings(['sites']))
+		.then(({ sites = {} }) => {
+			const ids = Object.keys(sites).filter((e) => sites[e].group === id)
+			if (!ids.length) return undefined
+
+			ids.forEach((e) => {
+				sites[e] = { ...sites[e], group: null }
+			})
+			return writeSettings({ sites })
+		})
+}
+
+/**
+ * Add a profile without groups that is only turned on by hand.
+ * @param {String} name
+ * @returns Promise that resolves with the ID of the profile
+ */
+const addProfile = function (name) {
+	const id = getUID()
+	return getSettings('profiles').then(({ profiles }) =>
+		updateSettings('profiles', {
+			profiles: {
+				...profiles,
+				[id]: { name, groups: [], schedule: null }
+			}
+		}).then(() => id)
+	)
+}
+
+/**
+ * Update a profile. Changes that depend on the stored profile, ex. adding
+ * a group, are passed as function so that they build on its latest state.
+ * @param {String} id - ID of the profile
+ * @param {Object|Function} changes - Settings that will be overwritten, ex. { groups: ['a1b2'] }, or function that returns them for the stored profile
+ * @returns Promise that resolves with the updated profile
+ */
+const updateProfile = function (id, changes) {
+	return enqueue(() =>
+		checkUnlocked()
+			.then(() => getSettings('profiles'))
+			.then(({ profiles }) => {
+				if (!profiles[id]) throw new Error('Profile does not exist.')
+
+				const profile = {
+					...profiles[id],
+					...(typeof changes === 'function'
+						? changes(profiles[id])
+						: changes)
+				}
+				return updateSettings('profiles', {
+					profiles: { ...profiles, [id]: profile }
+				}).then(() => profile)
+			})
+	)
+}
+
+/**
+ * Remove a profile.
+ * @param {String} id - ID of the profile
+ * @returns Promise
+ */
+const removeProfile = function (id) {
+	return checkUnlocked()
+		.then(() => getSettings('profiles'))
+		.then(({ profiles }) => {
+			const _profiles = { ...profiles }
+			delete _profiles[id]
+
+			return updateSettings('profiles', { profiles: _profiles })
+		})
+}
+
+export {
+	getChosenProfile,
+	chooseProfile,
+	getCurrentProfile,
+	isSiteEnabled,
+	addGroup,
+	removeGroup,
+	addProfile,
+	updateProfile,
+	removeProfile
+}
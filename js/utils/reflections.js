@@ -0,0 +1,82 @@
+/**
+ * @file Utility functions to ask whether an intention has been met once the
+ * visit it has been set on ends, ex. when its tab is closed or leaves the site.
+ * Ended visits wait in chrome.storage.local until the popup or the next page
+ * that asks for an intention brings them up, ex.
+ * { reflections: [{ entryId, pattern, intention, ended: 1640340000000 }] }
+ *
+ * The answer is kept with the journal entry and counted in the statistics
+ * of the site, see journal.js and stats.js.
+ */
+
+import { createQueue } from './helper.js'
+
+/**
+ * Answers whether an intention has been met, value => label. The values are
+ * fields of the statistics as well.
+ */
+const OUTCOMES = { met: 'Yes', partly: 'Partly', missed: 'No' }
+
+// Number of visits that wait for an answer, older ones are dropped
+const QUEUE_LENGTH = 10
+
+const enqueue = createQueue()
+
+/**
+ * Read, change and write the visits that wait for an answer.
+ * @param {Function} update - Receives the reflections and returns them changed
+ * @returns Promise that resolves with the changed reflections
+ */
+const updateReflections = function (update) {
+	return enqueue(() =>
+		chrome.storage.local.get('reflections').then(({ reflections = [] }) => {
+			const _reflections = update(reflections).slice(-QUEUE_LENGTH)
+			return chrome.storage.local
+				.set({ reflections: _reflections })
+				.then(() => _reflections)
+		})
+	)
+}
+
+/**
+ * Ask about an intention once its visit has ended.
+ * @param {Object} reflection
+ * @param {String} reflection.entryId - ID of the journal entry of the intention
+ * @param {String} reflection.pattern - Rule of the site
+ * @param {String} reflection.intention
+ * @returns Promise
+ */
+const addReflection = function ({ entryId, pattern, intention }) {
+	return updateReflections((reflections) => [
+		// Visits of the same intention only ask once
+		...reflections.filter((e) => e.entryId !== entryId),
+		{ entryId, pattern, intention, ended: Date.now() }
+	])
+}
+
+/**
+ * Return the latest visit that waits for an answer.
+ * @returns Promise that resolves with the reflection or null if there's none
+ */
+const getReflection = function () {
+	return chrome.storage.local
+		.get('reflections')
+		.then(({ reflections = [] }) =>
+			reflections.length ? reflections[reflections.length - 1] : null
+		)
+}
+
+/**
+ * Stop asking about an intention, ex. once it has been answered.
+ * @param {String} entryId - ID of the journal entry of the intention
+ * @returns Promise that resolves with the removed reflection or null if it wasn't waiting anymore
+ */
+const removeReflection = function (entryId) {
+	let removed = null
+	return updateReflections((reflections) => {
+		removed = reflections.find((e) => e.entryId === entryId) || null
+		return reflections.filter((e) => e.entryId !== entryId)
+	}).then(() => removed)
+}
+
+export { OUTCOMES, addReflection, getReflection, removeReflection }
@@ -0,0 +1,175 @@
+/**
+ * @file Pure functions that evaluate the weekly schedule, shared by the
+ * background worker and the options page. Nothing in here reads the clock or
+ * storage, the date and settings are always passed in.
+ *
+ * Time windows are compared by wall-clock time of the schedule's timezone,
+ * hence they keep their meaning across DST changes: a window from 09:00 to
+ * 17:00 starts at 09:00 on both sides of the change, and a window that
+ * covers a skipped or repeated hour is simply shorter or longer that day.
+ */
+
+const MINUTES_PER_DAY = 24 * 60
+
+/**
+ * Convert a 'hh:mm' string to minutes since midnight.
+ * @param {String} hh_mm
+ * @returns {Number}
+ */
+const toMinutes = function (hh_mm) {
+	const [h, m] = hh_mm.split(':').map(Number)
+	return h * 60 + m
+}
+
+/**
+ * Convert minutes since midnight to a 'hh:mm' string.
+ * @param {Number} minutes
+ * @returns {String}
+ */
+const toHHMM = function (minutes) {
+	const pad = (n) => String(n).padStart(2, '0')
+	return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`
+}
+
+/**
+ * Return weekday and minutes since midnight of a date, either in the
+ * system timezone or in a fixed one.
+ * @param {Date} date
+ * @param {String} [timeZone] - IANA timezone, ex. 'Europe/Berlin'
+ * @returns {Object} - Returns { day, minutes }, day 0 = Sunday as in Date.getDay
+ */
+const getWallClock = function (date, timeZone) {
+	if (!timeZone) {
+		return {
+			day: date.getDay(),
+			minutes: date.getHours() * 60 + date.getMinutes()
+		}
+	}
+
+	const parts = {}
+	new Intl.DateTimeFormat('en-US', {
+		timeZone,
+		weekday: 'short',
+		hour: '2-digit',
+		minute: '2-digit',
+		hourCycle: 'h23'
+	})
+		.formatToParts(date)
+		.forEach(({ type, value }) => {
+			parts[type] = value
+		})
+
+	const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(
+		parts.weekday
+	)
+	return { day, minutes: Number(parts.hour) * 60 + Number(parts.minute) }
+}
+
+/**
+ * Check if a timezone is supported by the runtime.
+ * @param {String} timeZone
+ * @returns {Boolean}
+ */
+const isValidTimeZone = function (timeZone) {
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone })
+		return true
+	} catch {
+		return false
+	}
+}
+
+/**
+ * Check if a time window is active at a given minute of its own day or,
+ * for overnight windows, of the following day.
+ *
+ * Windows whose end is before their start run overnight, ex. 23:00 to 02:00.
+ * Windows that start and end at the same time last the whole day.
+ * @param {Object} window - { from: 'hh:mm', to: 'hh:mm' }, 'from' is inclusive, 'to' is exclusive
+ * @param {Number} minutes - Minutes since midnight
+ * @param {Boolean} nextDay - Whether minutes belong to the day after the window's day
+ * @returns {Boolean}
+ */
+const isWithinWindow = function ({ from, to }, minutes, nextDay = false) {
+	const start = toMinutes(from)
+	const end = toMinutes(to)
+
+	if (start === end) return !nextDay
+	if (start < end) return !nextDay && start <= minutes && minutes < end
+	return nextDay ? minutes < end : start <= minutes
+}
+
+/**
+ * Check if a date falls into one of the time windows of the schedule.
+ * @param {Object} time - Time settings
+ * @param {Object} time.schedule - Time windows per weekday, 0 = Sunday
+ * @param {String} [time.timeZone] - Fixed IANA timezone, system timezone if unset
+ * @param {Date} date
+ * @returns {Boolean}
+ */
+const isScheduled = function ({ schedule, timeZone }, date) {
+	const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : undefined
+	const { day, minutes } = getWallClock(date, zone)
+	const yesterday = (day + 6) % 7
+
+	return (
+		(schedule[day] || []).some((w) => isWithinWindow(w, minutes)) ||
+		(schedule[yesterday] || []).some((w) =>
+			isWithinWindow(w, minutes, true)
+		)
+	)
+}
+
+/**
+ * Return when the wall clock next reaches the start or end of a time window
+ * of any of the schedules. Starts and ends are taken as candidates on every
+ * day, the caller checks what has actually changed.
+ * @param {Array} schedules - Time windows per weekday, see isScheduled
+ * @param {String} [timeZone] - Fixed IANA timezone, system timezone if unset
+ * @param {Date} date
+ * @returns {Date|null} - Returns the start of the minute or null if there are no windows
+ */
+const getNextBoundary = function (schedules, timeZone, date) {
+	const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : undefined
+	const boundaries = new Set()
+	schedules.forEach((schedule) =>
+		Object.values(schedule).forEach((windows) =>
+			(windows || []).forEach(({ from, to }) => {
+				boundaries.add(toMinutes(from))
+				boundaries.add(toMinutes(to))
+			})
+		)
+	)
+	if (!boundaries.size) return null
+
+	const { minutes } = getWallClock(date, zone)
+	// Minutes until the next boundary after the current minute, a day at most
+	const delta = Math.min(
+		...[...boundaries].map(
+			(e) => ((e - minutes + MINUTES_PER_DAY - 1) % MINUTES_PER_DAY) + 1
+		)
+	)
+	const minute = 60 * 1000
+	const next = new Date(Math.floor(date / minute) * minute + delta * minute)
+
+	// The wall clock skips or repeats an hour on the day of a DST change,
+	// boundaries within the skipped hour pass once it's over
+	const target = (minutes + delta) % MINUTES_PER_DAY
+	const drift =
+		((target - getWallClock(next, zone).minutes + MINUTES_PER_DAY * 1.5) %
+			MINUTES_PER_DAY) -
+		MINUTES_PER_DAY / 2
+	const corrected = new Date(next.getTime() + drift * minute)
+	return corrected > date ? corrected : next
+}
+
+export {
+	MINUTES_PER_DAY,
+	toMinutes,
+	toHHMM,
+	getWallClock,
+	isValidTimeZone,
+	isWithinWindow,
+	isScheduled,
+	getNextBoundary
+}
@@ -0,0 +1,150 @@
+/**
+ * @file Register the content script for the sites of the list, so that
+ * the browser injects it at document_start instead of the background worker
+ * after every navigation.
+ *
+ * The content script matches whole origins, since single-page apps may
+ * change their route to a page that matches, rules with paths or exclusions
+ * are checked by the script itself, see GET_STATE in background.js. The veil
+ * follows the rules as close as match patterns get instead, and leaves out
+ * sites that are paused or outside of their active hours.
+ */
+
+import { tryParsePattern, toOriginPattern, toMatchPattern } from './match.js'
+import { createQueue } from './helper.js'
+import { SETTINGS_DEFAULTS, THEME_BLUR, THEME_OPACITY } from './storage.js'
+
+// IDs of the registered content scripts
+const SCRIPT_ID = 'intention'
+const VEIL_ID = 'intention-veil'
+
+const enqueue = createQueue()
+
+/**
+ * Return the match patterns of a list of sites.
+ * @param {Array} sites - Settings of the sites
+ * @param {Function} toPattern - Converts a rule, see toOriginPattern
+ * @param {Boolean} exclude - Whether to return the patterns of exclusions instead
+ * @returns {Array} - Returns unique match patterns, ex. ['*://*.example.com/*']
+ */
+const getMatches = function (sites, toPattern, exclude = false) {
+	const matches = sites
+		.map((site) => tryParsePattern(site.pattern))
+		.filter((rule) => rule && rule.exclude === exclude)
+		.map(toPattern)
+	return [...new Set(matches)]
+}
+
+/**
+ * Compare two lists of match patterns regardless of their order.
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {Boolean}
+ */
+const isSameMatches = function (a = [], b = []) {
+	return [...a].sort().join() === [...b].sort().join()
+}
+
+/**
+ * Return the stylesheets of the veil for the theme settings, the veil is
+ * registered before the content script knows them.
+ * @param {Object} theme - Theme settings, see SETTINGS_DEFAULTS
+ * @returns {Array} - Returns paths of the stylesheets
+ */
+const getVeilStyles = function ({ blur, opacity }) {
+	const defaults = SETTINGS_DEFAULTS.theme
+	const _blur = THEME_BLUR.includes(blur) ? blur : defaults.blur
+	const _opacity = THEME_OPACITY.includes(opacity)
+		? opacity
+		: defaults.opacity
+	return [
+		'style/veil.css',
+		`style/veil/blur-${_blur}.css`,
+		`style/veil/opacity-${_opacity}.css`
+	]
+}
+
+/**
+ * Check whether the same scripts have been registered already.
+ * @param {Array} registered - Registered content scripts
+ * @param {Array} scripts - Content scripts that should be registered
+ * @returns {Boolean}
+ */
+const isRegistered = function (registered, scripts) {
+	return (
+		registered.length === scripts.length &&
+		scripts.every((script) => {
+			const match = registered.find((e) => e.id === script.id)
+			return (
+				match &&
+				isSameMatches(match.matches, script.matches) &&
+				isSameMatches(match.excludeMatches, script.excludeMatches) &&
+				(match.css || []).join() === (script.css || []).join()
+			)
+		})
+	)
+}
+
+/**
+ * Register the content script for all sites and the veil for the sites
+ * that blur the page, replacing the previous registrations. Changes of the
+ * sites that keep their rules and overlays, ex. moving the intention field,
+ * keep the registrations.
+ * @param {Object} sites - Stored sites, keyed by ID
+ * @param {Object} theme - Theme settings, which style the veil
+ * @param {Function} isActive - Whether a site asks for an intention right now, ex. it isn't paused
+ * @returns Promise if the scripts have been registered
+ */
+const registerScripts = function (sites, theme, isActive = () => true) {
+	// The optional scripting permission hasn't been granted yet
+	if (!chrome.scripting) return Promise.resolve()
+
+	const list = Object.values(sites)
+	const matches = getMatches(list, toOriginPattern)
+	const veilMatches = getMatches(
+		list.filter((site) => site.overlay !== 'banner' && isActive(site)),
+		toMatchPattern
+	)
+	const veilExcludes = getMatches(list, toMatchPattern, true)
+
+	const scripts = [
+		{
+			id: SCRIPT_ID,
+			matches,
+			js: ['js/inject.js'],
+			css: ['style/inject.css'],
+			runAt: 'document_start'
+		},
+		{
+			// Covers the page before its first paint, the content script
+			// takes over once it knows whether an intention is needed
+			id: VEIL_ID,
+			matches: veilMatches,
+			...(veilExcludes.length && { excludeMatches: veilExcludes }),
+			css: getVeilStyles(theme),
+			runAt: 'document_start'
+		}
+	].filter((script) => script.matches.length)
+
+	return enqueue(() =>
+		chrome.scripting
+			.getRegisteredContentScripts({ ids: [SCRIPT_ID, VEIL_ID] })
+			.then((registered) => {
+				if (isRegistered(registered, scripts)) return undefined
+
+				return (
+					registered.length
+						? chrome.scripting.unregisterContentScripts({
+								ids: registered.map((e) => e.id)
+						  })
+						: Promise.resolve()
+				).then(() =>
+					scripts.length
+						? chrome.scripting.registerContentScripts(scripts)
+						: undefined
+				)
+			})
+	)
+}
+
+export { registerScripts }
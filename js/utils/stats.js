@@ -0,0 +1,190 @@
+/**
+ * @file Utility functions to record and summarize usage statistics of the
+ * configured sites. Statistics are kept in chrome.storage.local per day and
+ * rule, ex. { '2021-12-24': { 'reddit.com': { visits: 2, time: 360 } } }.
+ *
+ * visits - Visits during active hours
+ * outside - Attempted visits outside active hours
+ * time - Seconds spent with the site in the foreground
+ * prompts - Times an intention has been asked for
+ * intentions - Intentions that have been set
+ * met, partly, missed - Intentions that have been met, partly met or missed
+ * by the end of their visit, counted on the day they have been set
+ */
+
+import { createQueue, toDateKey } from './helper.js'
+
+const FIELDS = [
+	'visits',
+	'outside',
+	'time',
+	'prompts',
+	'intentions',
+	'met',
+	'partly',
+	'missed'
+]
+
+const enqueue = createQueue()
+
+/**
+ * Add to a statistic of a rule for the day of a date.
+ * @param {String} pattern - Rule the statistic belongs to
+ * @param {String} field - One of FIELDS
+ * @param {Number} amount
+ * @param {Date} date
+ * @returns Promise if read/write operation succeded
+ */
+const recordStat = function (pattern, field, amount = 1, date = new Date()) {
+	return enqueue(
+		() =>
+			new Promise((resolve, reject) => {
+				chrome.storage.local.get('stats', ({ stats }) => {
+					if (chrome.runtime.lastError) {
+						return reject(chrome.runtime.lastError)
+					}
+
+					const _stats = stats || {}
+					const day = toDateKey(date)
+					_stats[day] = _stats[day] || {}
+					_stats[day][pattern] = _stats[day][pattern] || {}
+					_stats[day][pattern][field] =
+						(_stats[day][pattern][field] || 0) + amount
+
+					chrome.storage.local.set({ stats: _stats }, () => {
+						if (chrome.runtime.lastError) {
+							return reject(chrome.runtime.lastError)
+						}
+						resolve(true)
+					})
+				})
+			})
+	)
+}
+
+/**
+ * Return all recorded statistics.
+ * @returns Promise that resolves with the statistics
+ */
+const getStats = function () {
+	return new Promise((resolve, reject) => {
+		chrome.storage.local.get('stats', ({ stats }) => {
+			if (chrome.runtime.lastError) {
+				return reject(chrome.runtime.lastError)
+			}
+			resolve(stats || {})
+		})
+	})
+}
+
+/**
+ * Sum up the statistics of a day, either of a single rule or of all rules.
+ * @param {Object} stats - All statistics
+ * @param {String} day - Date key, ex. '2021-12-24'
+ * @param {String} [pattern] - Rule, all rules if unset
+ * @returns {Object} - Returns an object with a total for each of FIELDS
+ */
+const sumDay = function (stats, day, pattern) {
+	const total = FIELDS.reduce((acc, e) => ({ ...acc, [e]: 0 }), {})
+	const patterns = stats[day] || {}
+
+	Object.keys(patterns)
+		.filter((e) => !pattern || e === pattern)
+		.forEach((e) => {
+			FIELDS.forEach((field) => {
+				total[field] += patterns[e][field] || 0
+			})
+		})
+
+	return total
+}
+
+/**
+ * Sum up statistics per day for a number of days up to and including a date.
+ * @param {Object} stats - All statistics
+ * @param {Object} options
+ * @param {Number} options.days - Number of days
+ * @param {Date} options.end - Last day
+ * @param {String} [options.pattern] - Rule, all rules if unset
+ * @returns {Array} - Returns [{ day, ...totals }], oldest first
+ */
+const summarizeDays = function (stats, { days, end, pattern }) {
+	const result = []
+	for (let i = days - 1; i >= 0; i--) {
+		const date = new Date(
+			end.getFullYear(),
+			end.getMonth(),
+			end.getDate() - i
+		)
+		const day = toDateKey(date)
+		result.push({ day, date, ...sumDay(stats, day, pattern) })
+	}
+	return result
+}
+
+/**
+ * Sum up statistics per week (starting Monday) for a number of weeks up to
+ * and including the week of a date.
+ * @param {Object} stats - All statistics
+ * @param {Object} options
+ * @param {Number} options.weeks - Number of weeks
+ * @param {Date} options.end - Day in the last week
+ * @param {String} [options.pattern] - Rule, all rules if unset
+ * @returns {Array} - Returns [{ day, ...totals }] where day is the week's Monday, oldest first
+ */
+const summarizeWeeks = function (stats, { weeks, end, pattern }) {
+	const monday = new Date(
+		end.getFullYear(),
+		end.getMonth(),
+		end.getDate() - ((end.getDay() + 6) % 7)
+	)
+
+	const result = []
+	for (let i = weeks - 1; i >= 0; i--) {
+		const start = new Date(
+			monday.getFullYear(),
+			monday.getMonth(),
+			monday.getDate() - i * 7
+		)
+		const days = summarizeDays(stats, {
+			days: 7,
+			end: new Date(
+				start.getFullYear(),
+				start.getMonth(),
+				start.getDate() + 6
+			),
+			pattern
+		})
+		const total = FIELDS.reduce(
+			(acc, field) => ({
+				...acc,
+				[field]: days.reduce((sum, e) => sum + e[field], 0)
+			}),
+			{}
+		)
+		result.push({ day: toDateKey(start), date: start, ...total })
+	}
+	return result
+}
+
+/**
+ * Return the share of intentions that have been met, partly met ones
+ * count half.
+ * @param {Object} total - Totals, see sumDay
+ * @returns {Number|null} - Returns percent or null if nothing has been answered
+ */
+const getSuccessRate = function ({ met, partly, missed }) {
+	const answered = met + partly + missed
+	if (!answered) return null
+	return Math.round((100 * (met + partly / 2)) / answered)
+}
+
+export {
+	FIELDS,
+	recordStat,
+	getStats,
+	sumDay,
+	summarizeDays,
+	summarizeWeeks,
+	getSuccessRate
+}
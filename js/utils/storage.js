@@ -1,92 +1,303 @@
 /**
- * @file Utility functions to add or remove a URL from chrome.storage.local.
- * TODO: Sync storage instead of local
+ * @file Utility functions to add or remove a URL or rule and to read and
+ * write feature settings. Settings are synced if enabled, see sync.js.
  */
 
-import { getKey } from './helper.js'
+import { parsePattern, toOriginPattern } from './match.js'
+import { readSettings, writeSettings } from './sync.js'
 
 /**
- * Write URL to local chrome storage.
+ * Settings of a newly added site.
+ * schedule - Own weekly schedule, see time.js, or null to follow the global time settings
+ * overlay - 'blur' blurs the page until an intention is set, 'banner' only shows the intention field
+ * scope - How long an intention holds, see intentions.js
+ * scopeMinutes - Minutes an intention holds if scope is 'minutes'
+ * position - Preset position of the intention field, ex. 'top-left', or { x, y } in percent where it has been moved to
+ * group - ID of the group the site belongs to or null, see profiles.js
+ * templates - Intentions suggested on the site, ex. 'Reply to DM from …'
+ * budget - Daily limit of visits or minutes, ex. { type: 'minutes', limit: 30 }, or null, see budget.js
+ */
+const SITE_DEFAULTS = {
+	schedule: null,
+	overlay: 'blur',
+	scope: 'tab',
+	scopeMinutes: 30,
+	position: 'top',
+	group: null,
+	templates: [],
+	budget: null
+}
+
+/**
+ * Choices of the per-site settings, value => label
+ */
+const OVERLAY_OPTIONS = { blur: 'Blur the page', banner: 'Only show a banner' }
+const SCOPE_OPTIONS = {
+	visit: 'On every visit',
+	tab: 'Once per tab',
+	session: 'Once per browser session',
+	minutes: 'Once every few minutes',
+	day: 'Once a day'
+}
+
+/**
+ * Choices of the minutes an intention holds, see SCOPE_OPTIONS
+ */
+const SCOPE_MINUTES = [10, 15, 30, 60, 120]
+
+/**
+ * Preset positions of the intention field, a position it has been moved
+ * to on the page is kept as { x, y } instead
+ */
+const POSITION_OPTIONS = {
+	top: 'Top',
+	'top-left': 'Top left',
+	'top-right': 'Top right',
+	bottom: 'Bottom',
+	'bottom-left': 'Bottom left',
+	'bottom-right': 'Bottom right'
+}
+
+/**
+ * Defaults of the feature settings, each stored under its own key.
+ * checkIn - Asks whether the user is still on task a number of minutes after the intention has been set
+ * strict - Requires intentions of a minimum number of words after a delay in seconds,
+ * turning it off or removing sites waits a number of minutes, see strict.js
+ * theme - Look of the intention field, 'light', 'dark' or following the 'system',
+ * its accent color and the blur in pixels and opacity in percent of the veil
+ * profiles - Groups of sites and profiles that decide which groups are active, see profiles.js
+ * budget - Time of day the budgets of the sites reset, see budget.js
+ * away - Asks for a new intention once the user comes back after being idle
+ * or after a tab of a site has been in the background for a number of minutes
+ */
+const SETTINGS_DEFAULTS = {
+	checkIn: { active: false, minutes: 20 },
+	strict: {
+		active: false,
+		minWords: 3,
+		delay: 10,
+		wait: 15,
+		pending: { disable: null, remove: {} }
+	},
+	theme: { mode: 'system', accent: '#007aff', blur: 16, opacity: 40 },
+	profiles: { groups: {}, profiles: {} },
+	budget: { reset: '00:00' },
+	away: { active: false, minutes: 15 }
+}
+
+/**
+ * Choices of the check-in delay and of the time away before asking again,
+ * in minutes
+ */
+const CHECK_IN_MINUTES = [5, 10, 15, 20, 30, 45, 60, 90]
+const AWAY_MINUTES = [5, 10, 15, 30, 60, 120]
+
+/**
+ * Choices of the theme, value => label
+ */
+const THEME_MODES = {
+	system: 'Follow the system',
+	light: 'Light',
+	dark: 'Dark'
+}
+
+/**
+ * Choices of the blur in pixels and the opacity in percent of the veil,
+ * style/veil has a stylesheet for each of them.
+ */
+const THEME_BLUR = [0, 4, 8, 16, 24, 32]
+const THEME_OPACITY = [0, 20, 40, 60, 80]
+
+/**
+ * Create a site entry for a rule.
+ * @param {String} pattern - Normalized rule, see match.js
+ * @returns {Object}
+ */
+const createSite = function (pattern) {
+	return { ...SITE_DEFAULTS, pattern }
+}
+
+/**
+ * Convert a site of older versions, either a bare hostname string
+ * or a site that asks per tab session or visit.
+ * @param {String|Object} site
+ * @returns {Object}
+ */
+const migrateSite = function (site) {
+	if (typeof site === 'string') return createSite(site)
+
+	const { prompt, ...rest } = site
+	const scope = rest.scope || (prompt === 'visit' ? 'visit' : 'tab')
+	return { ...SITE_DEFAULTS, ...rest, scope }
+}
+
+/**
+ * Convert the sites of older versions.
+ * @param {Object} [sites] - Stored sites, keyed by ID, if any have been stored
+ * @returns {Object} - Returns sites where every entry is an object
+ */
+const migrateSites = function (sites) {
+	const _sites = {}
+	Object.keys(sites || {}).forEach((id) => {
+		_sites[id] = migrateSite(sites[id])
+	})
+	return _sites
+}
+
+/**
+ * Request the permissions needed to inject into the sites of a set of rules.
+ * @param {Array} patterns - Rules, see match.js
+ * @returns Promise that resolves with true if permission was granted
+ */
+const requestAccess = function (patterns) {
+	const origins = patterns
+		.map(parsePattern)
+		// Exclusions never inject, hence need no host access
+		.filter((rule) => !rule.exclude)
+		.map(toOriginPattern)
+
+	return new Promise((resolve) => {
+		chrome.permissions.request(
+			{ permissions: ['scripting'], origins: [...new Set(origins)] },
+			(granted) => resolve(!!granted)
+		)
+	})
+}
+
+/**
+ * Check whether the permissions needed to inject into the sites of a set
+ * of rules are granted, ex. for sites that have been synced from another device.
+ * @param {Array} patterns - Rules, see match.js
+ * @returns Promise that resolves with a Boolean
+ */
+const hasAccess = function (patterns) {
+	const origins = patterns
+		.map(parsePattern)
+		.filter((rule) => !rule.exclude)
+		.map(toOriginPattern)
+
+	return new Promise((resolve) => {
+		chrome.permissions.contains(
+			{ permissions: ['scripting'], origins: [...new Set(origins)] },
+			(granted) => resolve(!!granted)
+		)
+	})
+}
+
+/**
+ * Write URL or rule to chrome storage.
  * @param {String} id
- * @param {String} url - URL that will be added to store.
- * @returns Promise if read/write operation succeded and permission was granted
- */
-const addURL = function addURLToStorage(id, url) {
-	return new Promise((resolve, reject) => {
-		let _url
-		try {
-			_url = new URL(url)
-		} catch {
-			return reject(new Error('Not a valid URL.'))
+ * @param {String|URL} url - URL or rule that will be added to store, see match.js for the rule syntax
+ * @param {Promise} [access] - Access to the site that has been requested already, see requestAccess
+ * @returns Promise if read/write operation succeded and permission was granted, resolves with the stored site
+ */
+const addURL = function addURLToStorage(id, url, access) {
+	let rule
+	try {
+		rule = parsePattern(url)
+	} catch (e) {
+		return Promise.reject(e)
+	}
+
+	return readSettings(['sites']).then(({ sites = {} }) => {
+		if (Object.values(sites).some((e) => e.pattern === rule.pattern)) {
+			throw new Error('URL has already been added.')
 		}
 
-		chrome.storage.local.get('sites', ({ sites }) => {
-			if (chrome.runtime.lastError) {
-				return reject(chrome.runtime.lastError)
-			}
-
-			if (getKey(sites, _url.hostname) !== undefined) {
-				return reject(new Error('URL has already been added.'))
-			} else {
-				chrome.permissions.request(
-					{
-						permissions: ['scripting'],
-						origins: [_url.origin + '/']
-					},
-					function (granted) {
-						if (granted) {
-							sites[id] = _url.hostname
-
-							chrome.storage.local.set({ sites }, () => {
-								if (chrome.runtime.lastError) {
-									return reject(chrome.runtime.lastError)
-								}
-								console.log(
-									'Added' +
-										url +
-										'with ID' +
-										id +
-										'to storage.'
-								)
-
-								resolve(_url.hostname)
-							})
-						} else {
-							reject(new Error('Failed to grant permission.'))
-						}
-					}
+		return (access || requestAccess([rule.pattern])).then((granted) => {
+			if (!granted) throw new Error('Failed to grant permission.')
+
+			sites[id] = createSite(rule.pattern)
+
+			return writeSettings({ sites }).then(() => {
+				console.log(
+					'Added' + rule.pattern + 'with ID' + id + 'to storage.'
 				)
-			}
+				return sites[id]
+			})
 		})
 	})
 }
 
 /**
- * Remove a URL from local chrome storage.
+ * Remove a URL from chrome storage.
  * @param {String} id - ID of URL that will be removed from store
  * @returns Promise if read and write operation succeded
  */
 const removeURL = function removeURLFromStorage(id) {
-	return new Promise((resolve, reject) => {
-		chrome.storage.local.get('sites', ({ sites }) => {
-			const url = sites[id]
+	return readSettings(['sites']).then(({ sites = {} }) => {
+		const url = sites[id] && sites[id].pattern
+
+		delete sites[id]
 
-			delete sites[id]
+		return writeSettings({ sites }).then(() => {
+			console.log('Removed' + url + 'with ID' + id + 'from storage.')
+			return true
+		})
+	})
+}
 
-			if (chrome.runtime.lastError) {
-				return reject(chrome.runtime.lastError)
-			}
+/**
+ * Update the settings of a site in chrome storage.
+ * @param {String} id - ID of site that will be updated
+ * @param {Object} changes - Settings that will be overwritten, ex. { overlay: 'banner' }
+ * @returns Promise if read and write operation succeded, resolves with the updated site
+ */
+const updateURL = function updateURLInStorage(id, changes) {
+	return readSettings(['sites']).then(({ sites = {} }) => {
+		if (!sites[id]) throw new Error('Website does not exist.')
 
-			chrome.storage.local.set({ sites }, () => {
-				if (chrome.runtime.lastError) {
-					return reject(chrome.runtime.lastError)
-				}
-				console.log('Removed' + url + 'with ID' + id + 'from storage.')
+		sites[id] = { ...sites[id], ...changes }
 
-				resolve(true)
-			})
-		})
+		return writeSettings({ sites }).then(() => sites[id])
 	})
 }
 
-export { addURL, removeURL }
+/**
+ * Read feature settings from chrome storage, filled up with defaults.
+ * @param {String} key - Key of settings, see SETTINGS_DEFAULTS
+ * @returns Promise that resolves with the settings
+ */
+const getSettings = function (key) {
+	return readSettings([key]).then((storage) => ({
+		...SETTINGS_DEFAULTS[key],
+		...storage[key]
+	}))
+}
+
+/**
+ * Update feature settings in chrome storage.
+ * @param {String} key - Key of settings, see SETTINGS_DEFAULTS
+ * @param {Object} changes - Settings that will be overwritten, ex. { minutes: 10 }
+ * @returns Promise if read and write operation succeded, resolves with the updated settings
+ */
+const updateSettings = function (key, changes) {
+	return getSettings(key).then((settings) => {
+		const _settings = { ...settings, ...changes }
+		return writeSettings({ [key]: _settings }).then(() => _settings)
+	})
+}
+
+export {
+	SITE_DEFAULTS,
+	OVERLAY_OPTIONS,
+	SCOPE_OPTIONS,
+	SCOPE_MINUTES,
+	POSITION_OPTIONS,
+	SETTINGS_DEFAULTS,
+	CHECK_IN_MINUTES,
+	AWAY_MINUTES,
+	THEME_MODES,
+	THEME_BLUR,
+	THEME_OPACITY,
+	createSite,
+	migrateSite,
+	migrateSites,
+	requestAccess,
+	hasAccess,
+	addURL,
+	removeURL,
+	updateURL,
+	getSettings,
+	updateSettings
+}
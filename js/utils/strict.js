@@ -0,0 +1,231 @@
+/**
+ * @file Strict mode asks for a proper intention before a page unlocks and
+ * makes loosening the rules a deliberate act: turning strict mode off or
+ * removing a site only happens after a waiting period, other ways around
+ * the rules, like pauses, profiles or the active hours, wait until it's off.
+ *
+ * Pending requests are kept with the strict settings, ex.
+ * { pending: { disable: 1640340900000, remove: { a1b2: 1640340900000 } } }
+ * and carried out by the background worker once their alarm goes off.
+ */
+
+import { getSettings, updateSettings, removeURL, updateURL } from './storage.js'
+
+// Rows of common keyboard layouts, mashing them isn't an intention
+const KEYBOARD_ROWS = [
+	'qwertyuiop',
+	'qwertzuiop',
+	'azertyuiop',
+	'asdfghjkl',
+	'qsdfghjklm',
+	'zxcvbnm',
+	'yxcvbnm',
+	'wxcvbn'
+]
+
+// Settings of a site that loosen the rules, see updateSite
+const LOCKED_SITE_SETTINGS = [
+	'schedule',
+	'overlay',
+	'scope',
+	'scopeMinutes',
+	'group',
+	'budget'
+]
+
+// Words that are typed to get rid of the prompt
+const FILLER_WORDS = ['asdf', 'test', 'idk', 'nothing', 'none', 'lol', 'ok']
+
+/**
+ * Split an intention into words.
+ * @param {String} text
+ * @returns {Array}
+ */
+const getWords = function (text) {
+	return text
+		.toLowerCase()
+		.split(/\s+/)
+		.filter((e) => /[\p{L}\p{N}]/u.test(e))
+}
+
+/**
+ * Check if a single word is filler, ex. 'asdf', 'hmmm' or 'abab'. Letters are
+ * only compared within a word, ex. 'less stuff' has no repeated letters.
+ * @param {String} word - Lowercase word, see getWords
+ * @returns {Boolean}
+ */
+const isFillerWord = function (word) {
+	const letters = word.replace(/[^\p{L}]/gu, '')
+
+	return (
+		FILLER_WORDS.includes(word) ||
+		// Repeated characters, ex. 'aaaa' or 'hmmm'
+		/(\p{L})\1{2,}/u.test(letters) ||
+		// Hardly any different characters, ex. 'abab', short words like 'too' are fine
+		(letters.length > 3 && new Set(letters).size < 3) ||
+		(word.length >= 3 && KEYBOARD_ROWS.some((row) => row.includes(word)))
+	)
+}
+
+/**
+ * Check if an intention is obvious filler, ex. 'asdf', 'aaaa' or 'go go go'.
+ * @param {String} text
+ * @returns {Boolean}
+ */
+const isFiller = function (text) {
+	const words = getWords(text)
+	if (!words.length) return true
+
+	// The same word over and over again
+	if (words.length > 1 && new Set(words).size === 1) return true
+
+	return words.every(isFillerWord)
+}
+
+/**
+ * Check if an intention is good enough to unlock the page in strict mode.
+ * @param {String} text - Intention as typed by the user
+ * @param {Object} strict - Strict settings, see SETTINGS_DEFAULTS
+ * @returns {String|null} - Returns the reason it's rejected or null if it's fine
+ */
+const validateIntention = function (text, { minWords }) {
+	if (isFiller(text)) return "That doesn't look like an intention."
+
+	const count = getWords(text).length
+	if (count < minWords) {
+		return `Describe your intention in at least ${minWords} words.`
+	}
+
+	return null
+}
+
+/**
+ * Return the name of the alarm that carries out a pending request.
+ * @param {String} action - 'disable' or 'remove'
+ * @param {String} id - ID of the site to remove
+ * @returns {String}
+ */
+const getAlarmName = function (action, id) {
+	return id ? `strict:${action}:${id}` : `strict:${action}`
+}
+
+/**
+ * Request to turn strict mode off or to remove a site after the waiting period.
+ * @param {String} action - 'disable' or 'remove'
+ * @param {String} id - ID of the site to remove
+ * @returns Promise that resolves with the timestamp the request is carried out
+ */
+const requestUnlock = function (action, id) {
+	return getSettings('strict').then(({ wait, pending }) => {
+		const until = Date.now() + wait * 60 * 1000
+		const _pending =
+			action === 'remove'
+				? { ...pending, remove: { ...pending.remove, [id]: until } }
+				: { ...pending, disable: until }
+
+		return updateSettings('strict', { pending: _pending }).then(() => {
+			chrome.alarms.create(getAlarmName(action, id), { when: until })
+			return until
+		})
+	})
+}
+
+/**
+ * Cancel a pending request.
+ * @param {String} action - 'disable' or 'remove'
+ * @param {String} id - ID of the site that won't be removed
+ * @returns Promise if read and write operation succeded
+ */
+const cancelUnlock = function (action, id) {
+	return getSettings('strict').then(({ pending }) => {
+		const _pending = { ...pending, remove: { ...pending.remove } }
+		if (action === 'remove') {
+			delete _pending.remove[id]
+		} else {
+			_pending.disable = null
+		}
+
+		chrome.alarms.clear(getAlarmName(action, id))
+		return updateSettings('strict', { pending: _pending })
+	})
+}
+
+/**
+ * Remove a site right away or, in strict mode, request its removal.
+ * @param {String} id - ID of the site
+ * @returns Promise that resolves with null if removed or the timestamp the removal is carried out
+ */
+const removeSite = function (id) {
+	return getSettings('strict').then(({ active }) =>
+		active ? requestUnlock('remove', id) : removeURL(id).then(() => null)
+	)
+}
+
+/**
+ * Refuse a change that loosens the rules while strict mode is on, ex. a
+ * pause or switching profiles. Unlike removing a site there's no waiting
+ * period, strict mode has to be turned off first.
+ * @returns Promise that rejects while strict mode is on
+ */
+const checkUnlocked = function () {
+	return getSettings('strict').then(({ active }) => {
+		if (active) throw new Error('Not possible while strict mode is on.')
+	})
+}
+
+/**
+ * Update the settings of a site, in strict mode only those that don't
+ * loosen the rules, ex. the position of the field.
+ * @param {String} id - ID of the site
+ * @param {Object} changes - Settings that will be overwritten, ex. { overlay: 'banner' }
+ * @returns Promise that resolves with the updated site
+ */
+const updateSite = function (id, changes) {
+	const locked = Object.keys(changes).some((key) =>
+		LOCKED_SITE_SETTINGS.includes(key)
+	)
+	return (locked ? checkUnlocked() : Promise.resolve()).then(() =>
+		updateURL(id, changes)
+	)
+}
+
+/**
+ * Carry out the pending requests whose waiting period is over.
+ * @returns Promise if all requests have been carried out
+ */
+const applyUnlocks = function () {
+	return getSettings('strict').then(({ pending }) => {
+		const now = Date.now()
+		const due = Object.keys(pending.remove).filter(
+			(id) => pending.remove[id] <= now
+		)
+		const disable = !!pending.disable && pending.disable <= now
+
+		// One after another since each removal rewrites the sites
+		const removals = due.reduce(
+			(promise, id) => promise.then(() => removeURL(id)),
+			Promise.resolve()
+		)
+
+		return removals.then(() => {
+			const remove = { ...pending.remove }
+			due.forEach((id) => delete remove[id])
+
+			return updateSettings('strict', {
+				...(disable && { active: false }),
+				pending: { disable: disable ? null : pending.disable, remove }
+			})
+		})
+	})
+}
+
+export {
+	isFiller,
+	validateIntention,
+	requestUnlock,
+	cancelUnlock,
+	removeSite,
+	checkUnlocked,
+	updateSite,
+	applyUnlocks
+}
@@ -0,0 +1,370 @@
+/**
+ * @file Read and write settings either in chrome.storage.sync or in
+ * chrome.storage.local, depending on whether sync is enabled on this device.
+ * Bulky data like the journal and the statistics always stays local.
+ *
+ * chrome.storage.sync limits the size of each item, hence every setting is
+ * stored there as JSON split into chunks, ex.
+ * { sites: { chunks: 2 }, 'sites.0': '{"a1b2":{"pat', 'sites.1': 'tern":…}}' }
+ *
+ * Once chrome.storage.sync refuses writes for its limits, this device stops
+ * syncing and keeps its settings locally, remembering why, ex.
+ * { sync: { active: false, error: 'Your settings outgrew …' } }
+ */
+
+// Keys of all settings, anything else is local-only data
+const SETTINGS_KEYS = [
+	'sites',
+	'time',
+	'checkIn',
+	'strict',
+	'theme',
+	'profiles',
+	'budget',
+	'away'
+]
+
+// Whether sync is enabled is a per-device choice, hence kept local
+const SYNC_KEY = 'sync'
+
+// Leaves room for the key and JSON escaping below chrome.storage.sync.QUOTA_BYTES_PER_ITEM (8192)
+const CHUNK_BYTES = 7000
+
+// Reading chunks that don't add up is tried again after a delay in ms
+const READ_ATTEMPTS = 3
+const RETRY_DELAY = 500
+
+// Errors of chrome.storage.sync once one of its limits is exceeded, ex.
+// 'QUOTA_BYTES quota exceeded', and what they mean to the user
+const QUOTA_ERRORS = {
+	QUOTA_BYTES: 'Your settings outgrew the storage of Chrome sync.',
+	MAX_ITEMS: 'Your settings outgrew the storage of Chrome sync.',
+	MAX_WRITE_OPERATIONS: 'Your settings changed too often for Chrome sync.'
+}
+
+const encoder = new TextEncoder()
+
+/**
+ * Wrap a chrome.storage call into a Promise.
+ * @param {Function} fn - Receives the callback of the chrome.storage call
+ * @returns Promise that resolves with the result or rejects with chrome.runtime.lastError
+ */
+const call = function (fn) {
+	return new Promise((resolve, reject) => {
+		fn((result) => {
+			if (chrome.runtime.lastError) {
+				return reject(new Error(chrome.runtime.lastError.message))
+			}
+			resolve(result)
+		})
+	})
+}
+
+/**
+ * Split a JSON string into chunks that fit into a single sync item.
+ * @param {String} json
+ * @returns {Array} - Returns array of strings
+ */
+const toChunks = function (json) {
+	const chunks = []
+	let i = 0
+	while (i < json.length) {
+		let size = CHUNK_BYTES
+		while (
+			size > 1 &&
+			encoder.encode(JSON.stringify(json.slice(i, i + size))).length >
+				CHUNK_BYTES
+		) {
+			size = Math.floor(size / 2)
+		}
+		chunks.push(json.slice(i, i + size))
+		i += size
+	}
+	return chunks
+}
+
+/**
+ * Explain an error of chrome.storage.sync that is due to its limits.
+ * @param {Error} error
+ * @returns {String|undefined} - Returns message for the user, undefined for other errors
+ */
+const getQuotaError = function (error) {
+	const key = Object.keys(QUOTA_ERRORS).find((e) => error.message.includes(e))
+	return key && QUOTA_ERRORS[key]
+}
+
+/**
+ * Return the setting a stored item belongs to, ex. 'sites.1' => 'sites'.
+ * @param {String} item - Key of a stored item
+ * @returns {String|undefined}
+ */
+const toSettingsKey = function (item) {
+	const key = item.split('.')[0]
+	return SETTINGS_KEYS.includes(key) ? key : undefined
+}
+
+/**
+ * Check whether settings are synced on this device.
+ * @returns Promise that resolves with a Boolean
+ */
+const isSyncEnabled = function () {
+	return call((cb) => chrome.storage.local.get(SYNC_KEY, cb)).then(
+		(storage) => !!(storage[SYNC_KEY] && storage[SYNC_KEY].active)
+	)
+}
+
+/**
+ * Return why syncing has been stopped on this device, if it stopped by itself.
+ * @returns Promise that resolves with the message for the user or null
+ */
+const getSyncError = function () {
+	return call((cb) => chrome.storage.local.get(SYNC_KEY, cb)).then(
+		(storage) => (storage[SYNC_KEY] && storage[SYNC_KEY].error) || null
+	)
+}
+
+/**
+ * Read settings from chrome.storage.sync, joining their chunks. Only the
+ * chunks of the requested settings are read, their counts are read along
+ * and have to match the ones they've been looked up by. Chunks that don't
+ * add up, ex. while another device is still writing, are read again a few
+ * times. Settings that still can't be read reject instead of being left
+ * out, which would look like missing settings and have them overwritten.
+ * @param {Array} keys
+ * @param {Number} attempt - Number of the current attempt, starts at 1
+ * @returns Promise that resolves with { key: value }
+ */
+const readSync = function (keys, attempt = 1) {
+	return call((cb) => chrome.storage.sync.get(keys, cb))
+		.then((metas) => {
+			const chunks = keys.flatMap((key) =>
+				Array.from(
+					{ length: (metas[key] && metas[key].chunks) || 0 },
+					(_, i) => `${key}.${i}`
+				)
+			)
+			return call((cb) =>
+				chrome.storage.sync.get([...keys, ...chunks], cb)
+			).then((items) => ({ metas, items }))
+		})
+		.then(({ metas, items }) => {
+			const settings = {}
+			const broken = []
+
+			keys.forEach((key) => {
+				const meta = items[key]
+				if (!meta || !meta.chunks) return
+
+				try {
+					// Written again since the chunks have been looked up
+					if (!metas[key] || metas[key].chunks !== meta.chunks) {
+						throw new Error('Changed chunks.')
+					}
+					const chunks = Array.from(
+						{ length: meta.chunks },
+						(_, i) => items[`${key}.${i}`]
+					)
+					if (chunks.some((e) => typeof e !== 'string')) {
+						throw new Error('Missing chunk.')
+					}
+					settings[key] = JSON.parse(chunks.join(''))
+				} catch (e) {
+					broken.push(key)
+				}
+			})
+
+			if (!broken.length) return settings
+			if (attempt >= READ_ATTEMPTS) {
+				throw new Error(`Failed to read synced ${broken.join(', ')}.`)
+			}
+			return new Promise((resolve) =>
+				setTimeout(resolve, RETRY_DELAY)
+			).then(() => readSync(keys, attempt + 1))
+		})
+}
+
+/**
+ * Write settings to chrome.storage.sync, splitting them into chunks and
+ * removing chunks that are left over from larger versions.
+ * @param {Object} items - { key: value }
+ * @returns Promise
+ */
+const writeSync = function (items) {
+	const keys = Object.keys(items)
+
+	return call((cb) => chrome.storage.sync.get(keys, cb)).then((previous) => {
+		const data = {}
+		const stale = []
+
+		keys.forEach((key) => {
+			const chunks = toChunks(JSON.stringify(items[key]))
+			chunks.forEach((chunk, i) => {
+				data[`${key}.${i}`] = chunk
+			})
+			data[key] = { chunks: chunks.length }
+
+			const before = (previous[key] && previous[key].chunks) || 0
+			for (let i = chunks.length; i < before; i++) {
+				stale.push(`${key}.${i}`)
+			}
+		})
+
+		return call((cb) => chrome.storage.sync.set(data, cb)).then(() =>
+			stale.length
+				? call((cb) => chrome.storage.sync.remove(stale, cb))
+				: undefined
+		)
+	})
+}
+
+/**
+ * Read settings from the storage area in use.
+ * @param {Array} keys - Keys of settings, see SETTINGS_KEYS
+ * @returns Promise that resolves with { key: value }, missing settings are undefined
+ */
+const readSettings = function (keys) {
+	return isSyncEnabled().then((sync) =>
+		sync ? readSync(keys) : call((cb) => chrome.storage.local.get(keys, cb))
+	)
+}
+
+/**
+ * Stop syncing once chrome.storage.sync refuses a write for its limits.
+ * The synced settings are copied like disableSync does, together with the
+ * ones that failed to write, so that no change gets lost.
+ * @param {Object} items - { key: value } that failed to write
+ * @param {String} error - Message for the user, see QUOTA_ERRORS
+ * @returns Promise
+ */
+const fallBackToLocal = function (items, error) {
+	return (
+		readSync(SETTINGS_KEYS)
+			// Settings that can't be read keep their copy from before syncing
+			.catch(() => ({}))
+			.then((synced) =>
+				call((cb) =>
+					chrome.storage.local.set(
+						{
+							...synced,
+							...items,
+							[SYNC_KEY]: { active: false, error }
+						},
+						cb
+					)
+				)
+			)
+	)
+}
+
+/**
+ * Write settings to the storage area in use.
+ * @param {Object} items - { key: value }, keys see SETTINGS_KEYS
+ * @returns Promise
+ */
+const writeSettings = function (items) {
+	return isSyncEnabled().then((sync) =>
+		sync
+			? writeSync(items).catch((e) => {
+					const error = getQuotaError(e)
+					if (!error) throw e
+					console.error(e)
+					return fallBackToLocal(items, error)
+			  })
+			: call((cb) => chrome.storage.local.set(items, cb))
+	)
+}
+
+/**
+ * Merge settings of two devices. Sites of both are kept,
+ * the other settings of the synced device win.
+ * @param {Object} local - Settings of this device
+ * @param {Object} synced - Settings of chrome.storage.sync
+ * @returns {Object}
+ */
+const mergeSettings = function (local, synced) {
+	const merged = { ...local, ...synced }
+
+	if (local.sites && synced.sites) {
+		const patterns = Object.values(synced.sites).map((e) => e.pattern)
+		merged.sites = { ...synced.sites }
+		Object.keys(local.sites)
+			.filter((id) => !patterns.includes(local.sites[id].pattern))
+			.forEach((id) => {
+				merged.sites[id] = local.sites[id]
+			})
+	}
+
+	return merged
+}
+
+/**
+ * Start syncing settings of this device. Local settings are merged into
+ * the ones already synced by other devices.
+ * @returns Promise that resolves with the merged settings
+ */
+const enableSync = function () {
+	return Promise.all([
+		call((cb) => chrome.storage.local.get(SETTINGS_KEYS, cb)),
+		readSync(SETTINGS_KEYS)
+	])
+		.then(([local, synced]) => {
+			const merged = mergeSettings(local, synced)
+			return writeSync(merged)
+				.catch((e) => {
+					throw new Error(getQuotaError(e) || e.message)
+				})
+				.then(() => merged)
+		})
+		.then((merged) =>
+			call((cb) =>
+				chrome.storage.local.set({ [SYNC_KEY]: { active: true } }, cb)
+			).then(() => merged)
+		)
+}
+
+/**
+ * Stop syncing settings of this device. The synced settings are copied
+ * so that the device keeps its current configuration.
+ * @returns Promise that resolves with the copied settings
+ */
+const disableSync = function () {
+	return readSync(SETTINGS_KEYS).then((synced) =>
+		call((cb) =>
+			chrome.storage.local.set(
+				{ ...synced, [SYNC_KEY]: { active: false } },
+				cb
+			)
+		).then(() => synced)
+	)
+}
+
+/**
+ * Listen for changes of settings in either storage area.
+ * @param {Function} callback - Called with an array of the changed settings keys
+ */
+const onSettingsChanged = function (callback) {
+	chrome.storage.onChanged.addListener((changes, areaName) => {
+		if (areaName !== 'local' && areaName !== 'sync') return
+
+		// Switching the storage area changes every setting
+		if (areaName === 'local' && changes[SYNC_KEY]) {
+			return callback(SETTINGS_KEYS)
+		}
+
+		const keys = [
+			...new Set(Object.keys(changes).map(toSettingsKey))
+		].filter((e) => e)
+		if (keys.length) callback(keys)
+	})
+}
+
+export {
+	SETTINGS_KEYS,
+	isSyncEnabled,
+	getSyncError,
+	readSettings,
+	writeSettings,
+	enableSync,
+	disableSync,
+	onSettingsChanged
+}
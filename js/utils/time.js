@@ -1,8 +1,49 @@
 /**
  * @file Handle time feature that allows the user
  * to enable/disable the plugin during certain time periods.
+ *
+ * The schedule is stored per weekday (0 = Sunday, as in Date.getDay) and each
+ * day holds a list of time windows, ex. { 1: [{ from: '09:00', to: '12:00' }] }.
+ * Days without windows are off. Evaluating the schedule lives in schedule.js.
  */
 
+import { MINUTES_PER_DAY, toMinutes, toHHMM } from './schedule.js'
+import { readSettings, writeSettings } from './sync.js'
+import { checkUnlocked } from './strict.js'
+
+const DAYS = [
+	'Sunday',
+	'Monday',
+	'Tuesday',
+	'Wednesday',
+	'Thursday',
+	'Friday',
+	'Saturday'
+]
+
+// Order in which days are displayed, starting on Monday
+const WEEK = [1, 2, 3, 4, 5, 6, 0]
+
+const INTERVALS = [5, 15, 30, 60]
+
+/**
+ * Time settings of a new install, weekdays from 9 to 5 and weekends off.
+ */
+const TIME_DEFAULTS = {
+	active: false,
+	use24Hrs: true,
+	interval: 30,
+	schedule: {
+		0: [],
+		1: [{ from: '09:00', to: '17:00' }],
+		2: [{ from: '09:00', to: '17:00' }],
+		3: [{ from: '09:00', to: '17:00' }],
+		4: [{ from: '09:00', to: '17:00' }],
+		5: [{ from: '09:00', to: '17:00' }],
+		6: []
+	}
+}
+
 /**
  * Return a collection of <option> nodes from 0:00 to 23:59 o'clock
  * in either 24-hours or 12-hours format.
@@ -46,100 +87,202 @@ const createTime = function ({ interval, str }) {
 }
 
 /**
- * Enables or disables the time feature.
- * @param {Function} callback
+ * Convert the single daily timeframe of older versions into a weekly schedule.
+ * @param {Object} time - Stored time settings
+ * @returns {Object} - Returns time settings with a schedule for every weekday
  */
-const toggleTimeFeature = function (callback) {
-	chrome.storage.local.get('time', ({ time }) => {
-		const isActive = time.active
-		time.active = !isActive
+const migrateTime = function (time) {
+	// Missing or corrupt settings fall back to the defaults
+	if (!time || typeof time !== 'object') {
+		return { ...TIME_DEFAULTS, schedule: { ...TIME_DEFAULTS.schedule } }
+	}
+	if (time.schedule) return time
 
-		chrome.storage.local.set({ time }, () => {
-			if (callback && typeof callback === 'function') {
-				callback(!isActive)
-			}
-		})
+	const { from = '09:00', to = '17:00', ...rest } = time
+	const schedule = {}
+	DAYS.forEach((_, day) => {
+		schedule[day] = [{ from, to }]
 	})
+
+	return { ...rest, interval: 30, schedule }
 }
 
 /**
- * Toggles time format between 24-hour and 12-hour format.
- * @param {Function} - Callback function
+ * Creates a weekday row with a <select> pair for each of its time windows.
+ * @param {Object} settings
+ * @param {Number} settings.day - Weekday, 0 = Sunday
+ * @param {Array} settings.windows - Time windows of the day
+ * @param {Number} settings.interval - Interval of the time options in minutes
+ * @param {String} settings.str - Date string, see createTime
+ * @param {Function} onChange - Called with the day and its updated windows
+ * @returns {HTMLLIElement}
  */
-const toggleTimeFormat = function (callback) {
-	chrome.storage.local.get('time', ({ time }) => {
-		if (chrome.runtime.lastError) {
-			return new Error(chrome.runtime.lastError)
-		}
+const createDay = function ({ day, windows, interval, str }, onChange) {
+	const item = document.createElement('li')
+	item.className = 'time-day'
 
-		const is24Hrs = time.use24Hrs
-		time.use24Hrs = !is24Hrs
+	const label = document.createElement('label')
+	label.textContent = DAYS[day]
+	item.appendChild(label)
 
-		chrome.storage.local.set({ time }, () => {
-			if (chrome.runtime.lastError) {
-				return new Error(chrome.runtime.lastError)
-			}
+	const list = document.createElement('div')
+	list.className = 'time-windows flex col'
+
+	const update = (_windows) => {
+		onChange(day, _windows)
+		item.replaceWith(
+			createDay({ day, windows: _windows, interval, str }, onChange)
+		)
+	}
+
+	windows.forEach((w, i) => {
+		const row = document.createElement('div')
+		row.className = 'time-window flex'
 
-			const tempFrom = from.value
-			const tempTo = to.value
+		const selects = ['from', 'to'].map((key) => {
+			const select = document.createElement('select')
+			select.setAttribute('aria-label', `${DAYS[day]} ${key}`)
+			select.appendChild(createTime({ interval, str }))
 
-			while (from.firstChild && to.firstChild) {
-				from.firstChild.remove()
-				to.firstChild.remove()
+			// Keep values that don't fit the current interval
+			if (!select.querySelector(`option[value='${w[key]}']`)) {
+				const option = document.createElement('option')
+				option.value = w[key]
+				option.textContent = w[key]
+				select.appendChild(option)
 			}
+			select.value = w[key]
+			return select
+		})
 
-			const interval = 30
-			const str = is24Hrs ? 'en-US' : 'en-GB'
+		selects.forEach((select) => {
+			select.addEventListener('change', () => {
+				const _windows = windows.slice()
+				_windows[i] = { from: selects[0].value, to: selects[1].value }
+				update(_windows)
+			})
+		})
 
-			from.appendChild(createTime({ interval, str }))
-			to.appendChild(createTime({ interval, str }))
+		// Windows may run past midnight or last the whole day, see schedule.js
+		const note = document.createElement('span')
+		note.className = 'time-window-note'
+		if (w.from === w.to) {
+			note.textContent = 'all day'
+		} else if (toMinutes(w.to) < toMinutes(w.from)) {
+			note.textContent = 'next day'
+		}
 
-			from.value = tempFrom
-			to.value = tempTo
+		const removeButton = document.createElement('button')
+		removeButton.className = 'delete'
+		removeButton.textContent = 'Remove'
+		removeButton.onclick = () =>
+			update(windows.filter((_, index) => index !== i))
 
-			if (callback && typeof callback === 'function') {
-				callback(is24Hrs)
-			}
-		})
+		row.appendChild(selects[0])
+		row.appendChild(selects[1])
+		row.appendChild(note)
+		row.appendChild(removeButton)
+		list.appendChild(row)
 	})
+
+	if (!windows.length) {
+		const off = document.createElement('p')
+		off.className = 'hint'
+		off.textContent = 'Off all day'
+		list.appendChild(off)
+	}
+
+	const addButton = document.createElement('button')
+	addButton.className = 'secondary'
+	addButton.textContent = 'Add time window'
+	addButton.onclick = () => {
+		const last = windows[windows.length - 1]
+		const from = last ? toMinutes(last.to) : 9 * 60
+		const to = last ? (from + 60) % MINUTES_PER_DAY : 17 * 60
+		update([...windows, { from: toHHMM(from), to: toHHMM(to) }])
+	}
+	list.appendChild(addButton)
+
+	item.appendChild(list)
+
+	return item
+}
+
+// Time settings that decide when sites are active, see checkUnlocked
+const LOCKED_TIME_SETTINGS = ['schedule', 'timeZone']
+
+/**
+ * Enables or disables the time feature, not while strict mode is on.
+ * @param {Function} callback
+ */
+const toggleTimeFeature = function (callback) {
+	checkUnlocked()
+		.then(() => readSettings(['time']))
+		.then(({ time }) => {
+			time.active = !time.active
+			return writeSettings({ time }).then(() => {
+				if (callback && typeof callback === 'function') {
+					callback(time.active)
+				}
+			})
+		})
+		.catch((e) => console.error(e))
 }
 
 /**
- * Sets new time and writes time to local store.
- * @param {Event} - Expects input event from <select> field
+ * Toggles time format between 24-hour and 12-hour format.
  * @param {Function} - Callback function
  */
-const setTime = function (e, callback) {
-	chrome.storage.local.get('time', ({ time }) => {
-		if (chrome.runtime.lastError) {
-			return new Error(chrome.runtime.lastError)
-		}
+const toggleTimeFormat = function (callback) {
+	readSettings(['time'])
+		.then(({ time }) => {
+			const is24Hrs = time.use24Hrs
+			time.use24Hrs = !is24Hrs
 
-		// Expects target id to be 'from' or 'to'
-		time[e.target.id] = e.target.value
-		let offset
-		const otherSelect = e.target.id === 'from' ? 'to' : 'from'
-
-		if (time[e.target.id] === time[otherSelect]) {
-			if (e.target.selectedIndex < e.target.length - 1) {
-				offset = e.target[e.target.selectedIndex + 1].value
-				time[otherSelect] = offset
-			} else {
-				offset = e.target[e.target.selectedIndex - 1].value
-				time[otherSelect] = offset
-			}
-		}
+			return writeSettings({ time }).then(() => {
+				if (callback && typeof callback === 'function') {
+					callback(is24Hrs)
+				}
+			})
+		})
+		.catch((e) => console.error(e))
+}
 
-		chrome.storage.local.set({ time }, () => {
-			if (chrome.runtime.lastError) {
-				return new Error(chrome.runtime.lastError)
-			}
+/**
+ * Writes a single property of the time settings to store. The schedule and
+ * time zone stay as they are while strict mode is on.
+ * @param {String} key - Property, ex. 'schedule' or 'interval'
+ * @param {*} value
+ * @param {Function} - Callback function
+ */
+const setTime = function (key, value, callback) {
+	const check = LOCKED_TIME_SETTINGS.includes(key)
+		? checkUnlocked()
+		: Promise.resolve()
 
-			if (callback && typeof callback === 'function') {
-				callback({ id: otherSelect, index: offset })
-			}
+	check
+		.then(() => readSettings(['time']))
+		.then(({ time }) => {
+			time[key] = value
+
+			return writeSettings({ time }).then(() => {
+				if (callback && typeof callback === 'function') {
+					callback(time)
+				}
+			})
 		})
-	})
+		.catch((e) => console.error(e))
 }
 
-export { createTime, toggleTimeFeature, toggleTimeFormat, setTime }
+export {
+	DAYS,
+	WEEK,
+	INTERVALS,
+	TIME_DEFAULTS,
+	createTime,
+	createDay,
+	migrateTime,
+	toggleTimeFeature,
+	toggleTimeFormat,
+	setTime
+}
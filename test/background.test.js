@@ -0,0 +1,626 @@
+import { describe, test, before, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { installChrome, flush } from './helpers/chrome.js'
+import { SITE_DEFAULTS } from '../js/utils/storage.js'
+
+// The background worker registers its listeners on import
+const chrome = installChrome()
+await import('../background.js')
+
+/**
+ * Send a message to the background worker like a content script does.
+ * @param {Object} message
+ * @param {Object} sender - ex. { tab: { id: 1, url } }
+ * @returns Promise that resolves with the response
+ */
+const send = function (message, sender) {
+	return new Promise((resolve) =>
+		chrome.runtime.onMessage.dispatch(message, sender, resolve)
+	)
+}
+
+/**
+ * Change the route of a single-page app.
+ * @param {Number} tabId
+ * @param {String} url
+ * @param {Object} data - Further details of the navigation
+ */
+const navigate = async function (tabId, url, data = {}) {
+	chrome.tabs.tabs[tabId] = { ...chrome.tabs.tabs[tabId], url }
+	chrome.webNavigation.onHistoryStateUpdated.dispatch({
+		tabId,
+		url,
+		frameId: 0,
+		transitionType: 'link',
+		...data
+	})
+	await flush()
+}
+
+const messagesTo = (tabId) =>
+	chrome.tabs.sent.filter((e) => e.tabId === tabId).map((e) => e.message.type)
+
+const site = (pattern, settings) => ({ ...SITE_DEFAULTS, pattern, ...settings })
+
+describe('injection decisions', () => {
+	before(flush)
+
+	beforeEach(async () => {
+		chrome.storage.session.data = {}
+		chrome.tabs.tabs = {
+			1: { id: 1, url: 'https://news.site/', active: true, windowId: 1 }
+		}
+		chrome.tabs.sent = []
+		chrome.scripting.executed = []
+		await chrome.storage.local.set({
+			pauses: { all: null, sites: {} },
+			sites: {
+				a1: site('reddit.com'),
+				a2: site('!reddit.com/r/learnprogramming'),
+				a3: site('youtube.com', { overlay: 'banner' })
+			},
+			time: { active: false, schedule: {} }
+		})
+		await flush()
+	})
+
+	test('asks for an intention on a matching page', async () => {
+		const state = await send(
+			{ type: 'GET_STATE' },
+			{ tab: { id: 1, url: 'https://reddit.com/r/all' } }
+		)
+
+		assert.equal(state.site.pattern, 'reddit.com')
+		assert.equal(state.intention, null)
+	})
+
+	test('leaves excluded pages alone', async () => {
+		const state = await send(
+			{ type: 'GET_STATE' },
+			{ tab: { id: 1, url: 'https://reddit.com/r/learnprogramming' } }
+		)
+
+		assert.equal(state, undefined)
+	})
+
+	test('leaves pages alone outside of the active hours', async () => {
+		await chrome.storage.local.set({
+			time: { active: true, schedule: { 0: [], 1: [], 2: [] } }
+		})
+		await flush()
+
+		const state = await send(
+			{ type: 'GET_STATE' },
+			{ tab: { id: 1, url: 'https://reddit.com/' } }
+		)
+
+		assert.equal(state, undefined)
+	})
+
+	test('leaves paused sites alone', async () => {
+		await send({ type: 'PAUSE', pattern: 'reddit.com', duration: 15 })
+		await flush()
+
+		const state = await send(
+			{ type: 'GET_STATE' },
+			{ tab: { id: 1, url: 'https://reddit.com/' } }
+		)
+
+		assert.equal(state, undefined)
+	})
+
+	test('prompts routes of single-page apps that newly match', async () => {
+		chrome.tabs.tabs[1].injected = true
+
+		await navigate(1, 'https://reddit.com/r/all')
+
+		assert.deepEqual(messagesTo(1), ['PROMPT'])
+	})
+
+	test('injects into pages that have no content script yet', async () => {
+		await navigate(1, 'https://youtube.com/watch')
+
+		assert.deepEqual(messagesTo(1), ['PROMPT'])
+		assert.deepEqual(
+			chrome.scripting.executed.map((e) => e.target.tabId),
+			[1]
+		)
+	})
+
+	test('hides the field on routes that match no rule', async () => {
+		chrome.tabs.tabs[1].injected = true
+		await navigate(1, 'https://reddit.com/r/all')
+
+		await navigate(1, 'https://reddit.com/r/learnprogramming')
+
+		assert.deepEqual(messagesTo(1), ['PROMPT', 'UNMATCH'])
+	})
+
+	test('uses the sites it read even if they change meanwhile', async () => {
+		chrome.tabs.tabs[1].injected = true
+
+		// The change empties the cache while the navigation is handled
+		chrome.storage.local.set({ sites: { a1: site('reddit.com') } })
+		await navigate(1, 'https://reddit.com/r/all')
+
+		assert.deepEqual(messagesTo(1), ['PROMPT'])
+	})
+
+	test('goes back or closes the tab when leaving a blurred page', async () => {
+		chrome.tabs.tabs[2] = {
+			id: 2,
+			url: 'https://reddit.com/',
+			canGoBack: true
+		}
+
+		await send({ type: 'LEAVE' }, { tab: { id: 2 } })
+		await send({ type: 'LEAVE' }, { tab: { id: 1 } })
+
+		assert.deepEqual(chrome.tabs.wentBack, [2])
+		assert.deepEqual(chrome.tabs.removed, [1])
+	})
+
+	test('ignores embedded frames', async () => {
+		await navigate(1, 'https://reddit.com/', { frameId: 3 })
+
+		assert.deepEqual(messagesTo(1), [])
+	})
+
+	test('registers the content scripts for the origins of the sites', async () => {
+		await chrome.storage.local.set({
+			sites: {
+				a1: site('reddit.com'),
+				a3: site('youtube.com', { overlay: 'banner' })
+			}
+		})
+		await flush()
+
+		const scripts = Object.fromEntries(
+			chrome.scripting.registered.map((e) => [e.id, e.matches])
+		)
+		assert.deepEqual(scripts, {
+			intention: ['*://reddit.com/*', '*://youtube.com/*'],
+			'intention-veil': ['*://reddit.com/*']
+		})
+	})
+
+	test('veils only the pages the rules match', async () => {
+		await chrome.storage.local.set({
+			sites: {
+				a1: site('reddit.com/r/all'),
+				a2: site('!reddit.com/r/all/top'),
+				a3: site('*.youtube.com/shorts/*'),
+				// Never within its own active hours
+				a4: site('x.com', {
+					schedule: {
+						0: [],
+						1: [],
+						2: [],
+						3: [],
+						4: [],
+						5: [],
+						6: []
+					}
+				})
+			}
+		})
+		await flush()
+
+		const veil = chrome.scripting.registered.find(
+			(e) => e.id === 'intention-veil'
+		)
+		assert.deepEqual(veil.matches, [
+			'*://reddit.com/r/all*',
+			'*://*.youtube.com/shorts/*'
+		])
+		assert.deepEqual(veil.excludeMatches, ['*://reddit.com/r/all/top*'])
+	})
+
+	test("doesn't veil paused sites", async () => {
+		const veilMatches = () =>
+			chrome.scripting.registered.find((e) => e.id === 'intention-veil')
+				.matches
+
+		await chrome.storage.local.set({
+			sites: { a1: site('reddit.com'), a2: site('news.site') }
+		})
+		await send({ type: 'PAUSE', pattern: 'reddit.com', duration: 15 })
+		await flush()
+		assert.deepEqual(veilMatches(), ['*://news.site/*'])
+
+		await send({ type: 'RESUME', pattern: 'reddit.com' })
+		await flush()
+		assert.deepEqual(veilMatches(), ['*://reddit.com/*', '*://news.site/*'])
+	})
+
+	test('styles the veil with the theme settings', async () => {
+		const veilStyles = () =>
+			chrome.scripting.registered.find((e) => e.id === 'intention-veil')
+				.css
+
+		assert.deepEqual(veilStyles(), [
+			'style/veil.css',
+			'style/veil/blur-16.css',
+			'style/veil/opacity-40.css'
+		])
+
+		await chrome.storage.local.set({
+			theme: { mode: 'dark', accent: '#ff0000', blur: 4, opacity: 0 }
+		})
+		await flush()
+
+		assert.deepEqual(veilStyles(), [
+			'style/veil.css',
+			'style/veil/blur-4.css',
+			'style/veil/opacity-0.css'
+		])
+		await chrome.storage.local.remove('theme')
+		await flush()
+	})
+
+	test('keeps the content scripts when the field is moved', async () => {
+		await flush()
+		const { registerContentScripts } = chrome.scripting
+		let registrations = 0
+		chrome.scripting.registerContentScripts = (scripts) => {
+			registrations++
+			return registerContentScripts(scripts)
+		}
+
+		await send(
+			{ type: 'SAVE_POSITION', position: { x: 20, y: 80 } },
+			{ tab: { id: 1, url: 'https://reddit.com/r/all' } }
+		)
+		await flush()
+		assert.deepEqual(chrome.storage.local.data.sites.a1.position, {
+			x: 20,
+			y: 80
+		})
+		assert.equal(registrations, 0)
+
+		// Adding a site still registers its origin
+		await chrome.storage.local.set({
+			sites: { ...chrome.storage.local.data.sites, a4: site('x.com') }
+		})
+		await flush()
+		chrome.scripting.registerContentScripts = registerContentScripts
+		assert.equal(registrations, 1)
+	})
+})
+
+describe('check-ins', () => {
+	beforeEach(async () => {
+		chrome.storage.session.data = {}
+		chrome.storage.local.data.journal = []
+		chrome.alarms.alarms = {}
+		chrome.tabs.tabs = {
+			1: {
+				id: 1,
+				url: 'https://news.site/',
+				active: true,
+				windowId: 1,
+				injected: true
+			}
+		}
+		chrome.tabs.sent = []
+		await chrome.storage.local.set({
+			checkIn: { active: true, minutes: 20 },
+			pauses: { all: null, sites: {} },
+			sites: { a1: site('reddit.com') },
+			time: { active: false, schedule: {} }
+		})
+		await flush()
+	})
+
+	/**
+	 * Visit reddit.com in tab 1 and set an intention.
+	 * @param {String} intention
+	 * @returns Promise that resolves with the name of the check-in alarm
+	 */
+	const setIntention = async function (intention) {
+		await navigate(1, 'https://reddit.com/r/all')
+		const entry = await send(
+			{ type: 'SAVE_INTENTION', intention },
+			{ tab: chrome.tabs.tabs[1] }
+		)
+		await flush()
+		return `checkin:1:${entry.id}`
+	}
+
+	const checkIns = () =>
+		Object.keys(chrome.alarms.alarms).filter((e) =>
+			e.startsWith('checkin:')
+		)
+
+	const ring = async function (name) {
+		chrome.tabs.sent = []
+		chrome.alarms.onAlarm.dispatch({ name })
+		await flush()
+	}
+
+	test('checks in on the intention of the visit', async () => {
+		const alarm = await setIntention('Reply to my messages')
+
+		assert.deepEqual(checkIns(), [alarm])
+		await ring(alarm)
+		assert.deepEqual(messagesTo(1), ['CHECK_IN'])
+	})
+
+	test('ends check-ins once the visit ends', async () => {
+		const alarm = await setIntention('Reply to my messages')
+
+		await navigate(1, 'https://news.site/')
+
+		assert.deepEqual(checkIns(), [])
+		await ring(alarm)
+		assert.deepEqual(messagesTo(1), [])
+	})
+
+	test('ends check-ins once the intention is cleared', async () => {
+		await setIntention('Reply to my messages')
+
+		await send({ type: 'CLEAR_INTENTION', tabId: 1 }, {})
+		await flush()
+
+		assert.deepEqual(checkIns(), [])
+	})
+
+	test("doesn't check in on an intention that has been replaced", async () => {
+		const alarm = await setIntention('Reply to my messages')
+		await setIntention('Read the news of today')
+
+		await ring(alarm)
+		assert.deepEqual(messagesTo(1), [])
+	})
+
+	test('keeps entries that are added while another is deleted', async () => {
+		await setIntention('Reply to my messages')
+		const [entry] = chrome.storage.local.data.journal
+
+		const [added, removed] = await Promise.all([
+			send(
+				{ type: 'SAVE_INTENTION', intention: 'Read the news of today' },
+				{ tab: chrome.tabs.tabs[1] }
+			),
+			send({ type: 'REMOVE_ENTRY', id: entry.id }, {})
+		])
+		await flush()
+
+		assert.equal(removed, true)
+		assert.deepEqual(
+			chrome.storage.local.data.journal.map((e) => e.id),
+			[added.id]
+		)
+	})
+})
+
+describe('adding sites from shortcuts and context menus', () => {
+	const tab = { id: 1, url: 'https://news.site/', active: true, windowId: 1 }
+
+	beforeEach(async () => {
+		chrome.tabs.tabs = { 1: { ...tab, injected: true } }
+		chrome.permissions.requests = []
+		chrome.permissions.nextResponse = true
+		chrome.action.badges = {}
+		await chrome.storage.local.set({ sites: { a1: site('reddit.com') } })
+		await flush()
+	})
+
+	test('asks for access right away within the user gesture', async () => {
+		chrome.contextMenus.onClicked.dispatch(
+			{ menuItemId: 'add-page', pageUrl: tab.url },
+			tab
+		)
+
+		assert.equal(chrome.permissions.requests.length, 1)
+		await flush()
+		const patterns = Object.values(chrome.storage.local.data.sites).map(
+			(e) => e.pattern
+		)
+		assert.deepEqual(patterns, ['reddit.com', 'news.site'])
+	})
+
+	test('asks for access right away on the shortcut', async () => {
+		chrome.commands.onCommand.dispatch('toggle-site', tab)
+
+		assert.deepEqual(chrome.permissions.requests[0].origins, [
+			'*://news.site/*'
+		])
+		await flush()
+	})
+
+	test('shows on the icon of the tab why the site was not added', async () => {
+		chrome.permissions.nextResponse = false
+
+		chrome.commands.onCommand.dispatch('toggle-site', tab)
+		await flush()
+
+		assert.equal(chrome.action.badges[1].text, '!')
+		assert.equal(
+			chrome.action.badges[1].title,
+			"Couldn't add the site. Failed to grant permission."
+		)
+		assert.equal(Object.keys(chrome.storage.local.data.sites).length, 1)
+	})
+})
+
+describe('strict mode', () => {
+	const tab = { id: 1, url: 'https://reddit.com/', active: true, windowId: 1 }
+
+	beforeEach(async () => {
+		chrome.tabs.tabs = { 1: { ...tab, injected: true } }
+		chrome.action.badges = {}
+		await chrome.storage.local.set({
+			pauses: { all: null, sites: {} },
+			sites: { a1: site('reddit.com', { group: 'g1' }) },
+			profiles: {
+				groups: { g1: { name: 'Social' } },
+				profiles: {
+					p1: { name: 'Deep work', groups: [], schedule: null }
+				}
+			},
+			strict: { active: true }
+		})
+		await chrome.storage.local.remove('profile')
+		await flush()
+	})
+
+	afterEach(async () => {
+		await chrome.storage.local.remove(['strict', 'profiles'])
+		await flush()
+	})
+
+	test('refuses pauses', async () => {
+		const pause = await send({ type: 'PAUSE', pattern: null, duration: 15 })
+
+		assert.equal(pause, undefined)
+		assert.equal(chrome.storage.local.data.pauses.all, null)
+		const state = await send({ type: 'GET_STATE' }, { tab })
+		assert.equal(state.site.pattern, 'reddit.com')
+	})
+
+	test('still ends pauses', async () => {
+		await chrome.storage.local.set({
+			pauses: {
+				all: null,
+				sites: { 'reddit.com': { since: 0, until: Date.now() + 60000 } }
+			}
+		})
+
+		assert.equal(
+			await send({ type: 'RESUME', pattern: 'reddit.com' }),
+			true
+		)
+		assert.deepEqual(chrome.storage.local.data.pauses.sites, {})
+	})
+
+	test('refuses switching to a profile without the group of a site', async () => {
+		const response = await send({ type: 'CHOOSE_PROFILE', id: 'p1' })
+
+		assert.equal(response, undefined)
+		assert.equal(chrome.storage.local.data.profile, undefined)
+		const state = await send({ type: 'GET_STATE' }, { tab })
+		assert.equal(state.site.pattern, 'reddit.com')
+	})
+
+	test('shows on the icon of the tab why the site was not paused', async () => {
+		chrome.commands.onCommand.dispatch('pause-site', tab)
+		await flush()
+
+		assert.equal(
+			chrome.action.badges[1].title,
+			"Couldn't pause the site. Not possible while strict mode is on."
+		)
+		assert.deepEqual(chrome.storage.local.data.pauses.sites, {})
+	})
+})
+
+describe('schedule boundaries', () => {
+	// Monday 09:00 to 17:00 in UTC
+	const time = {
+		active: true,
+		timeZone: 'UTC',
+		schedule: {
+			0: [],
+			1: [{ from: '09:00', to: '17:00' }],
+			2: [],
+			3: [],
+			4: [],
+			5: [],
+			6: []
+		}
+	}
+
+	beforeEach(async () => {
+		mock.timers.enable({
+			apis: ['Date'],
+			now: new Date('2021-12-20T08:30:00Z')
+		})
+		chrome.storage.session.data = {}
+		chrome.tabs.tabs = {
+			1: {
+				id: 1,
+				url: 'https://reddit.com/',
+				active: true,
+				windowId: 1,
+				injected: true
+			},
+			2: {
+				id: 2,
+				url: 'https://youtube.com/',
+				active: false,
+				windowId: 1,
+				injected: true
+			}
+		}
+		chrome.tabs.sent = []
+		await chrome.storage.local.set({
+			pauses: { all: null, sites: {} },
+			sites: {
+				a1: site('reddit.com'),
+				// Own active hours that last all day
+				a3: site('youtube.com', {
+					schedule: { 1: [{ from: '00:00', to: '00:00' }] }
+				})
+			},
+			time
+		})
+		await flush()
+	})
+
+	afterEach(() => {
+		mock.timers.reset()
+	})
+
+	/**
+	 * Let the clock reach the boundary the schedule alarm waits for.
+	 * @returns Promise
+	 */
+	const reachBoundary = async function () {
+		const { when } = chrome.alarms.alarms.schedule
+		mock.timers.setTime(when + 2000)
+		chrome.tabs.sent = []
+		chrome.alarms.onAlarm.dispatch({
+			name: 'schedule',
+			scheduledTime: when
+		})
+		await flush()
+	}
+
+	test('waits for the next start or end of the active hours', () => {
+		assert.equal(
+			chrome.alarms.alarms.schedule.when,
+			new Date('2021-12-20T09:00:00Z').getTime()
+		)
+	})
+
+	test('asks for an intention once the active hours start', async () => {
+		await reachBoundary()
+
+		assert.deepEqual(messagesTo(1), ['PROMPT'])
+		assert.deepEqual(messagesTo(2), [])
+		assert.equal(
+			chrome.alarms.alarms.schedule.when,
+			new Date('2021-12-20T17:00:00Z').getTime()
+		)
+	})
+
+	test('hides the field once the active hours end', async () => {
+		await reachBoundary()
+		await reachBoundary()
+
+		assert.deepEqual(messagesTo(1), ['UNMATCH'])
+		assert.deepEqual(messagesTo(2), [])
+	})
+
+	test('stops waiting without schedules', async () => {
+		await chrome.storage.local.set({
+			time: { ...time, active: false },
+			sites: { a1: site('reddit.com') }
+		})
+		await flush()
+
+		assert.equal(chrome.alarms.alarms.schedule, undefined)
+	})
+})
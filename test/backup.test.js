@@ -0,0 +1,198 @@
+import { describe, test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { installChrome } from './helpers/chrome.js'
+import {
+	BACKUP_VERSION,
+	createBackup,
+	parseBackup,
+	importBackup
+} from '../js/utils/backup.js'
+import {
+	SITE_DEFAULTS,
+	SETTINGS_DEFAULTS,
+	getSettings
+} from '../js/utils/storage.js'
+import { TIME_DEFAULTS } from '../js/utils/time.js'
+import { applyUnlocks } from '../js/utils/strict.js'
+
+/**
+ * Serialize a backup like a file that is imported.
+ * @param {Object} settings - Settings besides the version
+ * @returns {String}
+ */
+const toFile = (settings) =>
+	JSON.stringify({ version: BACKUP_VERSION, ...settings })
+
+const strict = { active: false, minWords: 3, delay: 10, wait: 15 }
+
+describe('parsing backups', () => {
+	test('reads the backup of the settings', () => {
+		const sites = { a1: { ...SITE_DEFAULTS, pattern: 'reddit.com' } }
+		const backup = createBackup({ sites, checkIn: { active: true } })
+
+		const parsed = parseBackup(JSON.stringify(backup))
+
+		assert.deepEqual(parsed.sites, [sites.a1])
+		assert.deepEqual(parsed.checkIn, { active: true, minutes: 20 })
+	})
+
+	test("doesn't carry over pending requests of strict mode", () => {
+		const backup = parseBackup(
+			toFile({ strict: { ...strict, pending: { disable: 1 } } })
+		)
+
+		assert.deepEqual(backup.strict, {
+			...strict,
+			pending: { disable: null, remove: {} }
+		})
+	})
+
+	test('rejects strict mode settings of the wrong shape', () => {
+		const invalid = [
+			[],
+			{ ...strict, active: 'yes' },
+			{ ...strict, minWords: -1 },
+			{ active: true }
+		]
+		invalid.forEach((e) =>
+			assert.throws(() => parseBackup(toFile({ strict: e })), {
+				message: 'Strict mode settings are not valid.'
+			})
+		)
+	})
+
+	test('reads groups and profiles', () => {
+		const profiles = {
+			groups: { g1: { name: 'Social' } },
+			profiles: {
+				p1: { name: 'Deep work', groups: ['g1'], schedule: null },
+				p2: {
+					name: 'Weekend',
+					groups: [],
+					schedule: { 0: [{ from: '00:00', to: '00:00' }] }
+				}
+			}
+		}
+
+		assert.deepEqual(parseBackup(toFile({ profiles })).profiles, profiles)
+	})
+
+	test('rejects groups and profiles of the wrong shape', () => {
+		const invalid = [
+			{ groups: {} },
+			{ groups: { g1: 'Social' }, profiles: {} },
+			{ groups: {}, profiles: { p1: { name: 'Work', groups: 'g1' } } },
+			{
+				groups: {},
+				profiles: {
+					p1: { name: 'Work', groups: [], schedule: { 1: 'all day' } }
+				}
+			}
+		]
+		invalid.forEach((e) =>
+			assert.throws(() => parseBackup(toFile({ profiles: e })), {
+				message: 'Groups and profiles are not valid.'
+			})
+		)
+	})
+})
+
+describe('validating settings', () => {
+	/**
+	 * Assert that a backup with each of the values of a setting is rejected.
+	 * @param {String} key - Key of the setting
+	 * @param {Array} invalid - Values that are not valid
+	 * @param {String} message - Expected error
+	 */
+	const assertRejects = (key, invalid, message) =>
+		invalid.forEach((e) =>
+			assert.throws(() => parseBackup(toFile({ [key]: e })), { message })
+		)
+
+	test('reads the default settings', () => {
+		const settings = { ...SETTINGS_DEFAULTS, time: TIME_DEFAULTS }
+		delete settings.strict
+		const backup = parseBackup(toFile(settings))
+
+		Object.keys(settings).forEach((key) =>
+			assert.deepEqual(backup[key], settings[key])
+		)
+	})
+
+	test('rejects active hours of the wrong shape', () => {
+		assertRejects(
+			'time',
+			[
+				{ ...TIME_DEFAULTS, active: 'yes' },
+				{ ...TIME_DEFAULTS, use24Hrs: 1 },
+				{ ...TIME_DEFAULTS, interval: 7 },
+				{ ...TIME_DEFAULTS, schedule: { 7: [] } },
+				{ ...TIME_DEFAULTS, timeZone: 'Mars/Base' }
+			],
+			'Active hours are not valid.'
+		)
+	})
+
+	test('rejects minutes that can not be chosen', () => {
+		assertRejects(
+			'checkIn',
+			[
+				[],
+				{ minutes: 0 },
+				{ minutes: -1 },
+				{ minutes: '20' },
+				{ active: 1 }
+			],
+			'Check-in settings are not valid.'
+		)
+		assertRejects(
+			'away',
+			[{ minutes: -1 }, { minutes: 7 }, { active: 'no' }],
+			'Settings of asking again after time away are not valid.'
+		)
+	})
+
+	test('rejects themes that can not be chosen', () => {
+		assertRejects(
+			'theme',
+			[
+				'dark',
+				{ mode: 'sepia' },
+				{ accent: 'red' },
+				{ accent: '#12345' },
+				{ blur: 5 },
+				{ opacity: 100 }
+			],
+			'Appearance settings are not valid.'
+		)
+	})
+
+	test('rejects budget resets that are not a time of day', () => {
+		assertRejects(
+			'budget',
+			[{}, { reset: '24:00' }, { reset: '9:00' }],
+			'Budget settings are not valid.'
+		)
+	})
+})
+
+describe('importing backups', () => {
+	beforeEach(() => {
+		installChrome()
+	})
+
+	test('keeps strict mode working after the import', async () => {
+		const backup = parseBackup(
+			toFile({ strict: { ...strict, pending: { disable: null } } })
+		)
+
+		await importBackup(backup, 'merge')
+
+		await applyUnlocks()
+		assert.deepEqual((await getSettings('strict')).pending, {
+			disable: null,
+			remove: {}
+		})
+	})
+})
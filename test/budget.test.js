@@ -0,0 +1,50 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { getBudgetDay } from '../js/utils/budget.js'
+
+// Dates without an offset are read in this timezone, which changes to
+// summer time on 2021-03-28 02:00 and back on 2021-10-31 03:00
+process.env.TZ = 'Europe/Berlin'
+
+describe('budget days', () => {
+	test('start at the reset time', () => {
+		const day = (date) => getBudgetDay('04:00', new Date(date))
+
+		assert.equal(day('2021-12-24T03:59:00'), '2021-12-23')
+		assert.equal(day('2021-12-24T04:00:00'), '2021-12-24')
+		assert.equal(day('2021-12-24T23:59:00'), '2021-12-24')
+	})
+
+	test('start at midnight without a reset time', () => {
+		assert.equal(
+			getBudgetDay('00:00', new Date('2021-12-24T00:00:00')),
+			'2021-12-24'
+		)
+		assert.equal(
+			getBudgetDay('00:00', new Date('2021-12-23T23:59:00')),
+			'2021-12-23'
+		)
+	})
+
+	test('start at the reset time of days that change to summer time', () => {
+		const day = (date) => getBudgetDay('04:00', new Date(date))
+
+		assert.equal(day('2021-03-28T03:30:00'), '2021-03-27')
+		assert.equal(day('2021-03-28T04:30:00'), '2021-03-28')
+	})
+
+	test('start at the reset time of days that change back', () => {
+		const day = (date) => getBudgetDay('04:00', new Date(date))
+
+		assert.equal(day('2021-10-31T03:30:00'), '2021-10-30')
+		assert.equal(day('2021-10-31T04:00:00'), '2021-10-31')
+	})
+
+	test('start on the first of the month after the last day', () => {
+		assert.equal(
+			getBudgetDay('04:00', new Date('2022-01-01T03:00:00')),
+			'2021-12-31'
+		)
+	})
+})
@@ -0,0 +1,415 @@
+/**
+ * @file In-memory stand-in for the chrome.* APIs used by the extension,
+ * installed as global chrome. Calls behave like the real ones as far as the
+ * extension relies on them: they accept a callback or return a Promise,
+ * storage areas hand out copies and fire chrome.storage.onChanged, and
+ * messages to tabs without a content script set chrome.runtime.lastError.
+ *
+ * Every fake keeps its state in plain properties, ex. chrome.scripting.registered,
+ * so that tests can set it up and inspect it.
+ */
+
+/**
+ * Create an event like chrome.tabs.onRemoved.
+ * @returns {Object} - Returns { addListener, removeListener, hasListener, dispatch }
+ */
+const createEvent = function () {
+	const listeners = []
+	return {
+		listeners,
+		addListener: (fn) => listeners.push(fn),
+		removeListener: (fn) => {
+			const i = listeners.indexOf(fn)
+			if (i > -1) listeners.splice(i, 1)
+		},
+		hasListener: (fn) => listeners.includes(fn),
+		dispatch: (...args) => listeners.map((fn) => fn(...args))
+	}
+}
+
+/**
+ * Settle an API call either through its callback or as a Promise.
+ * @param {Promise} promise
+ * @param {Function} [callback]
+ * @returns Promise or undefined if a callback has been passed
+ */
+const settle = function (promise, callback) {
+	if (typeof callback !== 'function') return promise
+	promise.then((result) => callback(result))
+	return undefined
+}
+
+/**
+ * Fail an API call either through chrome.runtime.lastError or as a rejected Promise.
+ * @param {String} message
+ * @param {Function} [callback]
+ * @returns Promise or undefined if a callback has been passed
+ */
+const fail = function (message, callback) {
+	if (typeof callback !== 'function')
+		return Promise.reject(new Error(message))
+	Promise.resolve().then(() => {
+		globalThis.chrome.runtime.lastError = { message }
+		callback()
+		globalThis.chrome.runtime.lastError = undefined
+	})
+	return undefined
+}
+
+const clone = (value) =>
+	value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+
+/**
+ * Create a storage area like chrome.storage.local.
+ * @param {String} name - Name of the area, passed to onChanged
+ * @param {Object} onChanged - Event of chrome.storage
+ * @returns {Object}
+ */
+const createStorageArea = function (name, onChanged) {
+	const area = {
+		data: {},
+		// Writes fail with this message while set, ex. 'QUOTA_BYTES quota exceeded'
+		error: null,
+		get(keys, callback) {
+			let result = {}
+			if (keys === null || keys === undefined) {
+				result = clone(area.data)
+			} else if (typeof keys === 'string' || Array.isArray(keys)) {
+				const list = Array.isArray(keys) ? keys : [keys]
+				list.forEach((key) => {
+					if (key in area.data) result[key] = clone(area.data[key])
+				})
+			} else {
+				Object.keys(keys).forEach((key) => {
+					result[key] =
+						key in area.data ? clone(area.data[key]) : keys[key]
+				})
+			}
+			return settle(Promise.resolve(result), callback)
+		},
+		set(items, callback) {
+			if (area.error) return fail(area.error, callback)
+
+			const changes = {}
+			Object.keys(items).forEach((key) => {
+				changes[key] = {
+					oldValue: clone(area.data[key]),
+					newValue: clone(items[key])
+				}
+				area.data[key] = clone(items[key])
+			})
+			// The real event fires after the call has returned
+			Promise.resolve().then(() => onChanged.dispatch(changes, name))
+			return settle(Promise.resolve(), callback)
+		},
+		remove(keys, callback) {
+			const changes = {}
+			const list = Array.isArray(keys) ? keys : [keys]
+			list.forEach((key) => {
+				if (!(key in area.data)) return
+				changes[key] = { oldValue: clone(area.data[key]) }
+				delete area.data[key]
+			})
+			if (Object.keys(changes).length) {
+				Promise.resolve().then(() => onChanged.dispatch(changes, name))
+			}
+			return settle(Promise.resolve(), callback)
+		},
+		clear(callback) {
+			return area.remove(Object.keys(area.data), callback)
+		}
+	}
+	return area
+}
+
+/**
+ * Check whether the origins of a permission request are covered by the
+ * granted ones, wildcard origins like 'https://*\/' grant every host.
+ * @param {Array} granted - Granted origin patterns
+ * @param {String} origin - Requested origin pattern
+ * @returns {Boolean}
+ */
+const coversOrigin = function (granted, origin) {
+	return granted.some(
+		(e) => e === origin || e === '*://*/*' || e === '<all_urls>'
+	)
+}
+
+/**
+ * Create the fake chrome.* APIs.
+ * @param {Object} options
+ * @param {Boolean} options.scripting - Whether the optional scripting permission has been granted
+ * @returns {Object}
+ */
+const createChrome = function ({ scripting = true } = {}) {
+	const storageChanged = createEvent()
+
+	const chrome = {
+		runtime: {
+			id: 'extension-id',
+			lastError: undefined,
+			OnInstalledReason: { INSTALL: 'install', UPDATE: 'update' },
+			onInstalled: createEvent(),
+			onMessage: createEvent(),
+			// Handles messages of content scripts, ex. (message) => response
+			messageHandler: () => undefined,
+			sent: [],
+			sendMessage(message, callback) {
+				chrome.runtime.sent.push(message)
+				const response = Promise.resolve(
+					chrome.runtime.messageHandler(message)
+				)
+				return settle(response, callback)
+			},
+			getURL: (path) => `chrome-extension://extension-id/${path}`,
+			setUninstallURL: () => undefined
+		},
+		storage: {
+			onChanged: storageChanged,
+			local: createStorageArea('local', storageChanged),
+			sync: createStorageArea('sync', storageChanged),
+			session: createStorageArea('session', storageChanged)
+		},
+		permissions: {
+			granted: { permissions: [], origins: [] },
+			// Answer of the user to the next permission request
+			nextResponse: true,
+			requests: [],
+			onAdded: createEvent(),
+			request(request, callback) {
+				chrome.permissions.requests.push(request)
+				const granted = chrome.permissions.nextResponse
+				if (granted) {
+					const { permissions = [], origins = [] } = request
+					chrome.permissions.granted.permissions.push(...permissions)
+					chrome.permissions.granted.origins.push(...origins)
+				}
+				return settle(Promise.resolve(granted), callback)
+			},
+			contains({ permissions = [], origins = [] }, callback) {
+				const { granted } = chrome.permissions
+				const result =
+					permissions.every((e) => granted.permissions.includes(e)) &&
+					origins.every((e) => coversOrigin(granted.origins, e))
+				return settle(Promise.resolve(result), callback)
+			}
+		},
+		tabs: {
+			// Open tabs keyed by ID, ex. { 1: { id: 1, url, active, windowId, injected } }
+			tabs: {},
+			// Messages sent to tabs, ex. [{ tabId, message }]
+			sent: [],
+			created: [],
+			reloaded: [],
+			// IDs of the tabs that went back or have been closed
+			wentBack: [],
+			removed: [],
+			onActivated: createEvent(),
+			onUpdated: createEvent(),
+			onRemoved: createEvent(),
+			query({ active, windowId } = {}) {
+				const tabs = Object.values(chrome.tabs.tabs).filter(
+					(tab) =>
+						/^https?:/.test(tab.url) &&
+						(active === undefined || tab.active === active) &&
+						(windowId === undefined || tab.windowId === windowId)
+				)
+				return Promise.resolve(clone(tabs))
+			},
+			get(tabId, callback) {
+				const tab = chrome.tabs.tabs[tabId]
+				const result = tab
+					? Promise.resolve(clone(tab))
+					: Promise.reject(new Error(`No tab with id: ${tabId}.`))
+				return settle(result, callback)
+			},
+			create(properties) {
+				chrome.tabs.created.push(properties)
+				return Promise.resolve(properties)
+			},
+			reload(tabId) {
+				chrome.tabs.reloaded.push(tabId)
+				return Promise.resolve()
+			},
+			goBack(tabId) {
+				const tab = chrome.tabs.tabs[tabId]
+				if (!tab || !tab.canGoBack) {
+					return Promise.reject(
+						new Error('Cannot find a next page in history.')
+					)
+				}
+				chrome.tabs.wentBack.push(tabId)
+				return Promise.resolve()
+			},
+			remove(tabId) {
+				delete chrome.tabs.tabs[tabId]
+				chrome.tabs.removed.push(tabId)
+				return Promise.resolve()
+			},
+			sendMessage(tabId, message, callback) {
+				chrome.tabs.sent.push({ tabId, message })
+				const tab = chrome.tabs.tabs[tabId]
+				Promise.resolve().then(() => {
+					if (!tab || !tab.injected) {
+						chrome.runtime.lastError = {
+							message: 'Could not establish connection.'
+						}
+						if (callback) callback()
+						chrome.runtime.lastError = undefined
+						return
+					}
+					if (callback) callback(true)
+				})
+			}
+		},
+		windows: {
+			focused: true,
+			onFocusChanged: createEvent(),
+			getLastFocused: () =>
+				Promise.resolve({ id: 1, focused: chrome.windows.focused })
+		},
+		webNavigation: {
+			onCommitted: createEvent(),
+			onHistoryStateUpdated: createEvent(),
+			onReferenceFragmentUpdated: createEvent()
+		},
+		alarms: {
+			// Alarms keyed by name, ex. { stats: { name, periodInMinutes } }
+			alarms: {},
+			onAlarm: createEvent(),
+			create(name, info) {
+				chrome.alarms.alarms[name] = { name, ...info }
+			},
+			get(name, callback) {
+				return settle(
+					Promise.resolve(chrome.alarms.alarms[name]),
+					callback
+				)
+			},
+			getAll(callback) {
+				return settle(
+					Promise.resolve(Object.values(chrome.alarms.alarms)),
+					callback
+				)
+			},
+			clear(name, callback) {
+				const existed = name in chrome.alarms.alarms
+				delete chrome.alarms.alarms[name]
+				return settle(Promise.resolve(existed), callback)
+			}
+		},
+		contextMenus: {
+			items: {},
+			onClicked: createEvent(),
+			create(item) {
+				chrome.contextMenus.items[item.id] = item
+			},
+			update(id, changes) {
+				chrome.contextMenus.items[id] = {
+					...chrome.contextMenus.items[id],
+					...changes
+				}
+				return Promise.resolve()
+			},
+			removeAll(callback) {
+				chrome.contextMenus.items = {}
+				return settle(Promise.resolve(), callback)
+			}
+		},
+		commands: { onCommand: createEvent() },
+		action: {
+			// Badge and title of each tab, ex. { 1: { text: '!', title } }
+			badges: {},
+			setBadgeText({ tabId, text }) {
+				chrome.action.badges[tabId] = {
+					...chrome.action.badges[tabId],
+					text
+				}
+				return Promise.resolve()
+			},
+			setBadgeBackgroundColor({ tabId, color }) {
+				chrome.action.badges[tabId] = {
+					...chrome.action.badges[tabId],
+					color
+				}
+				return Promise.resolve()
+			},
+			setTitle({ tabId, title }) {
+				chrome.action.badges[tabId] = {
+					...chrome.action.badges[tabId],
+					title
+				}
+				return Promise.resolve()
+			}
+		},
+		idle: {
+			interval: 60,
+			onStateChanged: createEvent(),
+			setDetectionInterval(seconds) {
+				chrome.idle.interval = seconds
+			}
+		}
+	}
+
+	const scriptingAPI = {
+		// Registered content scripts, see registerContentScripts
+		registered: [],
+		executed: [],
+		insertedCSS: [],
+		getRegisteredContentScripts({ ids } = {}) {
+			return Promise.resolve(
+				clone(
+					scriptingAPI.registered.filter(
+						(e) => !ids || ids.includes(e.id)
+					)
+				)
+			)
+		},
+		registerContentScripts(scripts) {
+			scriptingAPI.registered.push(...clone(scripts))
+			return Promise.resolve()
+		},
+		unregisterContentScripts({ ids } = {}) {
+			scriptingAPI.registered = scriptingAPI.registered.filter(
+				(e) => ids && !ids.includes(e.id)
+			)
+			return Promise.resolve()
+		},
+		executeScript(injection) {
+			scriptingAPI.executed.push(injection)
+			return Promise.resolve([])
+		},
+		insertCSS(injection) {
+			scriptingAPI.insertedCSS.push(injection)
+			return Promise.resolve()
+		}
+	}
+	// The API only exists once the optional permission has been granted
+	if (scripting) chrome.scripting = scriptingAPI
+
+	return chrome
+}
+
+/**
+ * Install a fresh fake as global chrome.
+ * @param {Object} options - See createChrome
+ * @returns {Object} - Returns the fake
+ */
+const installChrome = function (options) {
+	globalThis.chrome = createChrome(options)
+	return globalThis.chrome
+}
+
+/**
+ * Wait until pending Promises and timers have run, ex. the listeners of
+ * an event that don't return their Promise.
+ * @param {Number} rounds
+ * @returns Promise
+ */
+const flush = async function (rounds = 20) {
+	for (let i = 0; i < rounds; i++) {
+		await new Promise((resolve) => setTimeout(resolve, 0))
+	}
+}
+
+export { createEvent, createChrome, installChrome, flush }
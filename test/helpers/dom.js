@@ -0,0 +1,109 @@
+/**
+ * @file DOM environment for the content script. Every page is a fresh jsdom
+ * window with the fake chrome.* APIs, see chrome.js, into which js/inject.js
+ * is loaded like the browser injects it.
+ */
+
+import { readFileSync } from 'node:fs'
+import { JSDOM } from 'jsdom'
+
+const INJECT = readFileSync(
+	new URL('../../js/inject.js', import.meta.url),
+	'utf8'
+)
+
+/**
+ * Add the editing APIs jsdom leaves out, the content script relies on them
+ * to tell whether the field takes input.
+ * @param {Window} window
+ */
+const polyfillEditing = function (window) {
+	Object.defineProperty(window.HTMLElement.prototype, 'contentEditable', {
+		configurable: true,
+		get() {
+			return this.getAttribute('contenteditable') || 'inherit'
+		},
+		set(value) {
+			this.setAttribute('contenteditable', String(value))
+		}
+	})
+	Object.defineProperty(window.HTMLElement.prototype, 'isContentEditable', {
+		configurable: true,
+		get() {
+			return this.getAttribute('contenteditable') === 'true'
+		}
+	})
+}
+
+/**
+ * Open a page and inject the content script into it.
+ * @param {Object} chrome - Fake chrome.* APIs, see chrome.js
+ * @param {Object} options
+ * @param {String} options.url - URL of the page
+ * @param {String} options.body - HTML of the page's body
+ * @returns {Window}
+ */
+const openPage = function (
+	chrome,
+	{ url = 'https://example.com/', body = '<p>Page</p>' } = {}
+) {
+	const { window } = new JSDOM(`<!DOCTYPE html><body>${body}</body>`, {
+		url,
+		runScripts: 'outside-only',
+		pretendToBeVisual: true
+	})
+	polyfillEditing(window)
+	window.chrome = chrome
+	window.eval(INJECT)
+	return window
+}
+
+/**
+ * Return the intention field that has been added to a page.
+ * @param {Window} window
+ * @returns {HTMLElement|null}
+ */
+const getIntention = function (window) {
+	return window.document.querySelector('intention-container')
+}
+
+/**
+ * Dispatch a keyboard event.
+ * @param {HTMLElement} target
+ * @param {String} key
+ * @param {Object} init - Further properties of the event, ex. { shiftKey: true }
+ * @returns {KeyboardEvent} - Returns the event, ex. to check defaultPrevented
+ */
+const press = function (target, key, init = {}) {
+	const { KeyboardEvent } = target.ownerDocument.defaultView
+	const event = new KeyboardEvent('keydown', {
+		key,
+		bubbles: true,
+		composed: true,
+		cancelable: true,
+		...init
+	})
+	target.dispatchEvent(event)
+	return event
+}
+
+/**
+ * Dispatch a mouse event.
+ * @param {EventTarget} target
+ * @param {String} type - ex. 'mousedown'
+ * @param {Object} init - Further properties of the event, ex. { clientX: 10 }
+ * @returns {MouseEvent}
+ */
+const mouse = function (target, type, init = {}) {
+	const view = (target.ownerDocument || target).defaultView
+	const event = new view.MouseEvent(type, {
+		bubbles: true,
+		composed: true,
+		cancelable: true,
+		...init
+	})
+	target.dispatchEvent(event)
+	return event
+}
+
+export { openPage, getIntention, press, mouse }
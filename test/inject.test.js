@@ -0,0 +1,256 @@
+import { describe, test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { createChrome, flush } from './helpers/chrome.js'
+import { openPage, getIntention, press, mouse } from './helpers/dom.js'
+import { SITE_DEFAULTS, SETTINGS_DEFAULTS } from '../js/utils/storage.js'
+
+/**
+ * Answer of the background worker to GET_STATE, see background.js.
+ * @param {Object} changes - ex. { intention: 'Reply to Alex' }
+ * @returns {Object}
+ */
+const createState = function (changes = {}) {
+	return {
+		site: { ...SITE_DEFAULTS, pattern: 'example.com' },
+		strict: { active: false, delay: 10 },
+		theme: SETTINGS_DEFAULTS.theme,
+		intention: null,
+		budget: null,
+		suggestions: [],
+		reflection: null,
+		...changes
+	}
+}
+
+describe('intention field', () => {
+	let chrome, window
+
+	/**
+	 * Open a page of a matching site once the background worker answers.
+	 * @param {Object} state - See createState
+	 * @returns Promise that resolves with the intention field
+	 */
+	const open = async function (state) {
+		chrome.runtime.messageHandler = (message) =>
+			message.type === 'GET_STATE' ? state : undefined
+		window = openPage(chrome)
+		await flush()
+		return getIntention(window)
+	}
+
+	beforeEach(() => {
+		chrome = createChrome()
+	})
+
+	afterEach(() => {
+		if (window) window.close()
+		window = undefined
+	})
+
+	describe('veil', () => {
+		const isReady = () =>
+			window.document.documentElement.hasAttribute('data-intention-ready')
+
+		test('removes the veil once the field is shown', async () => {
+			await open(createState())
+
+			assert.ok(isReady())
+		})
+
+		test('removes the veil on pages that need no intention', async () => {
+			await open(undefined)
+
+			assert.ok(isReady())
+		})
+
+		test('keeps the veil removed when the page resets its attributes', async () => {
+			await open(createState({ intention: 'Read the news' }))
+
+			const root = window.document.documentElement
+			root.className = 'theme-dark'
+			root.removeAttribute('data-intention-ready')
+			await flush()
+
+			assert.ok(isReady())
+		})
+	})
+
+	describe('focus', () => {
+		test('blurs the page and focuses the field until there is an intention', async () => {
+			const field = await open(createState())
+
+			assert.equal(field.shadowRoot.activeElement, field.input)
+			assert.ok(field.veil.classList.contains('isVisible'))
+			assert.ok(window.document.body.classList.contains('intent-focus'))
+			assert.equal(field.container.getAttribute('aria-modal'), 'true')
+			assert.ok(chrome.runtime.sent.some((e) => e.type === 'PROMPTED'))
+		})
+
+		test('shows the intention that still holds without focusing it', async () => {
+			const field = await open(
+				createState({ intention: 'Read the news' })
+			)
+
+			assert.equal(field.input.textContent, 'Read the news')
+			assert.notEqual(field.shadowRoot.activeElement, field.input)
+			assert.ok(!field.veil.classList.contains('isVisible'))
+			assert.ok(!chrome.runtime.sent.some((e) => e.type === 'PROMPTED'))
+		})
+
+		test('keeps the focus in the field on clicks on the blurred page', async () => {
+			const field = await open(createState())
+			field.input.blur()
+
+			const event = mouse(field.veil, 'mousedown')
+
+			assert.ok(event.defaultPrevented)
+			assert.equal(field.shadowRoot.activeElement, field.input)
+		})
+
+		test('unblurs the page once the intention is set', async () => {
+			const field = await open(createState())
+			field.input.textContent = 'Reply to Alex'
+
+			press(field.input, 'Enter')
+			await flush()
+
+			assert.ok(!field.veil.classList.contains('isVisible'))
+			assert.ok(!window.document.body.classList.contains('intent-focus'))
+			assert.deepEqual(
+				chrome.runtime.sent.find((e) => e.type === 'SAVE_INTENTION')
+					.intention,
+				'Reply to Alex'
+			)
+		})
+
+		test('moves through its own controls with Tab and back to the field', async () => {
+			const field = await open(createState())
+			const { shadowRoot } = field
+			field.input.textContent = 'Reply to Alex'
+
+			assert.ok(press(field.input, 'Tab').defaultPrevented)
+			assert.equal(shadowRoot.activeElement, field.leaveButton)
+			press(field.leaveButton, 'Tab')
+			assert.equal(shadowRoot.activeElement, field.input)
+			press(field.input, 'Tab', { shiftKey: true })
+			assert.equal(shadowRoot.activeElement, field.leaveButton)
+			await flush()
+
+			// Passing by the leave button doesn't save the intention
+			assert.ok(field.veil.classList.contains('isVisible'))
+			assert.ok(
+				!chrome.runtime.sent.some((e) => e.type === 'SAVE_INTENTION')
+			)
+		})
+
+		test('leaves the blurred page without an intention', async () => {
+			const field = await open(createState())
+
+			assert.ok(mouse(field.leaveButton, 'mousedown').defaultPrevented)
+			field.leaveButton.click()
+
+			assert.ok(chrome.runtime.sent.some((e) => e.type === 'LEAVE'))
+		})
+
+		test('moves through the answers of a check-in with Tab', async () => {
+			const field = await open(
+				createState({ intention: 'Read the news' })
+			)
+			field.checkIn({ id: 'e1', intention: 'Read the news' })
+			const answers = [...field.checkInAnswers.children]
+
+			press(field.container, 'Tab')
+			assert.equal(field.shadowRoot.activeElement, answers[0])
+			press(answers[0], 'Tab', { shiftKey: true })
+			assert.equal(
+				field.shadowRoot.activeElement,
+				answers[answers.length - 1]
+			)
+		})
+
+		test("doesn't keep the focus once the intention is set", async () => {
+			const field = await open(
+				createState({ intention: 'Read the news' })
+			)
+
+			assert.ok(!press(field.input, 'Tab').defaultPrevented)
+		})
+
+		test('leaves banners without an intention alone on blur', async () => {
+			const field = await open(
+				createState({
+					site: {
+						...SITE_DEFAULTS,
+						pattern: 'example.com',
+						overlay: 'banner'
+					}
+				})
+			)
+
+			field.input.blur()
+
+			assert.ok(!field.veil.classList.contains('isVisible'))
+			assert.ok(!field.container.classList.contains('is-editing'))
+			assert.equal(field.isDraggable, true)
+		})
+	})
+
+	describe('drag', () => {
+		test('moves the field with the mouse and saves where it rests', async () => {
+			const field = await open(
+				createState({ intention: 'Read the news' })
+			)
+
+			mouse(field.container, 'mousedown', { clientX: 0, clientY: 0 })
+			mouse(window.document, 'mousemove', { clientX: 200, clientY: 100 })
+			mouse(window.document, 'mouseup', { clientX: 200, clientY: 100 })
+
+			assert.equal(field.container.style.left, `${(100 * 200) / 1024}%`)
+			assert.equal(field.container.style.top, `${(100 * 100) / 768}%`)
+			assert.ok(!field.container.classList.contains('is-about-to-drag'))
+
+			await new Promise((resolve) => setTimeout(resolve, 1100))
+			const { position } = chrome.runtime.sent.find(
+				(e) => e.type === 'SAVE_POSITION'
+			)
+			// The object comes from the page's realm
+			assert.deepEqual({ ...position }, { x: 19.5, y: 13 })
+		})
+
+		test('edits the intention on a click without moving', async () => {
+			const field = await open(
+				createState({ intention: 'Read the news' })
+			)
+
+			mouse(field.container, 'mousedown', { clientX: 10, clientY: 10 })
+			mouse(window.document, 'mouseup', { clientX: 12, clientY: 11 })
+
+			assert.ok(field.input.isContentEditable)
+			assert.equal(field.shadowRoot.activeElement, field.input)
+			assert.ok(
+				!chrome.runtime.sent.some((e) => e.type === 'SAVE_POSITION')
+			)
+		})
+
+		test("doesn't move while the intention is typed", async () => {
+			const field = await open(createState())
+
+			mouse(field.container, 'mousedown', { clientX: 0, clientY: 0 })
+			mouse(window.document, 'mousemove', { clientX: 200, clientY: 100 })
+
+			assert.equal(field.container.style.left, '')
+		})
+
+		test('moves with Alt and the arrow keys', async () => {
+			const field = await open(
+				createState({ intention: 'Read the news' })
+			)
+
+			const event = press(field.container, 'ArrowRight', { altKey: true })
+
+			assert.ok(event.defaultPrevented)
+			assert.equal(field.container.style.left, '2%')
+		})
+	})
+})
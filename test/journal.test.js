@@ -0,0 +1,174 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { installChrome } from './helpers/chrome.js'
+import {
+	addEntry,
+	getEntries,
+	getRecentEntries,
+	getSuggestions,
+	removeEntry,
+	addCheckIn,
+	setOutcome
+} from '../js/utils/journal.js'
+
+describe('journal', () => {
+	let chrome
+
+	beforeEach(() => {
+		chrome = installChrome()
+	})
+
+	const entry = (intention) => ({
+		intention,
+		url: 'https://reddit.com/r/all',
+		session: 's1',
+		tabId: 1
+	})
+
+	test('keeps intentions that are set at the same time', async () => {
+		const intentions = ['Reply to Anna', 'Read the news', 'Check #work']
+
+		await Promise.all(intentions.map((e) => addEntry(entry(e))))
+
+		const entries = await getEntries()
+		assert.deepEqual(entries.map((e) => e.intention).sort(), [
+			'Check #work',
+			'Read the news',
+			'Reply to Anna'
+		])
+		assert.deepEqual(entries.find((e) => e.tags.length).tags, ['work'])
+	})
+
+	test('keeps check-ins and outcomes that are recorded at the same time', async () => {
+		const first = await addEntry(entry('Reply to Anna'))
+		const second = await addEntry(entry('Read the news'))
+
+		await Promise.all([
+			addCheckIn(first.id, 'working'),
+			setOutcome(second.id, 'met'),
+			addEntry(entry('Watch one video')),
+			addCheckIn(first.id, 'done')
+		])
+
+		const entries = await getEntries()
+		assert.equal(entries.length, 3)
+		assert.deepEqual(
+			entries
+				.find((e) => e.id === first.id)
+				.checkIns.map((e) => e.answer),
+			['working', 'done']
+		)
+		assert.equal(entries.find((e) => e.id === second.id).outcome, 'met')
+	})
+
+	test('keeps going after a failed update', async () => {
+		const added = await addEntry(entry('Reply to Anna'))
+
+		await assert.rejects(addCheckIn('missing', 'done'), {
+			message: 'Journal entry does not exist.'
+		})
+		await removeEntry(added.id)
+
+		assert.deepEqual(await getEntries(), [])
+	})
+
+	test('drops the oldest entries beyond the limit', async () => {
+		chrome.storage.local.data.journal = Array.from(
+			{ length: 5000 },
+			(e, i) => ({ id: `e${i}`, intention: `Intention ${i}` })
+		)
+
+		const added = await addEntry(entry('Reply to Anna'))
+
+		const { journal } = chrome.storage.local.data
+		assert.equal(journal.length, 5000)
+		assert.equal(journal[0].id, 'e1')
+		assert.equal(journal[journal.length - 1].id, added.id)
+	})
+})
+
+describe('suggestions', () => {
+	let chrome
+
+	beforeEach(() => {
+		chrome = installChrome()
+		mock.timers.enable({ apis: ['Date'], now: 1640000000000 })
+	})
+
+	afterEach(() => {
+		mock.timers.reset()
+	})
+
+	// Intentions are set a minute apart
+	const add = function (intention, url) {
+		mock.timers.tick(60 * 1000)
+		return addEntry({ intention, url, session: 's1', tabId: 1 })
+	}
+
+	const suggest = (pattern) =>
+		getRecentEntries().then((entries) =>
+			getSuggestions(entries, { pattern })
+		)
+
+	test('suggests the latest distinct intentions of a site', async () => {
+		await add('Reply to Anna', 'https://reddit.com/r/all')
+		await add('Watch one video', 'https://youtube.com/')
+		await add('Read the news', 'https://reddit.com/r/news')
+		await add('Reply to Anna', 'https://reddit.com/r/all')
+
+		assert.deepEqual(await suggest('reddit.com'), [
+			'Reply to Anna',
+			'Read the news'
+		])
+		assert.deepEqual(await suggest('reddit.com/r/news'), ['Read the news'])
+	})
+
+	test('suggests intentions of every hostname a rule matches', async () => {
+		await add('Watch one video', 'https://www.youtube.com/')
+		await add('Find a recipe', 'https://m.youtube.com/')
+
+		assert.deepEqual(await suggest('*.youtube.com'), [
+			'Find a recipe',
+			'Watch one video'
+		])
+	})
+
+	test("doesn't read the whole journal to suggest", async () => {
+		for (let i = 0; i < 30; i++) {
+			await add(`Intention number ${i}`, 'https://reddit.com/')
+		}
+
+		assert.equal(chrome.storage.local.data.journal.length, 30)
+		assert.equal(chrome.storage.local.data.recent['reddit.com'].length, 20)
+		assert.equal((await suggest('reddit.com'))[0], 'Intention number 29')
+	})
+
+	test('indexes journals of older versions', async () => {
+		chrome.storage.local.data.journal = [
+			{
+				id: 'e1',
+				intention: 'Reply to Anna',
+				hostname: 'reddit.com',
+				url: 'https://reddit.com/',
+				timestamp: 1
+			}
+		]
+
+		assert.deepEqual(await suggest('reddit.com'), ['Reply to Anna'])
+		await add('Read the news', 'https://reddit.com/')
+		assert.deepEqual(await suggest('reddit.com'), [
+			'Read the news',
+			'Reply to Anna'
+		])
+	})
+
+	test("doesn't suggest removed intentions", async () => {
+		const entry = await add('Reply to Anna', 'https://reddit.com/')
+		await add('Read the news', 'https://reddit.com/')
+
+		await removeEntry(entry.id)
+
+		assert.deepEqual(await suggest('reddit.com'), ['Read the news'])
+	})
+})
@@ -0,0 +1,130 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+	parsePattern,
+	tryParsePattern,
+	globToRegExp,
+	findExclusion,
+	findMatch
+} from '../js/utils/match.js'
+
+/**
+ * Create stored sites from a list of rules, keyed by their position.
+ * @param {Array} patterns - ex. ['example.com', '!example.com/watch']
+ * @returns {Object}
+ */
+const createSites = function (patterns) {
+	return Object.fromEntries(
+		patterns.map((pattern, i) => [`id${i}`, { pattern }])
+	)
+}
+
+describe('parsePattern', () => {
+	test('parses hosts, subdomains, paths and exclusions', () => {
+		assert.deepEqual(parsePattern('example.com'), {
+			pattern: 'example.com',
+			exclude: false,
+			subdomains: false,
+			host: 'example.com',
+			path: ''
+		})
+		assert.deepEqual(parsePattern('!*.example.com/watch'), {
+			pattern: '!*.example.com/watch',
+			exclude: true,
+			subdomains: true,
+			host: 'example.com',
+			path: '/watch'
+		})
+	})
+
+	test('strips scheme, port and fragment of pasted URLs', () => {
+		assert.equal(
+			parsePattern('https://Example.com:8080/shorts#top').pattern,
+			'example.com/shorts'
+		)
+		assert.equal(parsePattern('http://example.com/').pattern, 'example.com')
+		assert.equal(parsePattern('example.com/*').pattern, 'example.com')
+	})
+
+	test('rejects invalid hosts', () => {
+		assert.throws(() => parsePattern(''), /Not a valid URL/)
+		assert.throws(() => parsePattern('exa*mple.com'), /Not a valid URL/)
+		assert.throws(() => parsePattern('/shorts'), /Not a valid URL/)
+		assert.equal(tryParsePattern('ex ample.com'), null)
+	})
+})
+
+describe('globToRegExp', () => {
+	test('matches any sequence for * and anchors both ends', () => {
+		const regexp = globToRegExp('/r/*comments*')
+		assert.ok(regexp.test('/r/all/comments/abc'))
+		assert.ok(regexp.test('/r/comments'))
+		assert.ok(!regexp.test('/u/r/comments'))
+	})
+
+	test('escapes other characters', () => {
+		const regexp = globToRegExp('/watch?v=*')
+		assert.ok(regexp.test('/watch?v=abc'))
+		assert.ok(!regexp.test('/watchXv=abc'))
+		assert.ok(!globToRegExp('/a.b').test('/aXb'))
+	})
+})
+
+describe('findMatch', () => {
+	test('matches hosts on any page, subdomains only with *.', () => {
+		const sites = createSites(['example.com', '*.example.org'])
+		assert.equal(findMatch(sites, 'https://example.com/a/b'), 'id0')
+		assert.equal(findMatch(sites, 'https://www.example.com/'), undefined)
+		assert.equal(findMatch(sites, 'https://www.example.org/'), 'id1')
+		assert.equal(findMatch(sites, 'https://example.org/'), 'id1')
+		assert.equal(findMatch(sites, 'https://notexample.org/'), undefined)
+	})
+
+	test('matches paths on whole segments', () => {
+		const sites = createSites(['youtube.com/shorts'])
+		assert.equal(findMatch(sites, 'https://youtube.com/shorts'), 'id0')
+		assert.equal(findMatch(sites, 'https://youtube.com/shorts/abc'), 'id0')
+		assert.equal(findMatch(sites, 'https://youtube.com/shorts?t=1'), 'id0')
+		assert.equal(
+			findMatch(sites, 'https://youtube.com/shortsfeed'),
+			undefined
+		)
+		assert.equal(findMatch(sites, 'https://youtube.com/'), undefined)
+	})
+
+	test('matches paths ending on a separator as prefix', () => {
+		const sites = createSites(['youtube.com/watch?v=', 'example.com/r/'])
+		assert.equal(findMatch(sites, 'https://youtube.com/watch?v=abc'), 'id0')
+		assert.equal(findMatch(sites, 'https://example.com/r/all'), 'id1')
+	})
+
+	test('matches globs against path and query', () => {
+		const sites = createSites(['reddit.com/r/*comments*'])
+		assert.equal(
+			findMatch(sites, 'https://reddit.com/r/all/comments/1'),
+			'id0'
+		)
+		assert.equal(findMatch(sites, 'https://reddit.com/r/all'), undefined)
+	})
+
+	test('exclusions win over other rules', () => {
+		const sites = createSites(['youtube.com', '!youtube.com/watch'])
+		assert.equal(findMatch(sites, 'https://youtube.com/'), 'id0')
+		assert.equal(
+			findMatch(sites, 'https://youtube.com/watch?v=1'),
+			undefined
+		)
+		assert.equal(
+			findExclusion(sites, 'https://youtube.com/watch?v=1'),
+			'id1'
+		)
+		assert.equal(findExclusion(sites, 'https://youtube.com/'), undefined)
+	})
+
+	test('skips invalid rules and URLs', () => {
+		const sites = createSites(['ex ample.com', 'example.com'])
+		assert.equal(findMatch(sites, 'https://example.com/'), 'id1')
+		assert.equal(findMatch(sites, 'not a url'), undefined)
+	})
+})
@@ -0,0 +1,54 @@
+import { describe, test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { installChrome } from './helpers/chrome.js'
+import { updateProfile } from '../js/utils/profiles.js'
+
+describe('updating profiles', () => {
+	let chrome
+
+	beforeEach(() => {
+		chrome = installChrome()
+		chrome.storage.local.data = {
+			profiles: {
+				groups: { g1: { name: 'Social' }, g2: { name: 'Video' } },
+				profiles: {
+					p1: { name: 'Deep work', groups: [], schedule: null }
+				}
+			}
+		}
+	})
+
+	const addGroup =
+		(group) =>
+		({ groups }) => ({ groups: [...groups, group] })
+
+	test('builds changes on the stored profile', async () => {
+		const [, updated] = await Promise.all([
+			updateProfile('p1', addGroup('g1')),
+			updateProfile('p1', addGroup('g2'))
+		])
+
+		assert.deepEqual(updated.groups, ['g1', 'g2'])
+		assert.deepEqual(
+			chrome.storage.local.data.profiles.profiles.p1.groups,
+			['g1', 'g2']
+		)
+	})
+
+	test('keeps settings that are not changed', async () => {
+		const updated = await updateProfile('p1', { schedule: { 0: [] } })
+
+		assert.deepEqual(updated, {
+			name: 'Deep work',
+			groups: [],
+			schedule: { 0: [] }
+		})
+	})
+
+	test('rejects profiles that do not exist', async () => {
+		await assert.rejects(updateProfile('p2', { groups: [] }), {
+			message: 'Profile does not exist.'
+		})
+	})
+})
@@ -0,0 +1,356 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+	isScheduled,
+	isWithinWindow,
+	getWallClock,
+	toMinutes,
+	toHHMM,
+	getNextBoundary
+} from '../js/utils/schedule.js'
+import { TIME_DEFAULTS, migrateTime } from '../js/utils/time.js'
+
+// Dates without an offset are read in this timezone, which changes to
+// summer time on 2021-03-28 02:00 and back on 2021-10-31 03:00
+process.env.TZ = 'Europe/Berlin'
+
+/**
+ * Create time settings with windows on a single weekday.
+ * @param {Number} day - Weekday, 0 = Sunday
+ * @param {Array} windows - ex. [['09:00', '17:00']]
+ * @param {String} [timeZone]
+ * @returns {Object}
+ */
+const scheduleOn = function (day, windows, timeZone) {
+	const schedule = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] }
+	schedule[day] = windows.map(([from, to]) => ({ from, to }))
+	return { active: true, schedule, timeZone }
+}
+
+describe('schedule evaluation', () => {
+	// Monday, 2021-12-20 in the system timezone
+	const monday = (hh_mm) => new Date(`2021-12-20T${hh_mm}:00`)
+
+	test('converts between minutes and hh:mm', () => {
+		assert.equal(toMinutes('09:30'), 570)
+		assert.equal(toHHMM(570), '09:30')
+		assert.equal(toHHMM(5), '00:05')
+	})
+
+	test('is active during the windows of the default schedule', () => {
+		assert.equal(isScheduled(TIME_DEFAULTS, monday('08:59')), false)
+		assert.equal(isScheduled(TIME_DEFAULTS, monday('12:00')), true)
+		assert.equal(isScheduled(TIME_DEFAULTS, monday('17:00')), false)
+	})
+
+	test('is inactive on days without windows', () => {
+		const sunday = new Date('2021-12-19T12:00:00')
+		assert.equal(isScheduled(TIME_DEFAULTS, sunday), false)
+	})
+
+	test('evaluates the daily timeframe of older versions', () => {
+		const time = migrateTime({ active: true, from: '22:00', to: '06:00' })
+
+		assert.equal(isScheduled(time, monday('23:30')), true)
+		assert.equal(isScheduled(time, monday('05:59')), true)
+		assert.equal(isScheduled(time, monday('06:00')), false)
+	})
+})
+
+describe('isWithinWindow', () => {
+	const day = { from: '09:00', to: '17:00' }
+	const night = { from: '23:00', to: '02:00' }
+
+	test('includes the start and excludes the end minute', () => {
+		assert.equal(isWithinWindow(day, toMinutes('08:59')), false)
+		assert.equal(isWithinWindow(day, toMinutes('09:00')), true)
+		assert.equal(isWithinWindow(day, toMinutes('16:59')), true)
+		assert.equal(isWithinWindow(day, toMinutes('17:00')), false)
+	})
+
+	test("doesn't reach into the next day if it ends the same day", () => {
+		assert.equal(isWithinWindow(day, toMinutes('10:00'), true), false)
+	})
+
+	test('runs overnight if it ends before it starts', () => {
+		assert.equal(isWithinWindow(night, toMinutes('22:59')), false)
+		assert.equal(isWithinWindow(night, toMinutes('23:00')), true)
+		assert.equal(isWithinWindow(night, toMinutes('23:59')), true)
+		// The part after midnight belongs to the next day
+		assert.equal(isWithinWindow(night, toMinutes('01:00')), false)
+		assert.equal(isWithinWindow(night, toMinutes('00:00'), true), true)
+		assert.equal(isWithinWindow(night, toMinutes('01:59'), true), true)
+		assert.equal(isWithinWindow(night, toMinutes('02:00'), true), false)
+	})
+
+	test('lasts the whole day if it starts and ends at the same time', () => {
+		const allDay = { from: '00:00', to: '00:00' }
+
+		assert.equal(isWithinWindow(allDay, 0), true)
+		assert.equal(isWithinWindow(allDay, toMinutes('23:59')), true)
+		assert.equal(isWithinWindow(allDay, 0, true), false)
+	})
+})
+
+describe('getWallClock', () => {
+	test('reads the system timezone without a fixed one', () => {
+		const date = new Date('2021-12-20T23:45:00+01:00')
+
+		assert.deepEqual(getWallClock(date), { day: 1, minutes: 23 * 60 + 45 })
+	})
+
+	test('reads a fixed timezone, including its weekday', () => {
+		// Monday 23:45 in Berlin is Monday 17:45 in New York and
+		// Tuesday 07:45 in Tokyo
+		const date = new Date('2021-12-20T22:45:00Z')
+
+		assert.deepEqual(getWallClock(date, 'America/New_York'), {
+			day: 1,
+			minutes: 17 * 60 + 45
+		})
+		assert.deepEqual(getWallClock(date, 'Asia/Tokyo'), {
+			day: 2,
+			minutes: 7 * 60 + 45
+		})
+	})
+
+	test('reads midnight as minute 0', () => {
+		const date = new Date('2021-12-20T00:00:00Z')
+
+		assert.deepEqual(getWallClock(date, 'UTC'), { day: 1, minutes: 0 })
+	})
+
+	test('follows the timezone across DST changes', () => {
+		// 01:30 and 03:30 local time on both sides of the skipped hour
+		assert.deepEqual(
+			getWallClock(new Date('2021-03-28T00:30:00Z'), 'Europe/Berlin'),
+			{ day: 0, minutes: 90 }
+		)
+		assert.deepEqual(
+			getWallClock(new Date('2021-03-28T01:30:00Z'), 'Europe/Berlin'),
+			{ day: 0, minutes: 210 }
+		)
+	})
+})
+
+describe('isScheduled with a mocked clock', () => {
+	beforeEach(() => {
+		mock.timers.enable({ apis: ['Date'] })
+	})
+
+	afterEach(() => {
+		mock.timers.reset()
+	})
+
+	/**
+	 * Set the clock and evaluate the schedule at the current time.
+	 * @param {Object} time - Time settings
+	 * @param {String} date - Date string, local time unless it has an offset
+	 * @returns {Boolean}
+	 */
+	const at = function (time, date) {
+		mock.timers.setTime(new Date(date).getTime())
+		return isScheduled(time, new Date())
+	}
+
+	test('turns on at the start and off at the end minute', () => {
+		const time = scheduleOn(1, [['09:00', '17:00']])
+		mock.timers.setTime(new Date('2021-12-20T08:59:00').getTime())
+
+		assert.equal(isScheduled(time, new Date()), false)
+		mock.timers.tick(60 * 1000)
+		assert.equal(isScheduled(time, new Date()), true)
+		mock.timers.tick(8 * 60 * 60 * 1000 - 1)
+		assert.equal(isScheduled(time, new Date()), true)
+		mock.timers.tick(1)
+		assert.equal(isScheduled(time, new Date()), false)
+	})
+
+	test('keeps overnight windows on after midnight of the next day', () => {
+		// Friday 23:00 to Saturday 02:00
+		const time = scheduleOn(5, [['23:00', '02:00']])
+
+		assert.equal(at(time, '2021-12-24T22:59:00'), false)
+		assert.equal(at(time, '2021-12-24T23:00:00'), true)
+		assert.equal(at(time, '2021-12-25T00:00:00'), true)
+		assert.equal(at(time, '2021-12-25T01:59:00'), true)
+		assert.equal(at(time, '2021-12-25T02:00:00'), false)
+		// Saturday itself has no window of its own
+		assert.equal(at(time, '2021-12-25T23:30:00'), false)
+	})
+
+	test('wraps overnight windows of Saturday into Sunday', () => {
+		const time = scheduleOn(6, [['22:00', '03:00']])
+
+		assert.equal(at(time, '2021-12-26T02:30:00'), true)
+		assert.equal(at(time, '2021-12-26T03:00:00'), false)
+	})
+
+	test('keeps wall-clock windows on the day clocks go forward', () => {
+		// Sunday 2021-03-28, 02:00 is skipped to 03:00
+		const time = scheduleOn(0, [
+			['01:00', '04:00'],
+			['09:00', '17:00']
+		])
+
+		assert.equal(at(time, '2021-03-28T00:59:00+01:00'), false)
+		assert.equal(at(time, '2021-03-28T01:59:00+01:00'), true)
+		// One minute later it's 03:00 summer time, still within 01:00 to 04:00
+		assert.equal(at(time, '2021-03-28T03:00:00+02:00'), true)
+		assert.equal(at(time, '2021-03-28T04:00:00+02:00'), false)
+		assert.equal(at(time, '2021-03-28T09:00:00+02:00'), true)
+		assert.equal(at(time, '2021-03-28T17:00:00+02:00'), false)
+	})
+
+	test('skips windows within the hour that is left out', () => {
+		const time = scheduleOn(0, [['02:00', '03:00']])
+
+		assert.equal(at(time, '2021-03-28T01:59:00+01:00'), false)
+		assert.equal(at(time, '2021-03-28T03:00:00+02:00'), false)
+	})
+
+	test('covers the repeated hour twice on the day clocks go back', () => {
+		// Sunday 2021-10-31, 03:00 summer time goes back to 02:00
+		const time = scheduleOn(0, [['02:00', '03:00']])
+
+		assert.equal(at(time, '2021-10-31T02:30:00+02:00'), true)
+		assert.equal(at(time, '2021-10-31T02:30:00+01:00'), true)
+		assert.equal(at(time, '2021-10-31T03:00:00+01:00'), false)
+	})
+
+	test('keeps overnight windows on across a DST change', () => {
+		// Saturday 23:00 to Sunday 06:00, the night is an hour shorter
+		const time = scheduleOn(6, [['23:00', '06:00']])
+
+		assert.equal(at(time, '2021-03-27T23:00:00+01:00'), true)
+		assert.equal(at(time, '2021-03-28T05:59:00+02:00'), true)
+		assert.equal(at(time, '2021-03-28T06:00:00+02:00'), false)
+	})
+
+	test('evaluates windows in a fixed timezone', () => {
+		// 09:00 to 17:00 on Mondays in New York, 15:00 to 23:00 in Berlin
+		const time = scheduleOn(1, [['09:00', '17:00']], 'America/New_York')
+
+		assert.equal(at(time, '2021-12-20T10:00:00'), false)
+		assert.equal(at(time, '2021-12-20T14:59:00'), false)
+		assert.equal(at(time, '2021-12-20T15:00:00'), true)
+		assert.equal(at(time, '2021-12-20T22:59:00'), true)
+		assert.equal(at(time, '2021-12-20T23:00:00'), false)
+	})
+
+	test('uses the weekday of the fixed timezone', () => {
+		// Monday 22:00 in New York is Tuesday 04:00 in Berlin
+		const time = scheduleOn(1, [['21:00', '23:00']], 'America/New_York')
+
+		assert.equal(at(time, '2021-12-21T04:00:00'), true)
+		assert.equal(at(time, '2021-12-20T22:00:00'), false)
+	})
+
+	test('follows DST changes of the fixed timezone', () => {
+		// New York changes a few weeks before Berlin, on 2021-03-14
+		const time = scheduleOn(1, [['09:00', '17:00']], 'America/New_York')
+
+		// Monday 2021-03-15 09:00 in New York is 14:00 in Berlin
+		assert.equal(at(time, '2021-03-15T13:59:00'), false)
+		assert.equal(at(time, '2021-03-15T14:00:00'), true)
+	})
+
+	test('falls back to the system timezone if the fixed one is unknown', () => {
+		const time = scheduleOn(1, [['09:00', '17:00']], 'Mars/Olympus_Mons')
+
+		assert.equal(at(time, '2021-12-20T09:00:00'), true)
+		assert.equal(at(time, '2021-12-20T17:00:00'), false)
+	})
+})
+
+describe('getNextBoundary', () => {
+	const workdays = scheduleOn(1, [['09:00', '17:00']]).schedule
+	const nights = scheduleOn(5, [['23:00', '02:00']]).schedule
+
+	/**
+	 * Return the next boundary as ISO string in UTC.
+	 * @param {Array} schedules
+	 * @param {String} date - Date string, local time unless it has an offset
+	 * @param {String} [timeZone]
+	 * @returns {String|null}
+	 */
+	const next = function (schedules, date, timeZone) {
+		const boundary = getNextBoundary(schedules, timeZone, new Date(date))
+		return boundary && boundary.toISOString()
+	}
+
+	test('finds the next start or end of a window', () => {
+		// Monday 08:15 and 12:00 in Berlin, UTC+1
+		assert.equal(
+			next([workdays], '2021-12-20T08:15:00'),
+			'2021-12-20T08:00:00.000Z'
+		)
+		assert.equal(
+			next([workdays], '2021-12-20T12:00:00'),
+			'2021-12-20T16:00:00.000Z'
+		)
+	})
+
+	test('looks past the boundary of the current minute', () => {
+		assert.equal(
+			next([workdays], '2021-12-20T09:00:30'),
+			'2021-12-20T16:00:00.000Z'
+		)
+		assert.equal(
+			next([workdays], '2021-12-20T17:30:00'),
+			'2021-12-21T08:00:00.000Z'
+		)
+	})
+
+	test('takes the earliest boundary of all schedules', () => {
+		assert.equal(
+			next([workdays, nights], '2021-12-20T18:00:00'),
+			'2021-12-20T22:00:00.000Z'
+		)
+		assert.equal(
+			next([workdays, nights], '2021-12-21T00:30:00'),
+			'2021-12-21T01:00:00.000Z'
+		)
+	})
+
+	test('has no boundary without windows', () => {
+		assert.equal(next([], '2021-12-20T12:00:00'), null)
+		assert.equal(
+			next([scheduleOn(1, []).schedule], '2021-12-20T12:00:00'),
+			null
+		)
+	})
+
+	test('reaches wall-clock boundaries on the day clocks go forward', () => {
+		// 09:00 is 07:00 UTC in summer time
+		assert.equal(
+			next([workdays], '2021-03-28T01:00:00+01:00'),
+			'2021-03-28T07:00:00.000Z'
+		)
+		// 02:30 is skipped, it passes at 03:30 summer time
+		const skipped = scheduleOn(0, [['02:30', '05:00']]).schedule
+		assert.equal(
+			next([skipped], '2021-03-28T01:30:00+01:00'),
+			'2021-03-28T01:30:00.000Z'
+		)
+	})
+
+	test('reaches wall-clock boundaries on the day clocks go back', () => {
+		const night = scheduleOn(0, [['01:00', '03:00']]).schedule
+
+		// 03:00 winter time comes after the repeated hour
+		assert.equal(
+			next([night], '2021-10-31T02:30:00+02:00'),
+			'2021-10-31T02:00:00.000Z'
+		)
+	})
+
+	test('reads the boundaries in a fixed timezone', () => {
+		// 09:00 in New York is 14:00 UTC
+		assert.equal(
+			next([workdays], '2021-12-20T12:00:00Z', 'America/New_York'),
+			'2021-12-20T14:00:00.000Z'
+		)
+	})
+})
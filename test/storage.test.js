@@ -0,0 +1,149 @@
+import { describe, test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { installChrome } from './helpers/chrome.js'
+import {
+	SITE_DEFAULTS,
+	addURL,
+	removeURL,
+	updateURL,
+	migrateSites,
+	hasAccess,
+	getSettings,
+	updateSettings
+} from '../js/utils/storage.js'
+
+describe('adding and removing sites', () => {
+	let chrome
+
+	beforeEach(() => {
+		chrome = installChrome()
+	})
+
+	test('adds a site with the default settings', async () => {
+		const site = await addURL('a1', 'https://www.Reddit.com/r/all')
+
+		assert.deepEqual(site, {
+			...SITE_DEFAULTS,
+			pattern: 'www.reddit.com/r/all'
+		})
+		assert.deepEqual(chrome.storage.local.data.sites, { a1: site })
+	})
+
+	test('asks for access to the origin of the rule', async () => {
+		await addURL('a1', '*.youtube.com/shorts')
+
+		assert.deepEqual(chrome.permissions.requests, [
+			{ permissions: ['scripting'], origins: ['*://*.youtube.com/*'] }
+		])
+	})
+
+	test('keeps the list if access is denied', async () => {
+		chrome.permissions.nextResponse = false
+
+		await assert.rejects(addURL('a1', 'reddit.com'), {
+			message: 'Failed to grant permission.'
+		})
+		assert.equal(chrome.storage.local.data.sites, undefined)
+	})
+
+	test('rejects rules that are on the list already', async () => {
+		await addURL('a1', 'reddit.com')
+
+		await assert.rejects(addURL('a2', 'https://reddit.com/'), {
+			message: 'URL has already been added.'
+		})
+		assert.deepEqual(Object.keys(chrome.storage.local.data.sites), ['a1'])
+	})
+
+	test('rejects input that is no rule', async () => {
+		await assert.rejects(addURL('a1', 'not a site'))
+		assert.equal(chrome.permissions.requests.length, 0)
+	})
+
+	test('removes a site and keeps the others', async () => {
+		await addURL('a1', 'reddit.com')
+		await addURL('a2', 'youtube.com')
+
+		await removeURL('a1')
+
+		assert.deepEqual(Object.keys(chrome.storage.local.data.sites), ['a2'])
+	})
+
+	test('updates the settings of a site', async () => {
+		await addURL('a1', 'reddit.com')
+
+		const site = await updateURL('a1', { overlay: 'banner' })
+
+		assert.equal(site.overlay, 'banner')
+		assert.equal(chrome.storage.local.data.sites.a1.overlay, 'banner')
+		await assert.rejects(updateURL('a2', { overlay: 'banner' }), {
+			message: 'Website does not exist.'
+		})
+	})
+
+	test('writes to chrome.storage.sync once sync is enabled', async () => {
+		chrome.storage.local.data.sync = { active: true }
+
+		await addURL('a1', 'reddit.com')
+
+		assert.equal(chrome.storage.local.data.sites, undefined)
+		assert.deepEqual(chrome.storage.sync.data.sites, { chunks: 1 })
+	})
+})
+
+describe('migrating sites', () => {
+	test('converts hostnames and visit prompts of older versions', () => {
+		const sites = migrateSites({
+			a1: 'reddit.com',
+			a2: { pattern: 'youtube.com', prompt: 'visit' }
+		})
+
+		assert.deepEqual(sites, {
+			a1: { ...SITE_DEFAULTS, pattern: 'reddit.com' },
+			a2: { ...SITE_DEFAULTS, pattern: 'youtube.com', scope: 'visit' }
+		})
+	})
+
+	test('returns no sites if none have been stored', () => {
+		assert.deepEqual(migrateSites(undefined), {})
+		assert.deepEqual(migrateSites(null), {})
+	})
+})
+
+describe('access to synced sites', () => {
+	let chrome
+
+	beforeEach(() => {
+		chrome = installChrome()
+	})
+
+	test('lacks access to sites that have been added on another device', async () => {
+		chrome.permissions.granted.permissions.push('scripting')
+		chrome.permissions.granted.origins.push('*://reddit.com/*')
+
+		assert.equal(await hasAccess(['reddit.com/r/all']), true)
+		assert.equal(await hasAccess(['reddit.com', 'youtube.com']), false)
+	})
+
+	test('needs no host access for exclusions', async () => {
+		chrome.permissions.granted.permissions.push('scripting')
+
+		assert.equal(await hasAccess(['!reddit.com/r/all']), true)
+	})
+})
+
+describe('feature settings', () => {
+	beforeEach(() => {
+		installChrome()
+	})
+
+	test('fills up stored settings with the defaults', async () => {
+		await updateSettings('checkIn', { active: true })
+
+		assert.deepEqual(await getSettings('checkIn'), {
+			active: true,
+			minutes: 20
+		})
+	})
+})
@@ -0,0 +1,131 @@
+import { describe, test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { installChrome } from './helpers/chrome.js'
+import { isFiller, validateIntention, updateSite } from '../js/utils/strict.js'
+import { SITE_DEFAULTS } from '../js/utils/storage.js'
+import { updateProfile, removeProfile } from '../js/utils/profiles.js'
+import { TIME_DEFAULTS, setTime, toggleTimeFeature } from '../js/utils/time.js'
+
+describe('isFiller', () => {
+	test('accepts real intentions', () => {
+		const intentions = [
+			'Buy less stuff online',
+			'Check the boss schedule today',
+			'Look up the address of the office',
+			"Reply to Anna's message about the offsite",
+			'Too tired, watch one video',
+			'See all comments on my post',
+			'Read the docs on www.example.com',
+			'Pay the bill before 10:00',
+			'Überweisung für die Miete prüfen'
+		]
+		intentions.forEach((text) => assert.equal(isFiller(text), false, text))
+	})
+
+	test('rejects filler', () => {
+		const filler = [
+			'',
+			'   ',
+			'!!! ???',
+			'asdf',
+			'aaaa',
+			'hmmm',
+			'abab abab',
+			'go go go',
+			'qwerty',
+			'asdf test',
+			'idk lol'
+		]
+		filler.forEach((text) => assert.equal(isFiller(text), true, text))
+	})
+})
+
+describe('validateIntention', () => {
+	test('asks for the minimum number of words', () => {
+		assert.equal(
+			validateIntention('Buy stuff', { minWords: 3 }),
+			'Describe your intention in at least 3 words.'
+		)
+		assert.equal(
+			validateIntention('Buy less stuff online', { minWords: 3 }),
+			null
+		)
+	})
+
+	test('rejects filler before counting words', () => {
+		assert.equal(
+			validateIntention('aaaa bbbb cccc', { minWords: 3 }),
+			"That doesn't look like an intention."
+		)
+	})
+})
+
+describe('settings in strict mode', () => {
+	let chrome
+
+	const profiles = {
+		groups: { g1: { name: 'Social' } },
+		profiles: { p1: { name: 'Deep work', groups: ['g1'], schedule: null } }
+	}
+
+	beforeEach(() => {
+		chrome = installChrome()
+		chrome.storage.local.data = {
+			sites: { a1: { ...SITE_DEFAULTS, pattern: 'reddit.com' } },
+			profiles,
+			time: TIME_DEFAULTS,
+			strict: { active: true }
+		}
+	})
+
+	// Settings are written in the background, wait for them to settle
+	const settle = () => new Promise((resolve) => setTimeout(resolve, 10))
+
+	test('refuses site settings that loosen the rules', async () => {
+		await assert.rejects(updateSite('a1', { overlay: 'banner' }), {
+			message: 'Not possible while strict mode is on.'
+		})
+		await assert.rejects(updateSite('a1', { schedule: null, group: null }))
+
+		const site = await updateSite('a1', { position: 'bottom' })
+		assert.equal(site.position, 'bottom')
+		assert.equal(chrome.storage.local.data.sites.a1.overlay, 'blur')
+	})
+
+	test('keeps profiles as they are', async () => {
+		await assert.rejects(updateProfile('p1', { groups: [] }))
+		await assert.rejects(removeProfile('p1'))
+
+		assert.deepEqual(chrome.storage.local.data.profiles, profiles)
+	})
+
+	test('keeps the active hours as they are', async () => {
+		toggleTimeFeature()
+		setTime('schedule', {})
+		setTime('timeZone', 'Asia/Tokyo')
+		setTime('interval', 15)
+		await settle()
+
+		assert.deepEqual(chrome.storage.local.data.time, {
+			...TIME_DEFAULTS,
+			interval: 15
+		})
+	})
+
+	test('lets the settings change once strict mode is off', async () => {
+		chrome.storage.local.data.strict = { active: false }
+
+		await updateSite('a1', { overlay: 'banner' })
+		await updateProfile('p1', { groups: [] })
+		toggleTimeFeature()
+		await settle()
+
+		assert.equal(chrome.storage.local.data.sites.a1.overlay, 'banner')
+		assert.deepEqual(
+			chrome.storage.local.data.profiles.profiles.p1.groups,
+			[]
+		)
+		assert.equal(chrome.storage.local.data.time.active, true)
+	})
+})
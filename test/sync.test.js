@@ -0,0 +1,143 @@
+import { describe, test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { installChrome } from './helpers/chrome.js'
+import { readSettings, writeSettings, getSyncError } from '../js/utils/sync.js'
+import { addURL } from '../js/utils/storage.js'
+
+describe('synced settings', () => {
+	let chrome
+
+	beforeEach(() => {
+		chrome = installChrome()
+		chrome.storage.local.data.sync = { active: true }
+	})
+
+	/**
+	 * Store sites in chrome.storage.sync like another device does, the
+	 * second chunk may still be missing.
+	 * @param {Object} sites
+	 * @param {Boolean} complete - Whether all chunks have arrived
+	 * @returns {String} - Returns the missing chunk
+	 */
+	const syncSites = function (sites, complete = true) {
+		const json = JSON.stringify(sites)
+		const half = Math.floor(json.length / 2)
+		chrome.storage.sync.data.sites = { chunks: 2 }
+		chrome.storage.sync.data['sites.0'] = json.slice(0, half)
+		if (complete) chrome.storage.sync.data['sites.1'] = json.slice(half)
+		return json.slice(half)
+	}
+
+	const sites = {
+		a1: { pattern: 'reddit.com' },
+		a2: { pattern: 'youtube.com' }
+	}
+
+	test('joins the chunks of a setting', async () => {
+		syncSites(sites)
+
+		assert.deepEqual(await readSettings(['sites']), { sites })
+	})
+
+	test('splits large settings into chunks and removes stale ones', async () => {
+		const large = {}
+		for (let i = 0; i < 500; i++) large[i] = { pattern: `site${i}.com` }
+
+		await writeSettings({ sites: large })
+		assert.ok(chrome.storage.sync.data.sites.chunks > 1)
+		assert.deepEqual(await readSettings(['sites']), { sites: large })
+
+		await writeSettings({ sites })
+		assert.deepEqual(chrome.storage.sync.data.sites, { chunks: 1 })
+		assert.equal(chrome.storage.sync.data['sites.1'], undefined)
+	})
+
+	test('reads chunks again that arrive while reading', async () => {
+		const missing = syncSites(sites, false)
+		setTimeout(() => {
+			chrome.storage.sync.data['sites.1'] = missing
+		}, 100)
+
+		assert.deepEqual(await readSettings(['sites']), { sites })
+	})
+
+	test('reads only the chunks of the requested settings', async () => {
+		syncSites(sites)
+		chrome.storage.sync.data.time = { chunks: 1 }
+		chrome.storage.sync.data['time.0'] = '{"active":true}'
+		const get = chrome.storage.sync.get
+		const requested = []
+		chrome.storage.sync.get = (keys, callback) => {
+			requested.push(keys)
+			return get(keys, callback)
+		}
+
+		assert.deepEqual(await readSettings(['sites']), { sites })
+		assert.ok(requested.every(Array.isArray))
+		assert.deepEqual([...new Set(requested.flat())].sort(), [
+			'sites',
+			'sites.0',
+			'sites.1'
+		])
+	})
+
+	test("rejects settings whose chunks don't add up", async () => {
+		syncSites(sites, false)
+
+		await assert.rejects(readSettings(['sites']), {
+			message: 'Failed to read synced sites.'
+		})
+	})
+
+	test('keeps settings on this device once sync is full', async () => {
+		chrome.storage.sync.data.time = { chunks: 1 }
+		chrome.storage.sync.data['time.0'] = '{"active":true}'
+		chrome.storage.sync.error = 'QUOTA_BYTES quota exceeded'
+
+		await writeSettings({ sites })
+
+		assert.equal(chrome.storage.sync.data.sites, undefined)
+		assert.deepEqual(chrome.storage.local.data.sites, sites)
+		assert.deepEqual(chrome.storage.local.data.time, { active: true })
+		assert.equal(chrome.storage.local.data.sync.active, false)
+		assert.equal(
+			await getSyncError(),
+			'Your settings outgrew the storage of Chrome sync.'
+		)
+		assert.deepEqual(await readSettings(['sites', 'time']), {
+			sites,
+			time: { active: true }
+		})
+	})
+
+	test('keeps settings on this device once sync is written too often', async () => {
+		chrome.storage.sync.error =
+			'MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded'
+
+		await writeSettings({ sites })
+
+		assert.deepEqual(chrome.storage.local.data.sites, sites)
+		assert.equal(
+			await getSyncError(),
+			'Your settings changed too often for Chrome sync.'
+		)
+	})
+
+	test('rejects other errors of sync', async () => {
+		chrome.storage.sync.error = 'Something went wrong.'
+
+		await assert.rejects(writeSettings({ sites }), {
+			message: 'Something went wrong.'
+		})
+		assert.equal(chrome.storage.local.data.sync.active, true)
+	})
+
+	test("doesn't overwrite sites that failed to read", async () => {
+		syncSites(sites, false)
+		const before = { ...chrome.storage.sync.data }
+
+		await assert.rejects(addURL('a3', 'twitter.com'))
+		assert.deepEqual(chrome.storage.sync.data, before)
+	})
+})